@@ -1,15 +1,25 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import { MainView } from './components/MainView/MainView';
+import { WorkspaceSwitcher } from './components/WorkspaceSwitcher/WorkspaceSwitcher';
+import { getActiveWorkspaceId, switchWorkspace } from './utils/webStorageService';
 
 /**
  * Huvudapplikationskomponent
  */
 function App() {
+  const [workspaceId, setWorkspaceId] = useState(getActiveWorkspaceId);
+
+  const handleSwitchWorkspace = useCallback(async (id) => {
+    if (await switchWorkspace(id)) {
+      setWorkspaceId(id);
+    }
+  }, []);
+
   return (
     <div className="min-h-screen bg-background">
       <header className="border-b border-border sticky top-0 bg-background/95 backdrop-blur-sm z-10">
         <div className="container py-4">
-          <div className="flex items-center justify-between">
+          <div className="flex items-center justify-between gap-4">
             <div className="flex items-center space-x-2">
               <svg className="w-8 h-8" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <rect width="24" height="24" rx="6" fill="black"></rect>
@@ -22,18 +32,22 @@ function App() {
               </div>
             </div>
             
-            <div className="text-sm text-muted-foreground hidden md:block">
-              <div className="flex items-center space-x-1">
-                <span className="w-2 h-2 rounded-full bg-green-500"></span>
-                <span>Data bearbetas direkt i din webbläsare - inget skickas till någon server</span>
+            <div className="flex items-center gap-6">
+              <div className="text-sm text-muted-foreground hidden lg:block">
+                <div className="flex items-center space-x-1">
+                  <span className="w-2 h-2 rounded-full bg-green-500"></span>
+                  <span>Data bearbetas direkt i din webbläsare - inget skickas till någon server</span>
+                </div>
               </div>
+              <WorkspaceSwitcher workspaceId={workspaceId} onSwitch={handleSwitchWorkspace} />
             </div>
           </div>
         </div>
       </header>
 
       <main className="container py-6">
-        <MainView />
+        {/* Vyerna monteras om vid byte av arbetsyta, så att inget från den förra ligger kvar */}
+        <MainView key={workspaceId} />
       </main>
 
       <footer className="border-t border-border mt-16">
@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Alert, AlertDescription } from '../ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertCircle, History, Loader2, Undo2 } from 'lucide-react';
+import { getImportHistory, revertImport, subscribeToDataChanges } from '@/utils/webStorageService';
+import { SYNC_EVENTS, IMPORT_TYPES, IMPORT_TYPE_LABELS, DEMOGRAPHIC_DIMENSIONS } from '@/utils/constants';
+import { formatDate, formatDateTime, formatFileSize, formatNumber } from '@/utils/utils';
+import { AccountAvatar } from '../AccountManager/AccountAvatar';
+
+const typeLabel = (entry) => IMPORT_TYPE_LABELS[entry.importType] +
+  (entry.dimension ? ` (${DEMOGRAPHIC_DIMENSIONS[entry.dimension].toLowerCase()})` : '');
+
+/**
+ * Detaljpanel för ett konto med kontots importhistorik.
+ * Varje import kan ångras, vilket återställer kontots rader till läget före importen.
+ *
+ * @param {Array} props.accounts - Lista med alla konton
+ * @param {string} props.accountId - Valt konto
+ * @param {Function} props.onAccountChange - Anropas med ID när ett annat konto väljs
+ * @param {Function} props.onDataChange - Anropas när en import har ångrats, så att vyerna laddas om
+ */
+export function AccountDetails({ accounts, accountId, onAccountChange, onDataChange }) {
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [confirmId, setConfirmId] = useState(null);
+  const [revertingId, setRevertingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const account = accounts.find(a => a.id === accountId);
+
+  const loadHistory = useCallback(async () => {
+    setIsLoading(true);
+    setHistory(await getImportHistory(accountId));
+    setIsLoading(false);
+  }, [accountId]);
+
+  useEffect(() => {
+    setConfirmId(null);
+    setError(null);
+    loadHistory();
+  }, [loadHistory]);
+
+  // Historiken ändras när kontot importeras eller ångras i en annan flik
+  useEffect(() => subscribeToDataChanges((event) => {
+    if (event.type === SYNC_EVENTS.DATA_CHANGED && event.accountIds.includes(accountId)) {
+      loadHistory();
+    }
+  }), [accountId, loadHistory]);
+
+  const handleRevert = async (entry) => {
+    setRevertingId(entry.id);
+    setError(null);
+
+    const reverted = await revertImport(entry.id);
+
+    setRevertingId(null);
+    setConfirmId(null);
+
+    if (!reverted) {
+      setError(`Importen av ${entry.fileName} kunde inte ångras`);
+      return;
+    }
+
+    await loadHistory();
+    if (onDataChange) onDataChange();
+  };
+
+  // Senare importer av samma typ som inte har ångrats kan ha ändrat samma rader
+  const hasLaterImports = (entry) => history.some(other =>
+    other.importType === entry.importType &&
+    other.dimension === entry.dimension &&
+    other.importedAt > entry.importedAt &&
+    !other.revertedAt
+  );
+
+  if (!account) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>Kontot finns inte längre</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="pb-2">
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+            <div className="flex items-center gap-3">
+              <AccountAvatar account={account} className="h-10 w-10" />
+              <div>
+                <CardTitle>{account.name}</CardTitle>
+                <CardDescription>
+                  {account.handle && `@${account.handle} · `}
+                  Skapat {formatDate(account.createdAt)}
+                  {account.lastUpdate && ` · Senast uppdaterat ${formatDateTime(account.lastUpdate)}`}
+                </CardDescription>
+              </div>
+            </div>
+            <Select value={accountId} onValueChange={onAccountChange}>
+              <SelectTrigger className="w-56">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {accounts.map(a => (
+                  <SelectItem key={a.id} value={a.id}>{a.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {account.description && <p className="text-sm mb-1">{account.description}</p>}
+          <p className="text-sm text-muted-foreground">
+            {formatNumber(account.rowCount || 0)} dagar
+            {account.videoCount > 0 && ` · ${formatNumber(account.videoCount)} videor`}
+            {account.hasDemographics && ' · följardemografi'}
+            {account.hasActivityData && ' · följaraktivitet'}
+          </p>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base flex items-center">
+            <History className="h-4 w-4 mr-2" />
+            Importhistorik
+          </CardTitle>
+          <CardDescription>
+            Vilka filer som har importerats till kontot och vad de ändrade. Ångra en import för att återställa
+            kontots rader till läget före importen.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {isLoading ? (
+            <div className="flex items-center justify-center py-6">
+              <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+            </div>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              Inga importer har loggats för kontot. Historiken förs för importer som görs från och med nu.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Importerad</TableHead>
+                    <TableHead>Fil</TableHead>
+                    <TableHead>Typ</TableHead>
+                    <TableHead>Datumintervall</TableHead>
+                    <TableHead className="text-right">Tillagda</TableHead>
+                    <TableHead className="text-right">Ersatta</TableHead>
+                    <TableHead className="text-right">Oförändrade</TableHead>
+                    <TableHead>Mappningsprofil</TableHead>
+                    <TableHead className="text-right">Åtgärd</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {history.map(entry => (
+                    <React.Fragment key={entry.id}>
+                      <TableRow className={entry.revertedAt ? 'text-muted-foreground' : undefined}>
+                        <TableCell className="whitespace-nowrap">{formatDateTime(entry.importedAt)}</TableCell>
+                        <TableCell>
+                          <div className="font-medium break-all">{entry.fileName || '–'}</div>
+                          <div className="text-xs text-muted-foreground">
+                            {entry.sheetName && `Blad: ${entry.sheetName} · `}
+                            {formatFileSize(entry.fileSize)}
+                            {entry.fileHash && (
+                              <span title={`SHA-256: ${entry.fileHash}`}> · {entry.fileHash.slice(0, 12)}</span>
+                            )}
+                          </div>
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">{typeLabel(entry)}</TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          {entry.dateRange && entry.dateRange.startDate
+                            ? `${entry.dateRange.startDate} – ${entry.dateRange.endDate}`
+                            : '–'}
+                        </TableCell>
+                        <TableCell className="text-right">{formatNumber(entry.added)}</TableCell>
+                        <TableCell className="text-right">{formatNumber(entry.replaced)}</TableCell>
+                        <TableCell className="text-right">{formatNumber(entry.unchanged)}</TableCell>
+                        <TableCell>{entry.mappingProfileName || '–'}</TableCell>
+                        <TableCell className="text-right whitespace-nowrap">
+                          {entry.revertedAt ? (
+                            <Badge variant="outline" title={formatDateTime(entry.revertedAt)}>Ångrad</Badge>
+                          ) : entry.lockedReason ? (
+                            <Badge variant="outline" title={`Kan inte ångras: ${entry.lockedReason}`}>Låst</Badge>
+                          ) : (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setConfirmId(entry.id)}
+                              disabled={revertingId !== null}
+                            >
+                              <Undo2 className="h-4 w-4 mr-1" />
+                              Ångra
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+
+                      {confirmId === entry.id && (
+                        <TableRow>
+                          <TableCell colSpan={9}>
+                            <Alert>
+                              <AlertCircle className="h-4 w-4" />
+                              <AlertDescription>
+                                <div className="space-y-2">
+                                  <p>
+                                    Ångra importen av {entry.fileName}?{' '}
+                                    {entry.importType === IMPORT_TYPES.DEMOGRAPHICS
+                                      ? 'Ögonblicksbilden tas bort och en tidigare ögonblicksbild från samma dag återställs.'
+                                      : `${entry.added} tillagda rader tas bort och ${entry.replaced} ersatta rader får tillbaka sina tidigare värden.`}
+                                    {' '}Det som tas bort sparas i papperskorgen.
+                                  </p>
+                                  {hasLaterImports(entry) && (
+                                    <p className="text-yellow-800">
+                                      Senare importer av samma typ kan ha ändrat samma rader; de ändringarna skrivs också över.
+                                    </p>
+                                  )}
+                                  <div className="flex gap-2 justify-end">
+                                    <Button
+                                      variant="outline"
+                                      size="sm"
+                                      onClick={() => setConfirmId(null)}
+                                      disabled={revertingId !== null}
+                                    >
+                                      Avbryt
+                                    </Button>
+                                    <Button
+                                      variant="destructive"
+                                      size="sm"
+                                      onClick={() => handleRevert(entry)}
+                                      disabled={revertingId !== null}
+                                    >
+                                      {revertingId === entry.id ? (
+                                        <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Ångrar...</>
+                                      ) : 'Ångra import'}
+                                    </Button>
+                                  </div>
+                                </div>
+                              </AlertDescription>
+                            </Alert>
+                          </TableCell>
+                        </TableRow>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
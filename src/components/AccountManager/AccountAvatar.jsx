@@ -0,0 +1,22 @@
+import React from 'react';
+import { Avatar, AvatarFallback } from '../ui/avatar';
+import { cn, getInitials, stringToColor } from '@/utils/utils';
+
+/**
+ * Rund avatar med kontots initialer och färg. Utan egna värden räknas de fram ur namnet.
+ *
+ * @param {Object} props.account - Konto med name och ev. initials och color
+ * @param {string} props.className - Extra klasser, t.ex. storlek
+ */
+export function AccountAvatar({ account, className }) {
+  return (
+    <Avatar className={cn('h-8 w-8', className)}>
+      <AvatarFallback
+        className="text-xs font-semibold text-white"
+        style={{ backgroundColor: account.color || stringToColor(account.name) }}
+      >
+        {account.initials || getInitials(account.name)}
+      </AvatarFallback>
+    </Avatar>
+  );
+}
@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Alert, AlertDescription } from '../ui/alert';
+import { AlertCircle, CheckCircle2, Loader2, Pencil, Trash2, Undo2, Users } from 'lucide-react';
+import {
+  getStorageStats,
+  getVideoData,
+  updateAccountDetails,
+  deleteAccount,
+  restoreDeletedAccount,
+  getTrashRetentionDays
+} from '@/utils/webStorageService';
+import { cn, formatDateTime, formatNumber } from '@/utils/utils';
+import { AccountAvatar } from './AccountAvatar';
+
+// Hur länge en borttagning kan ångras direkt; därefter finns kontot kvar i papperskorgen
+const UNDO_SECONDS = 15;
+
+// Färger att välja för kontots avatar; utan vald färg räknas en fram ur namnet
+const ACCOUNT_COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899'];
+
+const toForm = (account) => ({
+  name: account.name || '',
+  handle: account.handle || '',
+  color: account.color || '',
+  initials: account.initials || '',
+  description: account.description || ''
+});
+
+/**
+ * Kontohantering: lista med alla konton och deras data, där ett konto kan byta namn,
+ * få metadata (TikTok-namn, färg, initialer, beskrivning) eller tas bort. Ett borttaget konto
+ * flyttas till papperskorgen; en kort stund kan borttagningen också ångras direkt här.
+ *
+ * @param {Array} props.accounts - Lista med alla konton
+ * @param {Function} props.onDataChange - Anropas när konton har ändrats, så att vyerna laddas om
+ */
+export function AccountManager({ accounts: allAccounts, onDataChange }) {
+  const [stats, setStats] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [confirmId, setConfirmId] = useState(null);
+  const [confirmVideos, setConfirmVideos] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const accounts = useMemo(
+    () => [...allAccounts].sort((a, b) => a.name.localeCompare(b.name, 'sv')),
+    [allAccounts]
+  );
+
+  // Statistiken per konto läses om när kontolistan har laddats om
+  useEffect(() => {
+    let cancelled = false;
+    getStorageStats().then(storageStats => {
+      if (cancelled) return;
+      setStats(Object.fromEntries((storageStats.accounts || []).map(entry => [entry.id, entry])));
+      setIsLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [allAccounts]);
+
+  // Videorna läses först när en borttagning ska bekräftas, så att listan inte läser all videodata
+  useEffect(() => {
+    setConfirmVideos(null);
+    if (!confirmId) return undefined;
+
+    let cancelled = false;
+    getVideoData(confirmId).then(videos => {
+      if (!cancelled) setConfirmVideos(videos.length);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [confirmId]);
+
+  // Räknar ned ångra-fönstret; när tiden har gått ut försvinner bara ångra-knappen, kontot finns kvar i papperskorgen
+  useEffect(() => {
+    if (!undo) return undefined;
+
+    const tick = () => {
+      const left = Math.ceil((undo.expiresAt - Date.now()) / 1000);
+      if (left <= 0) {
+        setUndo(null);
+      } else {
+        setSecondsLeft(left);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [undo]);
+
+  const startEditing = (account) => {
+    setEditingId(account.id);
+    setForm(toForm(account));
+    setConfirmId(null);
+    setError(null);
+    setMessage(null);
+  };
+
+  const stopEditing = () => {
+    setEditingId(null);
+    setForm(null);
+  };
+
+  const updateForm = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    const { account, error: saveError } = await updateAccountDetails(editingId, form);
+
+    setIsSaving(false);
+    if (saveError) {
+      setError(saveError);
+      return;
+    }
+
+    stopEditing();
+    setMessage(`${account.name} har sparats`);
+    if (onDataChange) onDataChange();
+  };
+
+  const handleDelete = async (account) => {
+    setDeletingId(account.id);
+    setError(null);
+    setMessage(null);
+
+    const deleted = await deleteAccount(account.id);
+
+    setDeletingId(null);
+    setConfirmId(null);
+
+    if (!deleted) {
+      setError(`${account.name} kunde inte tas bort`);
+      return;
+    }
+
+    setUndo({ account, expiresAt: Date.now() + UNDO_SECONDS * 1000 });
+    if (onDataChange) onDataChange();
+  };
+
+  const handleUndo = async () => {
+    const deletedAccount = undo.account;
+    setUndo(null);
+
+    const { account, error: restoreError } = await restoreDeletedAccount(deletedAccount.id);
+    if (restoreError) {
+      setError(`${deletedAccount.name} kunde inte återställas: ${restoreError}`);
+      return;
+    }
+
+    setMessage(`${account.name} har återställts`);
+    if (onDataChange) onDataChange();
+  };
+
+  const renderEditor = () => (
+    <div className="space-y-3 py-2">
+      <div className="grid gap-3 md:grid-cols-2">
+        <div className="space-y-1">
+          <Label htmlFor="account-name">Namn</Label>
+          <Input id="account-name" value={form.name} onChange={(e) => updateForm('name', e.target.value)} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="account-handle">TikTok-namn</Label>
+          <Input
+            id="account-handle"
+            value={form.handle}
+            placeholder="@användarnamn"
+            onChange={(e) => updateForm('handle', e.target.value)}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="account-initials">Initialer</Label>
+          <Input
+            id="account-initials"
+            value={form.initials}
+            maxLength={2}
+            placeholder="Från namnet"
+            onChange={(e) => updateForm('initials', e.target.value)}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label>Färg</Label>
+          <div className="flex items-center gap-2 h-10">
+            <AccountAvatar account={{ ...form, name: form.name || '?' }} />
+            {ACCOUNT_COLORS.map(color => (
+              <button
+                key={color}
+                type="button"
+                title={color}
+                onClick={() => updateForm('color', color)}
+                className={cn(
+                  'h-6 w-6 rounded-full border-2',
+                  form.color === color ? 'border-foreground' : 'border-transparent'
+                )}
+                style={{ backgroundColor: color }}
+              />
+            ))}
+            <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={() => updateForm('color', '')}>
+              Automatisk
+            </Button>
+          </div>
+        </div>
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="account-description">Beskrivning</Label>
+        <textarea
+          id="account-description"
+          value={form.description}
+          onChange={(e) => updateForm('description', e.target.value)}
+          rows={2}
+          className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        />
+      </div>
+      <div className="flex gap-2 justify-end">
+        <Button variant="outline" size="sm" onClick={stopEditing} disabled={isSaving}>
+          Avbryt
+        </Button>
+        <Button size="sm" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Sparar...</> : 'Spara'}
+        </Button>
+      </div>
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base flex items-center">
+          <Users className="h-4 w-4 mr-2" />
+          Konton
+        </CardTitle>
+        <CardDescription>
+          Byt namn på konton, lägg till TikTok-namn, färg och beskrivning eller ta bort ett felstavat konto
+          med all dess data.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {message && (
+          <Alert className="bg-green-50 border-green-200">
+            <CheckCircle2 className="h-4 w-4 text-green-600" />
+            <AlertDescription className="text-green-700">{message}</AlertDescription>
+          </Alert>
+        )}
+
+        {undo && (
+          <Alert>
+            <Trash2 className="h-4 w-4" />
+            <AlertDescription>
+              <div className="flex items-center justify-between gap-4">
+                <span>{undo.account.name} har flyttats till papperskorgen.</span>
+                <Button variant="outline" size="sm" onClick={handleUndo}>
+                  <Undo2 className="h-4 w-4 mr-1" />
+                  Ångra ({secondsLeft} s)
+                </Button>
+              </div>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+          </div>
+        ) : accounts.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Det finns inga konton.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Konto</TableHead>
+                  <TableHead className="text-right">Dagar</TableHead>
+                  <TableHead>Period</TableHead>
+                  <TableHead>Senast uppdaterat</TableHead>
+                  <TableHead className="text-right">Åtgärd</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {accounts.map(account => {
+                  const accountStats = stats[account.id] || {};
+                  return (
+                    <React.Fragment key={account.id}>
+                      <TableRow>
+                        <TableCell>
+                          <div className="flex items-center gap-3">
+                            <AccountAvatar account={account} />
+                            <div>
+                              <div className="font-medium">{account.name}</div>
+                              {(account.handle || account.description) && (
+                                <div className="text-xs text-muted-foreground">
+                                  {account.handle && `@${account.handle}`}
+                                  {account.handle && account.description && ' · '}
+                                  {account.description}
+                                </div>
+                              )}
+                            </div>
+                          </div>
+                        </TableCell>
+                        <TableCell className="text-right">{formatNumber(accountStats.days || 0)}</TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          {accountStats.firstDate ? `${accountStats.firstDate} – ${accountStats.lastDate}` : '–'}
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          {accountStats.lastUpdate ? formatDateTime(accountStats.lastUpdate) : '–'}
+                        </TableCell>
+                        <TableCell className="text-right whitespace-nowrap">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => startEditing(account)}
+                            disabled={deletingId !== null}
+                          >
+                            <Pencil className="h-4 w-4 mr-1" />
+                            Redigera
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                            onClick={() => {
+                              stopEditing();
+                              setConfirmId(account.id);
+                            }}
+                            disabled={deletingId !== null}
+                          >
+                            <Trash2 className="h-4 w-4 mr-1" />
+                            Ta bort
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+
+                      {editingId === account.id && (
+                        <TableRow>
+                          <TableCell colSpan={5}>{renderEditor()}</TableCell>
+                        </TableRow>
+                      )}
+
+                      {confirmId === account.id && (
+                        <TableRow>
+                          <TableCell colSpan={5}>
+                            <Alert variant="destructive">
+                              <AlertCircle className="h-4 w-4" />
+                              <AlertDescription>
+                                <div className="space-y-2">
+                                  <p>
+                                    Ta bort {account.name}? {formatNumber(accountStats.days || 0)} dagar,
+                                    {' '}{confirmVideos === null ? 'kontots' : formatNumber(confirmVideos)} videor och kontots importhistorik
+                                    flyttas till papperskorgen, där de kan återställas i {getTrashRetentionDays()} dagar.
+                                  </p>
+                                  <div className="flex gap-2 justify-end">
+                                    <Button
+                                      variant="outline"
+                                      size="sm"
+                                      onClick={() => setConfirmId(null)}
+                                      disabled={deletingId !== null}
+                                    >
+                                      Avbryt
+                                    </Button>
+                                    <Button
+                                      variant="destructive"
+                                      size="sm"
+                                      onClick={() => handleDelete(account)}
+                                      disabled={deletingId !== null}
+                                    >
+                                      {deletingId === account.id ? (
+                                        <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Tar bort...</>
+                                      ) : 'Ta bort konto'}
+                                    </Button>
+                                  </div>
+                                </div>
+                              </AlertDescription>
+                            </Alert>
+                          </TableCell>
+                        </TableRow>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
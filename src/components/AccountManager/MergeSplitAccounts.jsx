@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Alert, AlertDescription } from '../ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertCircle, CheckCircle2, GitMerge, Loader2, Scissors } from 'lucide-react';
+import {
+  previewAccountMerge,
+  mergeAccounts,
+  previewAccountSplit,
+  splitAccount
+} from '@/utils/webStorageService';
+import { IMPORT_TYPE_LABELS, MERGE_STRATEGIES, MERGE_STRATEGY_LABELS } from '@/utils/constants';
+import { formatNumber } from '@/utils/utils';
+
+// Värde i kontolistan för att flytta raderna till ett nytt konto
+const NEW_ACCOUNT = 'new';
+
+const OPERATIONS = {
+  MERGE: 'merge',
+  SPLIT: 'split'
+};
+
+/**
+ * Slår ihop två konton (t.ex. "P3" och "P3 Sverige") eller delar ett konto genom att flytta
+ * ett datumintervall till ett annat konto. Båda förhandsgranskas innan något sparas.
+ *
+ * @param {Array} props.accounts - Lista med alla konton
+ * @param {Function} props.onDataChange - Anropas när konton har slagits ihop eller delats
+ */
+export function MergeSplitAccounts({ accounts, onDataChange }) {
+  const [operation, setOperation] = useState(OPERATIONS.MERGE);
+  const [sourceId, setSourceId] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [targetName, setTargetName] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [strategy, setStrategy] = useState(MERGE_STRATEGIES.TAKE_NEW);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const isSplit = operation === OPERATIONS.SPLIT;
+  const isNewTarget = isSplit && targetId === NEW_ACCOUNT;
+
+  // Konton som har tagits bort (t.ex. efter en sammanslagning) avmarkeras
+  useEffect(() => {
+    if (sourceId && !accounts.some(a => a.id === sourceId)) setSourceId('');
+    if (targetId && targetId !== NEW_ACCOUNT && !accounts.some(a => a.id === targetId)) setTargetId('');
+  }, [accounts, sourceId, targetId]);
+
+  useEffect(() => {
+    const ready = isSplit
+      ? sourceId && targetId && from && to && (!isNewTarget || targetName.trim())
+      : sourceId && targetId;
+
+    if (!ready) {
+      setPreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const options = { resolution: { strategy } };
+    setIsPreviewing(true);
+
+    const request = isSplit
+      ? previewAccountSplit(sourceId, { from, to, targetId: isNewTarget ? null : targetId, targetName }, options)
+      : previewAccountMerge(sourceId, targetId, options);
+
+    request.then(result => {
+      if (cancelled) return;
+      setPreview(result);
+      setIsPreviewing(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isSplit, isNewTarget, sourceId, targetId, targetName, from, to, strategy, accounts]);
+
+  const changeOperation = (value) => {
+    setOperation(value);
+    setTargetId('');
+    setMessage(null);
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    setMessage(null);
+
+    const options = { resolution: { strategy } };
+    const { account, error } = isSplit
+      ? await splitAccount(sourceId, { from, to, targetId: isNewTarget ? null : targetId, targetName }, options)
+      : await mergeAccounts(sourceId, targetId, options);
+
+    setIsApplying(false);
+
+    if (error) {
+      setPreview(current => ({ ...current, error }));
+      return;
+    }
+
+    setMessage(isSplit
+      ? `${from} – ${to} har flyttats till ${account.name}`
+      : `${preview.source.name} har slagits ihop med ${account.name}`);
+    setSourceId('');
+    setTargetId('');
+    setTargetName('');
+    if (onDataChange) onDataChange();
+  };
+
+  const renderAccountSelect = (value, onChange, placeholder, { exclude, allowNew = false } = {}) => (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger>
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {allowNew && <SelectItem value={NEW_ACCOUNT}>Nytt konto…</SelectItem>}
+        {accounts.filter(a => a.id !== exclude).map(a => (
+          <SelectItem key={a.id} value={a.id}>{a.name}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  const renderPreview = () => {
+    if (isPreviewing) {
+      return (
+        <div className="flex items-center justify-center py-6">
+          <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+        </div>
+      );
+    }
+
+    if (!preview) return null;
+
+    if (preview.error) {
+      return (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{preview.error}</AlertDescription>
+        </Alert>
+      );
+    }
+
+    const targetLabel = preview.target ? preview.target.name : targetName.trim();
+    const rows = Object.entries(preview.rows);
+    const nothingToMove = rows.every(([, plan]) => plan.moved === 0) &&
+      (isSplit || preview.demographics.moved === 0);
+
+    return (
+      <div className="space-y-3">
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Data</TableHead>
+                <TableHead>Period</TableHead>
+                <TableHead className="text-right">Flyttas</TableHead>
+                <TableHead className="text-right">Nya hos {targetLabel}</TableHead>
+                <TableHead className="text-right">Ersätter befintliga</TableHead>
+                <TableHead className="text-right">Oförändrade</TableHead>
+                {isSplit && <TableHead className="text-right">Kvar hos {preview.source.name}</TableHead>}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.map(([importType, plan]) => (
+                <TableRow key={importType}>
+                  <TableCell className="font-medium">{IMPORT_TYPE_LABELS[importType]}</TableCell>
+                  <TableCell className="whitespace-nowrap">
+                    {plan.firstDate ? `${plan.firstDate} – ${plan.lastDate}` : '–'}
+                  </TableCell>
+                  <TableCell className="text-right">{formatNumber(plan.moved)}</TableCell>
+                  <TableCell className="text-right">{formatNumber(plan.added)}</TableCell>
+                  <TableCell className="text-right">{formatNumber(plan.replaced)}</TableCell>
+                  <TableCell className="text-right">{formatNumber(plan.unchanged)}</TableCell>
+                  {isSplit && <TableCell className="text-right">{formatNumber(preview.remaining[importType])}</TableCell>}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+
+        <p className="text-sm text-muted-foreground">
+          {isSplit
+            ? `Följardemografin blir kvar hos ${preview.source.name}. Importer i historiken som berör perioden kan inte längre ångras.`
+            : `${formatNumber(preview.demographics.moved)} ögonblicksbilder av följardemografi flyttas` +
+              (preview.demographics.replaced > 0 ? ` (${formatNumber(preview.demographics.replaced)} från samma dag som befintliga)` : '') +
+              `. ${formatNumber(preview.history)} importer flyttas till historiken men kan inte längre ångras. ` +
+              `${preview.source.name} tas sedan bort.`}
+        </p>
+
+        <div className="flex justify-end">
+          <Button onClick={handleApply} disabled={isApplying || nothingToMove}>
+            {isApplying ? (
+              <><Loader2 className="mr-2 h-4 w-4 animate-spin" />{isSplit ? 'Delar...' : 'Slår ihop...'}</>
+            ) : isSplit ? (
+              <><Scissors className="h-4 w-4 mr-2" />Flytta till {targetLabel}</>
+            ) : (
+              <><GitMerge className="h-4 w-4 mr-2" />Slå ihop med {targetLabel}</>
+            )}
+          </Button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base flex items-center">
+          <GitMerge className="h-4 w-4 mr-2" />
+          Slå ihop eller dela konton
+        </CardTitle>
+        <CardDescription>
+          Slå ihop konton som borde vara ett, eller flytta en period till ett annat konto när en kanal har
+          bytt namn. Dagar som finns hos båda kontona hanteras med vald regel, som vid en import.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {message && (
+          <Alert className="bg-green-50 border-green-200">
+            <CheckCircle2 className="h-4 w-4 text-green-600" />
+            <AlertDescription className="text-green-700">{message}</AlertDescription>
+          </Alert>
+        )}
+
+        <Tabs value={operation} onValueChange={changeOperation}>
+          <TabsList>
+            <TabsTrigger value={OPERATIONS.MERGE}>Slå ihop</TabsTrigger>
+            <TabsTrigger value={OPERATIONS.SPLIT}>Dela upp</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value={OPERATIONS.MERGE}>
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Konto som tas bort</Label>
+                {renderAccountSelect(sourceId, setSourceId, 'Välj konto', { exclude: targetId })}
+              </div>
+              <div className="space-y-1">
+                <Label>Slås ihop med</Label>
+                {renderAccountSelect(targetId, setTargetId, 'Välj konto', { exclude: sourceId })}
+              </div>
+            </div>
+          </TabsContent>
+
+          <TabsContent value={OPERATIONS.SPLIT}>
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Konto att dela</Label>
+                {renderAccountSelect(sourceId, setSourceId, 'Välj konto', { exclude: targetId })}
+              </div>
+              <div className="space-y-1">
+                <Label>Flytta till</Label>
+                {renderAccountSelect(targetId, setTargetId, 'Välj konto', { exclude: sourceId, allowNew: true })}
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="split-from">Från och med</Label>
+                <Input id="split-from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="split-to">Till och med</Label>
+                <Input id="split-to" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+              </div>
+              {isNewTarget && (
+                <div className="space-y-1 md:col-span-2">
+                  <Label htmlFor="split-name">Namn på det nya kontot</Label>
+                  <Input id="split-name" value={targetName} onChange={(e) => setTargetName(e.target.value)} />
+                </div>
+              )}
+            </div>
+          </TabsContent>
+        </Tabs>
+
+        {!isNewTarget && (
+          <div className="space-y-1 max-w-xs">
+            <Label>Dagar som finns hos båda kontona</Label>
+            <Select value={strategy} onValueChange={setStrategy}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(MERGE_STRATEGY_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        {renderPreview()}
+      </CardContent>
+    </Card>
+  );
+}
@@ -23,8 +23,9 @@ import { CopyableValue } from '../ui/copyable-value';
  * @param {Array} props.data - All daglig data (med accountId på varje rad)
  * @param {Array} props.selectedFields - Valda fält att visa
  * @param {Array} props.accounts - Lista med alla konton
+ * @param {Function} props.onAccountSelect - Anropas med konto-ID när ett kontonamn klickas (öppnar kontodetaljer)
  */
-export function AccountView({ data, selectedFields, accounts = [] }) {
+export function AccountView({ data, selectedFields, accounts = [], onAccountSelect }) {
   const [sortConfig, setSortConfig] = useState({ key: 'video_views', direction: 'desc' });
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(20);
@@ -320,7 +321,16 @@ export function AccountView({ data, selectedFields, accounts = [] }) {
                 {paginatedData.map((row, index) => (
                   <TableRow key={`${row.accountId}-${index}`}>
                     <TableCell className="font-medium whitespace-nowrap">
-                      {row.name}
+                      {onAccountSelect ? (
+                        <button
+                          type="button"
+                          onClick={() => onAccountSelect(row.accountId)}
+                          className="hover:underline text-left"
+                          title="Visa kontodetaljer och importhistorik"
+                        >
+                          {row.name}
+                        </button>
+                      ) : row.name}
                     </TableCell>
 
                     {selectedFields.map(field => (
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, CardContent } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Switch } from '../ui/switch';
+import { Label } from '../ui/label';
+import { Clock } from 'lucide-react';
+import { WEEKDAY_LABELS } from '@/utils/constants';
+import { formatNumber } from '@/utils/utils';
+import { parseDateKey } from '@/utils/dataProcessing';
+
+const HOURS = Array.from({ length: 24 }, (_, i) => i);
+// Måndag först, som i svensk kalender
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+const TOP_SLOT_COUNT = 3;
+
+// Veckodagar som en rad gäller: datumets eller radens veckodag, och alla dagar för en
+// export som bara har timmar (en genomsnittlig dag)
+const getWeekdays = (row) => {
+  if (row.date) {
+    const d = parseDateKey(row.date);
+    return d ? [d.getDay()] : [];
+  }
+  if (row.weekday !== null && row.weekday !== undefined) return [row.weekday];
+  return WEEKDAYS;
+};
+
+/**
+ * Räknar ut genomsnittligt antal aktiva följare per veckodag och timme
+ * @returns {Object} - { grid: { [weekday]: number[24] }, max }
+ */
+const buildHeatmap = (rows) => {
+  const sums = {};
+  const counts = {};
+  WEEKDAYS.forEach(day => {
+    sums[day] = new Array(24).fill(0);
+    counts[day] = new Array(24).fill(0);
+  });
+
+  rows.forEach(row => {
+    if (typeof row.active_followers !== 'number') return;
+    getWeekdays(row).forEach(day => {
+      sums[day][row.hour] += row.active_followers;
+      counts[day][row.hour] += 1;
+    });
+  });
+
+  let max = 0;
+  const grid = {};
+  WEEKDAYS.forEach(day => {
+    grid[day] = HOURS.map(hour => {
+      const value = counts[day][hour] > 0 ? Math.round(sums[day][hour] / counts[day][hour]) : null;
+      if (value !== null && value > max) max = value;
+      return value;
+    });
+  });
+
+  return { grid, max };
+};
+
+const getTopSlots = ({ grid }) => {
+  const slots = [];
+  WEEKDAYS.forEach(day => {
+    grid[day].forEach((value, hour) => {
+      if (value !== null) slots.push({ day, hour, value });
+    });
+  });
+  return slots.sort((a, b) => b.value - a.value).slice(0, TOP_SLOT_COUNT);
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+function Heatmap({ heatmap, title }) {
+  const topSlots = getTopSlots(heatmap);
+
+  return (
+    <div className="space-y-2">
+      {title && <h4 className="text-sm font-medium">{title}</h4>}
+      <div className="overflow-x-auto">
+        <table className="border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th />
+              {HOURS.map(hour => (
+                <th key={hour} className="text-[10px] font-normal text-muted-foreground w-6">
+                  {hour % 3 === 0 ? String(hour).padStart(2, '0') : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {WEEKDAYS.map(day => (
+              <tr key={day}>
+                <td className="text-xs text-muted-foreground pr-2">{WEEKDAY_LABELS[day]}</td>
+                {heatmap.grid[day].map((value, hour) => {
+                  const intensity = value !== null && heatmap.max > 0 ? value / heatmap.max : 0;
+                  return (
+                    <td
+                      key={hour}
+                      className="h-6 w-6 rounded-sm"
+                      style={{
+                        backgroundColor: value === null
+                          ? 'hsl(var(--muted))'
+                          : `hsl(var(--primary) / ${(0.08 + intensity * 0.92).toFixed(2)})`
+                      }}
+                      title={`${WEEKDAY_LABELS[day]} ${formatHour(hour)}: ${value === null ? 'ingen data' : `${formatNumber(value)} aktiva följare`}`}
+                    />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {topSlots.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+          <Clock className="h-3 w-3" />
+          <span>Bästa tider:</span>
+          {topSlots.map(slot => (
+            <span key={`${slot.day}-${slot.hour}`} className="bg-primary/10 text-primary rounded px-1.5 py-0.5">
+              {WEEKDAY_LABELS[slot.day]} {formatHour(slot.hour)}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Komponent för visning av följaraktivitet som värmekarta (veckodag × timme)
+ *
+ * @param {Array} props.data - Aktivitetsrader { date, weekday, hour, active_followers, accountId }
+ * @param {Array} props.accounts - Lista över alla konton
+ * @param {Function} props.onAccountFilter - Callback vid filtrering på konto
+ * @param {string} props.initialSelectedAccountId - Initialt valt konto-ID ('all' för alla)
+ */
+export function ActivityView({
+  data = [],
+  accounts = [],
+  onAccountFilter,
+  initialSelectedAccountId = 'all'
+}) {
+  const [selectedAccountId, setSelectedAccountId] = useState(initialSelectedAccountId || 'all');
+  const [compareAccounts, setCompareAccounts] = useState(false);
+
+  useEffect(() => {
+    setSelectedAccountId(initialSelectedAccountId || 'all');
+  }, [initialSelectedAccountId]);
+
+  const handleAccountChange = (accountId) => {
+    setSelectedAccountId(accountId);
+    if (onAccountFilter) onAccountFilter(accountId);
+  };
+
+  const accountsWithActivity = useMemo(() => {
+    const ids = new Set(data.map(row => row.accountId));
+    return accounts.filter(a => ids.has(a.id));
+  }, [data, accounts]);
+
+  const heatmaps = useMemo(() => {
+    const filtered = selectedAccountId === 'all'
+      ? data
+      : data.filter(row => row.accountId === selectedAccountId);
+
+    if (!compareAccounts || selectedAccountId !== 'all') {
+      return [{ key: 'combined', title: null, heatmap: buildHeatmap(filtered) }];
+    }
+
+    // Jämförelseläge: en värmekarta per konto, var och en skalad mot sin egen topp
+    return accountsWithActivity.map(account => ({
+      key: account.id,
+      title: account.name,
+      heatmap: buildHeatmap(filtered.filter(row => row.accountId === account.id))
+    }));
+  }, [data, selectedAccountId, compareAccounts, accountsWithActivity]);
+
+  if (data.length === 0) {
+    return (
+      <Card className="p-6">
+        <div className="text-center text-muted-foreground">
+          <p>Ingen följaraktivitet tillgänglig</p>
+          <p className="mt-2 text-sm">Ladda upp TikToks export "Följaraktivitet" för att se när följarna är aktiva</p>
+        </div>
+      </Card>
+    );
+  }
+
+  const canCompare = selectedAccountId === 'all' && accountsWithActivity.length > 1;
+
+  return (
+    <Card>
+      <CardContent className="p-4">
+        {/* Toolbar */}
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4">
+          <p className="text-sm text-muted-foreground">
+            Genomsnittligt antal aktiva följare per veckodag och timme
+          </p>
+
+          <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-center">
+            {canCompare && (
+              <div className="flex items-center space-x-2">
+                <Switch
+                  id="compare-activity"
+                  checked={compareAccounts}
+                  onCheckedChange={setCompareAccounts}
+                />
+                <Label htmlFor="compare-activity" className="text-sm">Jämför konton</Label>
+              </div>
+            )}
+
+            {accountsWithActivity.length > 1 && (
+              <Select value={selectedAccountId} onValueChange={handleAccountChange}>
+                <SelectTrigger className="w-[200px]">
+                  <SelectValue placeholder="Välj konto" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Alla konton</SelectItem>
+                  {accountsWithActivity.map(acc => (
+                    <SelectItem key={acc.id} value={acc.id}>{acc.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+        </div>
+
+        <div className={heatmaps.length > 1 ? 'grid grid-cols-1 xl:grid-cols-2 gap-6' : ''}>
+          {heatmaps.map(({ key, title, heatmap }) => (
+            <Heatmap key={key} title={title} heatmap={heatmap} />
+          ))}
+        </div>
+
+        {heatmaps.length > 1 && (
+          <p className="text-xs text-muted-foreground mt-3">
+            Varje konto färgsätts mot sin egen mest aktiva timme så att mönstren går att jämföra trots olika storlek.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,401 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Checkbox } from '../ui/checkbox';
+import { Label } from '../ui/label';
+import { Alert, AlertTitle, AlertDescription } from '../ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertCircle, AlertTriangle, CheckCircle2, Download, Loader2, Lock, Upload } from 'lucide-react';
+import {
+  exportBackup,
+  readBackupFile,
+  previewRestore,
+  restoreBackup,
+  subscribeToDataChanges
+} from '@/utils/webStorageService';
+import {
+  RESTORE_MODES,
+  RESTORE_MODE_LABELS,
+  MERGE_STRATEGIES,
+  MERGE_STRATEGY_LABELS,
+  SYNC_EVENTS
+} from '@/utils/constants';
+import { MIN_PASSPHRASE_LENGTH } from '@/utils/backupCrypto';
+import { formatDateTime, formatNumber } from '@/utils/utils';
+
+// "+12 · ~3 · −1" – tillagda, ersatta och borttagna rader; oförändrade visas inte
+const formatChanges = ({ added, replaced, removed }) => {
+  const parts = [];
+  if (added) parts.push(`+${formatNumber(added)}`);
+  if (replaced) parts.push(`~${formatNumber(replaced)}`);
+  if (removed) parts.push(`−${formatNumber(removed)}`);
+  return parts.length > 0 ? parts.join(' · ') : '–';
+};
+
+/**
+ * Säkerhetskopiering av alla konton, all data och alla inställningar till en fil,
+ * och återställning från en sådan fil med förhandsgranskning av vad som ändras.
+ * Kopian kan krypteras med en lösenfras, som då krävs för att återställa den.
+ *
+ * @param {Function} props.onRestored - Anropas när en säkerhetskopia har återställts
+ */
+export function BackupRestore({ onRestored }) {
+  const fileInputRef = useRef(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [encrypt, setEncrypt] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseRepeat, setPassphraseRepeat] = useState('');
+  const [lockedFile, setLockedFile] = useState(null);
+  const [unlockPassphrase, setUnlockPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState(RESTORE_MODES.MERGE);
+  const [strategy, setStrategy] = useState(MERGE_STRATEGIES.TAKE_NEW);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  // Räknas upp när data ändras i en annan flik, så att förhandsvisningen jämförs på nytt
+  const [dataVersion, setDataVersion] = useState(0);
+
+  useEffect(() => subscribeToDataChanges((event) => {
+    if (event.type === SYNC_EVENTS.DATA_CHANGED) {
+      setDataVersion(version => version + 1);
+    }
+  }), []);
+
+  useEffect(() => {
+    if (!backup) {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    setIsPreviewing(true);
+    previewRestore(backup, { mode, resolution: { strategy } }).then(result => {
+      if (cancelled) return;
+      setPreview(result);
+      setIsPreviewing(false);
+      if (!result) setError('Kunde inte jämföra säkerhetskopian med befintlig data');
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [backup, mode, strategy, dataVersion]);
+
+  const handleExport = async () => {
+    setError(null);
+    setMessage(null);
+
+    if (encrypt && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Lösenfrasen måste vara minst ${MIN_PASSPHRASE_LENGTH} tecken`);
+      return;
+    }
+
+    if (encrypt && passphrase !== passphraseRepeat) {
+      setError('Lösenfraserna stämmer inte överens');
+      return;
+    }
+
+    setIsExporting(true);
+    const result = await exportBackup(encrypt ? { passphrase } : {});
+    setIsExporting(false);
+
+    if (result.success) {
+      setMessage(encrypt
+        ? `Den krypterade säkerhetskopian sparades som ${result.fileName}. Utan lösenfrasen går den inte att återställa.`
+        : `Säkerhetskopian sparades som ${result.fileName}`);
+      setPassphrase('');
+      setPassphraseRepeat('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const acceptBackup = (file, result) => {
+    if (result.error) {
+      setBackup(null);
+      setError(result.error);
+      return;
+    }
+
+    setLockedFile(null);
+    setUnlockPassphrase('');
+    setFileName(file.name);
+    setMode(RESTORE_MODES.MERGE);
+    setBackup(result.backup);
+  };
+
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setMessage(null);
+
+    const result = await readBackupFile(file);
+    setLockedFile(result.encrypted ? file : null);
+    setUnlockPassphrase('');
+
+    // En krypterad kopia läses först när lösenfrasen har angetts
+    if (result.encrypted && !result.backup && !result.error) {
+      setBackup(null);
+      return;
+    }
+
+    acceptBackup(file, result);
+  };
+
+  const handleUnlock = async () => {
+    setError(null);
+    setIsUnlocking(true);
+    const result = await readBackupFile(lockedFile, { passphrase: unlockPassphrase });
+    setIsUnlocking(false);
+    acceptBackup(lockedFile, result);
+  };
+
+  const handleCancel = () => {
+    setBackup(null);
+    setLockedFile(null);
+    setUnlockPassphrase('');
+    setFileName('');
+    setError(null);
+  };
+
+  const handleRestore = async () => {
+    setIsRestoring(true);
+    setError(null);
+
+    const restored = await restoreBackup(backup, { mode, resolution: { strategy } });
+
+    setIsRestoring(false);
+    if (!restored) {
+      setError('Säkerhetskopian kunde inte återställas');
+      return;
+    }
+
+    setBackup(null);
+    setMessage(`${fileName} har återställts (${backup.accounts.length} konton)`);
+    if (onRestored) onRestored();
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Säkerhetskopiering</CardTitle>
+        <CardDescription>
+          All data finns bara i den här webbläsaren. Spara en säkerhetskopia med alla konton, all data,
+          mappningsprofiler, regler för kontonamn och papperskorgens lagringstid, och återställ den här
+          eller på en annan dator.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <div className="flex items-center space-x-2">
+            <Checkbox id="backup-encrypt" checked={encrypt} onCheckedChange={(checked) => setEncrypt(!!checked)} />
+            <Label htmlFor="backup-encrypt" className="text-sm">Kryptera med lösenfras</Label>
+          </div>
+          {encrypt && (
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder={`Lösenfras (minst ${MIN_PASSPHRASE_LENGTH} tecken)`}
+                autoComplete="new-password"
+                className="h-8 text-sm"
+              />
+              <Input
+                type="password"
+                value={passphraseRepeat}
+                onChange={(e) => setPassphraseRepeat(e.target.value)}
+                placeholder="Upprepa lösenfrasen"
+                autoComplete="new-password"
+                className="h-8 text-sm"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={handleExport} disabled={isExporting || isRestoring}>
+            {isExporting
+              ? <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              : <Download className="h-4 w-4 mr-2" />}
+            Spara säkerhetskopia
+          </Button>
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isRestoring}>
+            <Upload className="h-4 w-4 mr-2" />
+            Återställ från fil
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={handleFileSelect}
+          />
+        </div>
+
+        {message && (
+          <Alert className="bg-green-50 border-green-200">
+            <CheckCircle2 className="h-4 w-4 text-green-600" />
+            <AlertDescription className="text-green-700">{message}</AlertDescription>
+          </Alert>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {lockedFile && !backup && (
+          <div className="border rounded-md p-3 space-y-2">
+            <p className="text-sm font-medium flex items-center gap-1">
+              <Lock className="h-4 w-4" />
+              {lockedFile.name} är krypterad
+            </p>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Input
+                type="password"
+                value={unlockPassphrase}
+                onChange={(e) => setUnlockPassphrase(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && unlockPassphrase && handleUnlock()}
+                placeholder="Lösenfras"
+                autoComplete="current-password"
+                className="h-8 text-sm"
+                disabled={isUnlocking}
+              />
+              <Button size="sm" onClick={handleUnlock} disabled={isUnlocking || !unlockPassphrase}>
+                {isUnlocking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Lås upp
+              </Button>
+              <Button size="sm" variant="outline" onClick={handleCancel} disabled={isUnlocking}>
+                Avbryt
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {backup && (
+          <div className="border rounded-md p-3 space-y-3">
+            <div>
+              <p className="text-sm font-medium">{fileName}</p>
+              <p className="text-xs text-muted-foreground">
+                Skapad {formatDateTime(backup.createdAt)} · {backup.accounts.length} konton ·{' '}
+                {formatNumber(backup.dailyRows.length)} dagar · {formatNumber(backup.videoData.length)} videor
+              </p>
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Select value={mode} onValueChange={setMode} disabled={isRestoring}>
+                <SelectTrigger className="h-8 text-sm sm:w-64">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(RESTORE_MODE_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              {mode === RESTORE_MODES.MERGE && (
+                <Select value={strategy} onValueChange={setStrategy} disabled={isRestoring}>
+                  <SelectTrigger className="h-8 text-sm sm:w-64">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(MERGE_STRATEGY_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>Vid olika värden: {label.toLowerCase()}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </div>
+
+            {isPreviewing && (
+              <div className="flex items-center text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Jämför med befintlig data...
+              </div>
+            )}
+
+            {preview && !isPreviewing && (
+              <>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Konto</TableHead>
+                      <TableHead>Åtgärd</TableHead>
+                      <TableHead className="text-right">Dagar</TableHead>
+                      <TableHead className="text-right">Videor</TableHead>
+                      <TableHead className="text-right">Följaraktivitet</TableHead>
+                      <TableHead className="text-right">Demografi</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {preview.accounts.map(account => (
+                      <TableRow key={account.id}>
+                        <TableCell className="font-medium">{account.name}</TableCell>
+                        <TableCell className="text-sm text-muted-foreground">
+                          {!account.target
+                            ? 'Nytt konto'
+                            : mode === RESTORE_MODES.REPLACE
+                              ? 'Ersätts'
+                              : `Slås ihop med ${account.target.name}`}
+                        </TableCell>
+                        <TableCell className="text-right">{formatChanges(account.dailyRows)}</TableCell>
+                        <TableCell className="text-right">{formatChanges(account.videoData)}</TableCell>
+                        <TableCell className="text-right">{formatChanges(account.followerActivity)}</TableCell>
+                        <TableCell className="text-right">{account.demographics || '–'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+
+                <p className="text-xs text-muted-foreground">
+                  + tillagda · ~ ersatta · − borttagna rader. {preview.mappingProfiles.added} nya och{' '}
+                  {preview.mappingProfiles.replaced} ersatta mappningsprofiler.
+                  {preview.mode === RESTORE_MODES.REPLACE && ' Den nuvarande versionen av varje konto sparas i papperskorgen.'}
+                </p>
+
+                {preview.removedAccounts.length > 0 && (
+                  <Alert className="border-yellow-500 bg-yellow-50">
+                    <AlertTriangle className="h-4 w-4 text-yellow-600" />
+                    <AlertTitle className="text-yellow-800">Konton som tas bort</AlertTitle>
+                    <AlertDescription className="text-yellow-700">
+                      {preview.removedAccounts.map(account => account.name).join(', ')} finns inte i
+                      säkerhetskopian och flyttas till papperskorgen tillsammans med sin data.
+                    </AlertDescription>
+                  </Alert>
+                )}
+              </>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={handleCancel} disabled={isRestoring}>
+                Avbryt
+              </Button>
+              <Button
+                variant={mode === RESTORE_MODES.REPLACE ? 'destructive' : 'default'}
+                onClick={handleRestore}
+                disabled={isRestoring || isPreviewing || !preview}
+              >
+                {isRestoring && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {mode === RESTORE_MODES.REPLACE ? 'Ersätt all data' : 'Återställ'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { ChevronDown, ChevronRight, Plus, Trash2 } from 'lucide-react';
+import {
+  ACCOUNT_RULE_TYPES,
+  ACCOUNT_RULE_TYPE_LABELS,
+  validateAccountRule
+} from '@/utils/accountMatching';
+import { generateId } from '@/utils/utils';
+
+const EMPTY_RULE = { type: ACCOUNT_RULE_TYPES.PREFIX, pattern: '', accountName: '' };
+
+/**
+ * Hopfällbar lista med regler som fyller i kontonamn utifrån filnamn.
+ * Egna regler anges som prefix eller reguljärt uttryck; inlärda regler skapas
+ * automatiskt vid import och kan bara tas bort.
+ *
+ * @param {Array} props.rules - Sparade regler
+ * @param {Function} props.onChange - Anropas med hela den nya regellistan
+ * @param {boolean} props.disabled - Lås redigering
+ */
+export function AccountRulesEditor({ rules, onChange, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [error, setError] = useState(null);
+
+  const handleAdd = () => {
+    const rule = { ...draft, pattern: draft.pattern.trim(), accountName: draft.accountName.trim() };
+    const validationError = validateAccountRule(rule);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    onChange([...rules, { ...rule, id: generateId(), updatedAt: Date.now() }]);
+    setDraft(EMPTY_RULE);
+    setError(null);
+  };
+
+  const handleDelete = (id) => {
+    onChange(rules.filter(rule => rule.id !== id));
+  };
+
+  return (
+    <div className="border rounded-md">
+      <button
+        type="button"
+        className="w-full flex items-center gap-1 px-3 py-2 text-sm text-muted-foreground hover:text-foreground"
+        onClick={() => setIsOpen(open => !open)}
+      >
+        {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        Regler för kontonamn ({rules.length})
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          <p className="text-xs text-muted-foreground">
+            Kontonamnet fylls i utifrån filnamnet. Ett reguljärt uttryck utan kontonamn använder första
+            gruppen som namn, t.ex. <code>^([^_]+)_</code>. Inlärda regler skapas när en fil importeras.
+          </p>
+
+          {rules.length > 0 && (
+            <ul className="space-y-1">
+              {rules.map(rule => (
+                <li key={rule.id} className="flex items-center gap-2 text-xs">
+                  <span className="text-muted-foreground w-28 shrink-0">{ACCOUNT_RULE_TYPE_LABELS[rule.type]}</span>
+                  <code className="truncate">{rule.pattern}</code>
+                  <span className="text-muted-foreground">→</span>
+                  <span className="font-medium truncate">{rule.accountName || 'första gruppen'}</span>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-6 w-6 ml-auto shrink-0"
+                    onClick={() => handleDelete(rule.id)}
+                    disabled={disabled}
+                    title="Ta bort regeln"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Select
+              value={draft.type}
+              onValueChange={(type) => setDraft(prev => ({ ...prev, type }))}
+              disabled={disabled}
+            >
+              <SelectTrigger className="h-7 text-sm sm:w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ACCOUNT_RULE_TYPES.PREFIX}>{ACCOUNT_RULE_TYPE_LABELS[ACCOUNT_RULE_TYPES.PREFIX]}</SelectItem>
+                <SelectItem value={ACCOUNT_RULE_TYPES.REGEX}>{ACCOUNT_RULE_TYPE_LABELS[ACCOUNT_RULE_TYPES.REGEX]}</SelectItem>
+              </SelectContent>
+            </Select>
+            <Input
+              value={draft.pattern}
+              onChange={(e) => setDraft(prev => ({ ...prev, pattern: e.target.value }))}
+              placeholder={draft.type === ACCOUNT_RULE_TYPES.REGEX ? '^([^_]+)_' : 'P3_'}
+              className="h-7 text-sm"
+              disabled={disabled}
+            />
+            <Input
+              value={draft.accountName}
+              onChange={(e) => setDraft(prev => ({ ...prev, accountName: e.target.value }))}
+              placeholder="Kontonamn"
+              className="h-7 text-sm"
+              disabled={disabled}
+            />
+            <Button size="sm" className="h-7" onClick={handleAdd} disabled={disabled}>
+              <Plus className="h-3 w-3 mr-1" />
+              Lägg till
+            </Button>
+          </div>
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
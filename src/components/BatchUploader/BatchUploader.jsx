@@ -1,9 +1,10 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from '../ui/card';
 import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { Alert, AlertDescription, AlertTitle } from '../ui/alert';
 import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
 import {
   UploadCloud,
   Loader2,
@@ -11,106 +12,347 @@ import {
   AlertCircle,
   Calendar,
   Trash2,
-  Play
+  Play,
+  FileText,
+  FileArchive,
+  ClipboardCheck,
+  AlertTriangle,
+  Languages
 } from 'lucide-react';
-import { saveAccountData, getAccounts, saveAccount } from '@/utils/webStorageService';
-import { processTikTokData } from '@/utils/webDataProcessor';
-import { cn, formatDate } from '@/utils/utils';
+import {
+  saveImport,
+  hashFile,
+  getAccountData,
+  getVideoData,
+  getDemographicsSnapshots,
+  getActivityData,
+  getAccounts,
+  getAccount,
+  saveAccount,
+  readTextPreview,
+  readSpreadsheetFile,
+  readZipArchive,
+  getMappingProfiles,
+  saveMappingProfile,
+  renameMappingProfile,
+  deleteMappingProfile,
+  getAccountRules,
+  saveAccountRules,
+  runWorkspaceOperation,
+  downloadFile,
+  subscribeToDataChanges
+} from '@/utils/webStorageService';
+import {
+  detectImportType,
+  detectDemographicDimension,
+  getUnmappedColumns,
+  findMatchingProfile,
+  pickProfileMappings,
+  findFieldColumn,
+  detectHeaderLanguage
+} from '@/utils/webDataProcessor';
+import { HEADER_LANGUAGE_LABELS } from '@/utils/headerDictionaries';
+import { toDateKey, toDateKeys } from '@/utils/dataProcessing';
+import { processTikTokDataInBackground } from '@/utils/backgroundImport';
+import { validateImport, formatValidationReport } from '@/utils/importValidation';
+import {
+  ACCOUNT_RULE_TYPES,
+  findAccountByName,
+  findSimilarAccounts,
+  suggestAccountName,
+  learnAccountRule
+} from '@/utils/accountMatching';
+import { ColumnMappingEditor } from './ColumnMappingEditor';
+import { MappingProfilesEditor } from './MappingProfilesEditor';
+import { ImportReport } from './ImportReport';
+import { ConflictResolver } from './ConflictResolver';
+import { AccountRulesEditor } from './AccountRulesEditor';
+import { PasteImport } from './PasteImport';
+import { ENCODINGS, ENCODING_LABELS, hasGarbledHeader } from '@/utils/encoding';
+import { IMPORT_TYPES, IMPORT_TYPE_LABELS, DEMOGRAPHIC_DIMENSIONS, MERGE_STRATEGIES, SYNC_EVENTS } from '@/utils/constants';
+import { cn, formatDate, isSupportedImportFile, isValidSpreadsheetFile, isZipFile } from '@/utils/utils';
 import Papa from 'papaparse';
 
 const FILE_STATUS = {
   WAITING: 'waiting',
   ANALYZING: 'analyzing',
   READY: 'ready',
+  VALIDATING: 'validating',
+  REVIEW: 'review',
   PROCESSING: 'processing',
   DONE: 'done',
+  SKIPPED: 'skipped',
   ERROR: 'error'
 };
 
+// Enhet för radantal per importtyp i statusraden
+const ROW_UNIT_LABELS = {
+  [IMPORT_TYPES.VIDEO]: 'videor',
+  [IMPORT_TYPES.DEMOGRAPHICS]: 'kategorier',
+  [IMPORT_TYPES.ACTIVITY]: 'timmar'
+};
+
+// Varifrån ett automatiskt ifyllt kontonamn kommer
+const ACCOUNT_SOURCE_LABELS = {
+  [ACCOUNT_RULE_TYPES.PREFIX]: 'regel för filnamnet',
+  [ACCOUNT_RULE_TYPES.REGEX]: 'regel för filnamnet',
+  [ACCOUNT_RULE_TYPES.LEARNED]: 'tidigare import av liknande fil',
+  account: 'befintligt konto i filnamnet'
+};
+
+const DEFAULT_RESOLUTION = { strategy: MERGE_STRATEGIES.TAKE_NEW, overrides: {} };
+
+// Hämtar kontots befintliga data av samma typ som importen, för överlappskontrollen.
+// Kontots revision sparas med granskningen så att importen kan upptäcka senare ändringar.
+const loadExistingData = async (accountName, importType) => {
+  const account = findAccountByName(accountName, await getAccounts());
+  if (!account) return { account: null, revision: null, data: [] };
+
+  const load = () => {
+    switch (importType) {
+      case IMPORT_TYPES.VIDEO:
+        return getVideoData(account.id);
+      case IMPORT_TYPES.DEMOGRAPHICS:
+        return getDemographicsSnapshots(account.id);
+      case IMPORT_TYPES.ACTIVITY:
+        return getActivityData(account.id);
+      default:
+        return getAccountData(account.id);
+    }
+  };
+
+  return { account, revision: account.revision || 0, data: await load() };
+};
+
+// Skickar tillbaka en granskad fil till granskning
+const markReviewStale = (entry) => ({ ...entry, status: FILE_STATUS.READY, result: null, report: null, staleReview: true });
+
+const EMPTY_ANALYSIS = { importType: IMPORT_TYPES.OVERVIEW, dimension: null, dateRange: null, rowCount: 0, fields: [], language: null };
+
+/**
+ * Tar fram okända kolumner och föreslår mappning från bäst matchande sparad profil
+ * @returns {Object} - { unknownColumns, customMappings, mappingProfileId }
+ */
+const resolveMappings = (analysis, profiles) => {
+  const unknownColumns = getUnmappedColumns(analysis.fields, analysis.importType);
+  const profile = findMatchingProfile(analysis.fields, analysis.importType, profiles);
+  return {
+    unknownColumns,
+    customMappings: pickProfileMappings(profile, unknownColumns),
+    mappingProfileId: profile ? profile.id : null
+  };
+};
+
+/**
+ * Analyserar de första raderna av CSV-innehåll: importtyp, datumintervall och antal rader
+ * @param {string} content - CSV-innehåll
+ * @param {Date} [referenceDate] - Exportens datum, används för datum utan årtal
+ * @returns {Promise<Object>} - { importType, dimension, dateRange, rowCount, fields, language }
+ */
+const analyzeContent = (content, referenceDate = new Date()) => {
+  return new Promise((resolve) => {
+    const previewContent = content.slice(0, 50000);
+
+    Papa.parse(previewContent, {
+      header: true,
+      preview: 100,
+      skipEmptyLines: true,
+      complete: (results) => {
+        let dateRange = null;
+        const importType = detectImportType(results.meta?.fields);
+        const dimension = importType === IMPORT_TYPES.DEMOGRAPHICS
+          ? detectDemographicDimension(results.meta.fields)
+          : null;
+
+        const fields = results.meta?.fields || [];
+        const dateField = findFieldColumn(fields, importType, importType === IMPORT_TYPES.VIDEO ? 'post_time' : 'date');
+
+        // Kalendernycklar även för videornas publiceringstid, så att dagen inte förskjuts av tidszonen
+        if (dateField && results.data.length > 0) {
+          const keys = toDateKeys(results.data.map(row => row[dateField]), referenceDate)
+            .filter(Boolean)
+            .sort();
+          if (keys.length > 0) {
+            dateRange = { startDate: keys[0], endDate: keys[keys.length - 1] };
+          }
+        }
+
+        resolve({
+          importType,
+          dimension,
+          dateRange,
+          rowCount: results.data.length,
+          fields,
+          language: detectHeaderLanguage(fields)
+        });
+      },
+      error: () => resolve(EMPTY_ANALYSIS)
+    });
+  });
+};
+
+// Filens ändringsdatum motsvarar exportdagen och avgör årtal för datum som saknar år
+const getReferenceDate = (file) => (file?.lastModified ? new Date(file.lastModified) : new Date());
+
+const getImportTypeLabel = (entry) => {
+  const label = IMPORT_TYPE_LABELS[entry.importType];
+  if (entry.importType === IMPORT_TYPES.DEMOGRAPHICS && entry.dimension) {
+    return `${label} (${DEMOGRAPHIC_DIMENSIONS[entry.dimension].toLowerCase()})`;
+  }
+  return label;
+};
+
 /**
- * Komponent för batch-upload av TikTok CSV-filer
- * Varje fil kopplas till ett kontonamn (manuellt ifyllt av användaren)
+ * Komponent för batch-upload av TikTok-exportfiler (CSV eller Excel)
+ * Varje fil kopplas till ett kontonamn (manuellt ifyllt av användaren).
+ * Importtypen (daglig översikt, per video, demografi, aktivitet) identifieras automatiskt.
+ * För Excel-filer med flera blad väljs vilket blad som ska importeras.
+ * ZIP-arkiv packas upp i webbläsaren och varje CSV/Excel-fil i arkivet blir en egen post.
+ * Tabelldata kan också klistras in från urklipp och blir då en post som en CSV-fil.
+ * Innan något sparas granskas varje fil (torrkörning) och användaren bekräftar vilka filer
+ * som ska importeras utifrån granskningsrapporten.
  *
  * @param {Function} props.onSuccess - Callback när uppladdning lyckats
  * @param {Function} props.onCancel - Callback för avbryt
  */
 export function BatchUploader({ onSuccess, onCancel }) {
-  const [fileEntries, setFileEntries] = useState([]); // { id, file, accountName, dateRange, status, error, rowCount }
+  const [fileEntries, setFileEntries] = useState([]); // { id, file, accountName, importType, dateRange, status, error, rowCount }
   const [isProcessing, setIsProcessing] = useState(false);
   const [totalProgress, setTotalProgress] = useState(0);
   const [isDragging, setIsDragging] = useState(false);
   const [globalError, setGlobalError] = useState(null);
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [accountRules, setAccountRules] = useState(getAccountRules);
 
   const fileInputRef = useRef(null);
 
-  const analyzeFile = useCallback(async (file) => {
-    return new Promise((resolve) => {
-      const reader = new FileReader();
-
-      reader.onload = (event) => {
-        const content = event.target.result;
-        const previewContent = content.slice(0, 50000);
-
-        Papa.parse(previewContent, {
-          header: true,
-          preview: 100,
-          skipEmptyLines: true,
-          complete: (results) => {
-            let dateRange = null;
-
-            const dateField = results.meta?.fields?.find(f =>
-              f.toLowerCase().includes('datum') || f.toLowerCase() === 'date'
-            );
-
-            if (dateField && results.data.length > 0) {
-              const dates = [];
-              results.data.forEach(row => {
-                const val = row[dateField];
-                if (val) {
-                  try {
-                    const d = new Date(val);
-                    if (!isNaN(d.getTime())) dates.push(d);
-                  } catch (e) { /* ignore */ }
-                }
-              });
+  useEffect(() => {
+    getMappingProfiles().then(setMappingProfiles);
+    getAccounts().then(setAccounts);
+  }, []);
 
-              if (dates.length > 0) {
-                dates.sort((a, b) => a - b);
-                dateRange = { startDate: dates[0], endDate: dates[dates.length - 1] };
-              }
-            }
+  // Ändras ett konto i en annan flik gäller inte granskningen längre och filen måste granskas om
+  useEffect(() => subscribeToDataChanges((event) => {
+    getAccounts().then(setAccounts);
+    if (event.type !== SYNC_EVENTS.DATA_CHANGED) return;
 
-            resolve({
-              content,
-              dateRange,
-              rowCount: results.data.length
-            });
-          },
-          error: () => resolve({ content, dateRange: null, rowCount: 0 })
-        });
+    setFileEntries(prev => prev.map(e =>
+      e.status === FILE_STATUS.REVIEW && event.accountIds.includes(e.reviewedAccountId)
+        ? markReviewStale(e)
+        : e
+    ));
+  }), []);
+
+  // encoding gäller bara textfiler; utelämnas den identifieras teckenkodningen.
+  // Av en textfil läses bara början; hela filen läses först i importWorker vid granskningen.
+  const analyzeFile = useCallback(async (file, encoding = null) => {
+    const noEncoding = { encoding: null, detectedEncoding: null, garbledHeader: false };
+
+    try {
+      if (isValidSpreadsheetFile(file)) {
+        const sheets = await readSpreadsheetFile(file);
+        // Välj första bladet som innehåller data
+        const sheet = sheets.find(sh => sh.rowCount > 0) || sheets[0];
+        if (!sheet) {
+          return { readable: false, content: null, sheets: [], sheetName: null, ...noEncoding, ...EMPTY_ANALYSIS };
+        }
+        const analysis = await analyzeContent(sheet.content, getReferenceDate(file));
+        return {
+          readable: true,
+          content: sheet.content,
+          sheets,
+          sheetName: sheet.name,
+          ...noEncoding,
+          garbledHeader: hasGarbledHeader(sheet.content),
+          ...analysis
+        };
+      }
+
+      const text = await readTextPreview(file, encoding);
+      const analysis = await analyzeContent(text.content, getReferenceDate(file));
+      return {
+        readable: true,
+        content: null,
+        sheets: null,
+        sheetName: null,
+        encoding: text.encoding,
+        detectedEncoding: text.detectedEncoding,
+        garbledHeader: hasGarbledHeader(text.content),
+        ...analysis
       };
+    } catch (err) {
+      console.error(`Kunde inte läsa ${file.name}:`, err);
+      return { readable: false, content: null, sheets: null, sheetName: null, ...noEncoding, ...EMPTY_ANALYSIS };
+    }
+  }, []);
 
-      reader.onerror = () => resolve({ content: null, dateRange: null, rowCount: 0 });
-      reader.readAsText(file);
-    });
+  // Packar upp ZIP-arkiv till en lista av { file, archiveName }
+  const expandArchives = useCallback(async (files) => {
+    const expanded = [];
+
+    for (const file of files) {
+      if (isZipFile(file)) {
+        try {
+          const members = await readZipArchive(file);
+          if (members.length === 0) {
+            setGlobalError(`Arkivet ${file.name} innehåller inga CSV- eller Excel-filer`);
+          }
+          members.forEach(member => expanded.push({ file: member.file, archiveName: file.name }));
+        } catch (err) {
+          console.error(`Kunde inte packa upp ${file.name}:`, err);
+          setGlobalError(`Kunde inte packa upp ${file.name}`);
+        }
+      } else {
+        expanded.push({ file, archiveName: null });
+      }
+    }
+
+    return expanded;
   }, []);
 
-  const addFiles = useCallback(async (files) => {
+  // Inklistrad data har ett genererat filnamn som inte säger något om kontot, så den
+  // får inget föreslaget kontonamn och lär inte in någon regel
+  const addFiles = useCallback(async (files, isPasted = false) => {
     const newEntries = [];
+    const expanded = await expandArchives(files);
 
-    for (const file of files) {
-      if (!file.name.toLowerCase().endsWith('.csv')) continue;
+    for (const { file, archiveName } of expanded) {
+      if (!isSupportedImportFile(file)) continue;
 
       const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      const suggestion = isPasted ? null : suggestAccountName(file.name, accountRules, accounts);
       const entry = {
         id,
         file,
-        accountName: '',
+        archiveName,
+        isPasted,
+        accountName: suggestion ? suggestion.accountName : '',
+        accountSource: suggestion ? suggestion.source : null,
+        importType: null,
+        dimension: null,
+        language: null,
         dateRange: null,
         status: FILE_STATUS.ANALYZING,
         error: null,
         rowCount: 0,
-        content: null
+        content: null,
+        sheets: null,
+        sheetName: null,
+        encoding: null,
+        detectedEncoding: null,
+        garbledHeader: false,
+        unknownColumns: [],
+        customMappings: {},
+        mappingProfileId: null,
+        ignoredColumns: [],
+        invalidCells: [],
+        invalidCellCount: 0,
+        progress: 0,
+        result: null,
+        report: null,
+        confirmed: false,
+        resolution: DEFAULT_RESOLUTION
       };
       newEntries.push(entry);
     }
@@ -126,15 +368,25 @@ export function BatchUploader({ onSuccess, onCancel }) {
         e.id === entry.id
           ? {
               ...e,
-              status: FILE_STATUS.READY,
+              status: result.readable ? FILE_STATUS.READY : FILE_STATUS.ERROR,
+              error: result.readable ? null : 'Kunde inte läsa filen',
+              sheets: result.sheets,
+              sheetName: result.sheetName,
+              encoding: result.encoding,
+              detectedEncoding: result.detectedEncoding,
+              garbledHeader: result.garbledHeader,
+              importType: result.importType,
+              dimension: result.dimension,
+              language: result.language,
               dateRange: result.dateRange,
               rowCount: result.rowCount,
-              content: result.content
+              content: result.content,
+              ...resolveMappings(result, mappingProfiles)
             }
           : e
       ));
     }
-  }, [analyzeFile]);
+  }, [analyzeFile, expandArchives, mappingProfiles, accountRules, accounts]);
 
   const handleFileInputChange = (e) => {
     const files = Array.from(e.target.files || []);
@@ -163,16 +415,176 @@ export function BatchUploader({ onSuccess, onCancel }) {
     setFileEntries(prev => prev.filter(e => e.id !== id));
   };
 
+  const handleSheetChange = async (id, sheetName) => {
+    const entry = fileEntries.find(e => e.id === id);
+    const sheet = entry?.sheets?.find(sh => sh.name === sheetName);
+    if (!sheet) return;
+
+    setFileEntries(prev => prev.map(e =>
+      e.id === id ? { ...e, sheetName, status: FILE_STATUS.ANALYZING } : e
+    ));
+
+    const analysis = await analyzeContent(sheet.content, getReferenceDate(entry.file));
+    setFileEntries(prev => prev.map(e =>
+      e.id === id
+        ? {
+            ...e,
+            ...analysis,
+            ...resolveMappings(analysis, mappingProfiles),
+            content: sheet.content,
+            garbledHeader: hasGarbledHeader(sheet.content),
+            status: FILE_STATUS.READY,
+            error: null,
+            result: null,
+            report: null,
+            confirmed: false
+          }
+        : e
+    ));
+  };
+
+  // Läser om filen med en annan teckenkodning än den identifierade
+  const handleEncodingChange = async (id, encoding) => {
+    const entry = fileEntries.find(e => e.id === id);
+    if (!entry) return;
+
+    setFileEntries(prev => prev.map(e =>
+      e.id === id ? { ...e, encoding, status: FILE_STATUS.ANALYZING } : e
+    ));
+
+    const result = await analyzeFile(entry.file, encoding);
+    setFileEntries(prev => prev.map(e =>
+      e.id === id
+        ? {
+            ...e,
+            status: result.readable ? FILE_STATUS.READY : FILE_STATUS.ERROR,
+            error: result.readable ? null : 'Kunde inte läsa filen',
+            encoding: result.encoding,
+            detectedEncoding: result.detectedEncoding,
+            garbledHeader: result.garbledHeader,
+            importType: result.importType,
+            dimension: result.dimension,
+            language: result.language,
+            dateRange: result.dateRange,
+            rowCount: result.rowCount,
+            content: result.content,
+            ...resolveMappings(result, mappingProfiles),
+            result: null,
+            report: null,
+            confirmed: false
+          }
+        : e
+    ));
+  };
+
+  const handleMappingsChange = (id, customMappings) => {
+    setFileEntries(prev => prev.map(e => e.id === id ? { ...e, customMappings } : e));
+  };
+
+  const handleApplyProfile = (id, profileId) => {
+    const profile = mappingProfiles.find(p => p.id === profileId) || null;
+    setFileEntries(prev => prev.map(e =>
+      e.id === id
+        ? { ...e, mappingProfileId: profileId, customMappings: pickProfileMappings(profile, e.unknownColumns) }
+        : e
+    ));
+  };
+
+  const handleSaveProfile = async (id, name) => {
+    const entry = fileEntries.find(e => e.id === id);
+    if (!entry) return;
+
+    try {
+      const saved = await saveMappingProfile({
+        name,
+        importType: entry.importType,
+        mappings: entry.customMappings
+      });
+      setMappingProfiles(await getMappingProfiles());
+      setFileEntries(prev => prev.map(e => e.id === id ? { ...e, mappingProfileId: saved.id } : e));
+    } catch (err) {
+      setGlobalError(`Kunde inte spara profilen: ${err.message}`);
+    }
+  };
+
+  const handleRenameProfile = async (profileId, name) => {
+    const { error } = await renameMappingProfile(profileId, name);
+    if (error) return error;
+    setMappingProfiles(await getMappingProfiles());
+    return null;
+  };
+
+  // Filer som ännu inte har granskats får tillbaka sina omappade kolumner
+  const handleDeleteProfile = async (profileId) => {
+    if (!await deleteMappingProfile(profileId)) {
+      setGlobalError('Kunde inte ta bort profilen');
+      return;
+    }
+    setMappingProfiles(await getMappingProfiles());
+    setFileEntries(prev => prev.map(e =>
+      e.mappingProfileId === profileId
+        ? {
+            ...e,
+            mappingProfileId: null,
+            ...(e.status === FILE_STATUS.READY ? { customMappings: {} } : {})
+          }
+        : e
+    ));
+  };
+
   const handleAccountNameChange = (id, name) => {
-    setFileEntries(prev => prev.map(e => e.id === id ? { ...e, accountName: name } : e));
+    // Överlappet beror på kontot, så en granskad fil måste granskas om
+    setFileEntries(prev => prev.map(e =>
+      e.id === id
+        ? {
+            ...e,
+            accountName: name,
+            accountSource: null,
+            ...(e.status === FILE_STATUS.REVIEW
+              ? { status: FILE_STATUS.READY, result: null, report: null, confirmed: false }
+              : {})
+          }
+        : e
+    ));
   };
 
-  const canProcess = fileEntries.length > 0 &&
-    fileEntries.every(e => e.accountName.trim() !== '') &&
-    fileEntries.some(e => e.status === FILE_STATUS.READY || e.status === FILE_STATUS.DONE) &&
+  // Nya regler fyller i kontonamn för filer som ännu saknar ett
+  const handleRulesChange = (rules) => {
+    setAccountRules(rules);
+    saveAccountRules(rules);
+    setFileEntries(prev => prev.map(e => {
+      if (e.accountName.trim() || e.isPasted || e.status === FILE_STATUS.DONE) return e;
+      const suggestion = suggestAccountName(e.file.name, rules, accounts);
+      return suggestion ? { ...e, accountName: suggestion.accountName, accountSource: suggestion.source } : e;
+    }));
+  };
+
+  const handleConfirmChange = (id, confirmed) => {
+    setFileEntries(prev => prev.map(e => e.id === id ? { ...e, confirmed } : e));
+  };
+
+  const handleResolutionChange = (id, resolution) => {
+    setFileEntries(prev => prev.map(e => e.id === id ? { ...e, resolution } : e));
+  };
+
+  const handleDownloadReport = (entry) => {
+    const baseName = entry.file.name.replace(/\.[^.]+$/, '');
+    downloadFile(formatValidationReport([entry.report]), `granskning-${baseName}.txt`, 'text/plain;charset=utf-8');
+  };
+
+  const readyCount = fileEntries.filter(e => e.status === FILE_STATUS.READY).length;
+  const confirmedCount = fileEntries.filter(e => e.status === FILE_STATUS.REVIEW && e.confirmed).length;
+  const reviewCount = fileEntries.filter(e => e.status === FILE_STATUS.REVIEW).length;
+
+  // Bara filer som ska granskas behöver ett kontonamn; filer med fel eller som redan är klara räknas inte
+  const canValidate = readyCount > 0 &&
+    fileEntries.every(e => e.status !== FILE_STATUS.READY || e.accountName.trim() !== '') &&
     !isProcessing;
 
-  const handleProcessAll = async () => {
+  const canImport = readyCount === 0 && reviewCount > 0 && !isProcessing;
+
+  // Steg 1: tolka och granska varje fil utan att spara något
+  const handleValidateAll = async () => {
     const readyEntries = fileEntries.filter(e => e.status === FILE_STATUS.READY);
 
     if (readyEntries.length === 0) return;
@@ -192,50 +604,58 @@ export function BatchUploader({ onSuccess, onCancel }) {
     const total = readyEntries.length;
 
     for (const entry of readyEntries) {
-      // Mark as processing
       setFileEntries(prev => prev.map(e =>
-        e.id === entry.id ? { ...e, status: FILE_STATUS.PROCESSING } : e
+        e.id === entry.id ? { ...e, status: FILE_STATUS.VALIDATING, progress: 0 } : e
       ));
 
+      // Tolkningen sker i en Web Worker som rapporterar hur stor del av filen som lästs
+      const handleProgress = (progress) => {
+        setFileEntries(prev => prev.map(e =>
+          e.id === entry.id ? { ...e, progress } : e
+        ));
+        setTotalProgress(Math.round(((processed + progress) / total) * 100));
+      };
+
       try {
-        if (!entry.content) {
+        // Ett Excel-blad är redan konverterat till CSV; en textfil läses i workern
+        const source = entry.sheets ? entry.content : entry.file;
+        if (!source) {
           throw new Error('Ingen data att bearbeta');
         }
 
-        // Process CSV
-        const result = await processTikTokData(entry.content);
-
-        if (!result.data || result.data.length === 0) {
-          throw new Error('Ingen data hittades i filen');
-        }
-
-        // Find or create account
-        const accounts = await getAccounts();
-        const accountName = entry.accountName.trim();
-        let account = accounts.find(a => a.name.toLowerCase() === accountName.toLowerCase());
-
-        let mergeData = false;
-        if (account) {
-          // Account already exists - merge data (deduplicating by date)
-          mergeData = true;
-        } else {
-          // Create new account
-          account = await saveAccount({
-            name: accountName,
-            createdAt: Date.now(),
-            hasData: false
-          });
-        }
+        const result = await processTikTokDataInBackground(source, {
+          // Utan vald teckenkodning identifieras den i hela filen och inte bara i början
+          encoding: entry.encoding !== entry.detectedEncoding ? entry.encoding : null,
+          customMappings: entry.customMappings,
+          referenceDate: getReferenceDate(entry.file),
+          onProgress: handleProgress
+        });
 
-        await saveAccountData(account.id, result.data, { merge: mergeData });
+        const existing = await loadExistingData(entry.accountName, result.meta.importType);
+        const report = validateImport(result, existing.data, {
+          fileName: entry.file.name,
+          sheetName: entry.sheetName,
+          accountName: entry.accountName.trim(),
+          snapshotDate: toDateKey(new Date())
+        });
 
         setFileEntries(prev => prev.map(e =>
           e.id === entry.id
-            ? { ...e, status: FILE_STATUS.DONE, rowCount: result.data.length }
+            ? {
+                ...e,
+                status: FILE_STATUS.REVIEW,
+                result,
+                report,
+                confirmed: !report.hasErrors,
+                resolution: DEFAULT_RESOLUTION,
+                reviewedAccountId: existing.account ? existing.account.id : null,
+                reviewedRevision: existing.revision,
+                staleReview: false
+              }
             : e
         ));
       } catch (err) {
-        console.error(`Fel vid bearbetning av ${entry.file.name}:`, err);
+        console.error(`Fel vid granskning av ${entry.file.name}:`, err);
         setFileEntries(prev => prev.map(e =>
           e.id === entry.id
             ? { ...e, status: FILE_STATUS.ERROR, error: err.message }
@@ -248,15 +668,146 @@ export function BatchUploader({ onSuccess, onCancel }) {
     }
 
     setIsProcessing(false);
+  };
+
+  // Steg 2: spara de granskade filer som användaren har bekräftat
+  const handleImportConfirmed = async () => {
+    const reviewedEntries = fileEntries.filter(e => e.status === FILE_STATUS.REVIEW);
+
+    setIsProcessing(true);
+    setGlobalError(null);
+    setTotalProgress(0);
+
+    let processed = 0;
+    const total = reviewedEntries.length;
+    let learnedRules = accountRules;
+
+    // Revisioner efter den här flikens egna importer, så att flera filer till samma konto
+    // inte tolkas som att kontot har ändrats någon annanstans
+    const ownRevisions = new Map();
+
+    // Arbetsytan kan inte bytas förrän alla filer är sparade, så att de hamnar i samma arbetsyta
+    await runWorkspaceOperation(async () => {
+      for (const entry of reviewedEntries) {
+        if (!entry.confirmed) {
+          setFileEntries(prev => prev.map(e =>
+            e.id === entry.id ? { ...e, status: FILE_STATUS.SKIPPED, result: null } : e
+          ));
+          processed++;
+          continue;
+        }
+
+        setFileEntries(prev => prev.map(e =>
+          e.id === entry.id ? { ...e, status: FILE_STATUS.PROCESSING } : e
+        ));
+
+        try {
+          const { result } = entry;
+
+          // Find or create account
+          const accountName = entry.accountName.trim();
+          let account = findAccountByName(accountName, await getAccounts());
+
+          let mergeData = false;
+          if (account) {
+            // Account already exists - merge data (deduplicating by date)
+            mergeData = true;
+          } else {
+            // Create new account
+            account = await saveAccount({
+              name: accountName,
+              createdAt: Date.now(),
+              hasData: false
+            });
+            ownRevisions.set(account.id, account.revision || 0);
+          }
+
+          // Filen granskades mot ett annat konto, eller som ett nytt konto som sedan har skapats
+          // någon annanstans: konflikterna har aldrig visats, så filen granskas om
+          const reviewedThisAccount = entry.reviewedAccountId === account.id;
+          if (!reviewedThisAccount && !ownRevisions.has(account.id)) {
+            setFileEntries(prev => prev.map(e => (e.id === entry.id ? markReviewStale(e) : e)));
+            processed++;
+            continue;
+          }
+
+          const expectedRevision = ownRevisions.has(account.id)
+            ? ownRevisions.get(account.id)
+            : entry.reviewedRevision;
+
+          const profile = mappingProfiles.find(p => p.id === entry.mappingProfileId);
+          const { entry: saved, conflict } = await saveImport(account.id, result, {
+            merge: mergeData,
+            resolution: entry.resolution,
+            expectedRevision,
+            source: {
+              fileName: entry.archiveName ? `${entry.archiveName}/${entry.file.name}` : entry.file.name,
+              fileSize: entry.file.size,
+              fileHash: await hashFile(entry.file),
+              sheetName: entry.sheetName,
+              mappingProfileId: profile ? profile.id : null,
+              mappingProfileName: profile ? profile.name : null
+            }
+          });
+
+          if (conflict) {
+            setFileEntries(prev => prev.map(e => (e.id === entry.id ? markReviewStale(e) : e)));
+            processed++;
+            continue;
+          }
+          if (!saved) {
+            throw new Error('Kunde inte spara data');
+          }
+
+          const updated = await getAccount(account.id);
+          ownRevisions.set(account.id, updated ? updated.revision || 0 : 0);
 
-    // Check if any succeeded
-    const doneEntries = fileEntries.filter(e => e.status === FILE_STATUS.DONE || e.status === FILE_STATUS.PROCESSING);
-    // Re-check after state update
+          // Nästa fil med samma namnmönster får samma konto
+          if (!entry.isPasted) {
+            learnedRules = learnAccountRule(learnedRules, entry.file.name, account.name);
+          }
+
+          setFileEntries(prev => prev.map(e =>
+            e.id === entry.id
+              ? {
+                  ...e,
+                  status: FILE_STATUS.DONE,
+                  result: null,
+                  rowCount: result.data.length,
+                  ignoredColumns: result.meta.unmappedColumns || [],
+                  invalidCells: result.meta.invalidCells || [],
+                  invalidCellCount: result.meta.invalidCellCount || 0
+                }
+              : e
+          ));
+        } catch (err) {
+          console.error(`Fel vid bearbetning av ${entry.file.name}:`, err);
+          setFileEntries(prev => prev.map(e =>
+            e.id === entry.id
+              ? { ...e, status: FILE_STATUS.ERROR, error: err.message }
+              : e
+          ));
+        }
+
+        processed++;
+        setTotalProgress(Math.round((processed / total) * 100));
+      }
+
+      if (learnedRules !== accountRules) {
+        setAccountRules(learnedRules);
+        saveAccountRules(learnedRules);
+      }
+      setAccounts(await getAccounts());
+    });
+
+    setIsProcessing(false);
 
     setTimeout(() => {
       setFileEntries(current => {
         const anyDone = current.some(e => e.status === FILE_STATUS.DONE);
-        if (anyDone && onSuccess) {
+        // Filer vars granskning blev inaktuell ligger kvar så att de kan granskas om
+        const anyStale = current.some(e => e.staleReview);
+        if (anyDone && !anyStale && onSuccess) {
           onSuccess();
         }
         return current;
@@ -264,16 +815,89 @@ export function BatchUploader({ onSuccess, onCancel }) {
     }, 300);
   };
 
+  // Visar om namnet matchar ett befintligt konto, föreslår liknande konton och varnar för nästan-dubbletter
+  const renderAccountHint = (entry) => {
+    const name = entry.accountName;
+    if (!name.trim()) return null;
+
+    const existing = findAccountByName(name, accounts);
+    const sourceLabel = entry.accountSource && ACCOUNT_SOURCE_LABELS[entry.accountSource];
+
+    if (existing) {
+      return (
+        <p className="text-xs text-muted-foreground">
+          {existing.name === name.trim() ? 'Läggs till i befintligt konto' : `Läggs till i befintligt konto "${existing.name}"`}
+          {sourceLabel && ` · ifyllt från ${sourceLabel}`}
+        </p>
+      );
+    }
+
+    const similar = findSimilarAccounts(name, accounts);
+    const nearDuplicate = similar.find(match => match.nearDuplicate);
+    const pickAccount = (accountName) => handleAccountNameChange(entry.id, accountName);
+    const disabled = isProcessing;
+
+    if (nearDuplicate) {
+      return (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-yellow-800">
+          <AlertTriangle className="h-3 w-3" />
+          <span>Liknar det befintliga kontot "{nearDuplicate.account.name}" – annars skapas ett nytt konto</span>
+          <Button
+            variant="outline"
+            size="sm"
+            className="h-6 text-xs"
+            onClick={() => pickAccount(nearDuplicate.account.name)}
+            disabled={disabled}
+          >
+            Använd "{nearDuplicate.account.name}"
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+        <span>
+          Nytt konto skapas
+          {sourceLabel && ` · ifyllt från ${sourceLabel}`}
+        </span>
+        {similar.length > 0 && (
+          <>
+            <span>· Menade du</span>
+            {similar.map(({ account }) => (
+              <Button
+                key={account.id}
+                variant="outline"
+                size="sm"
+                className="h-6 text-xs"
+                onClick={() => pickAccount(account.name)}
+                disabled={disabled}
+              >
+                {account.name}
+              </Button>
+            ))}
+          </>
+        )}
+      </div>
+    );
+  };
+
   const getStatusBadge = (entry) => {
     switch (entry.status) {
       case FILE_STATUS.ANALYZING:
         return <span className="text-xs text-yellow-600 flex items-center gap-1"><Loader2 className="h-3 w-3 animate-spin" />Analyserar...</span>;
       case FILE_STATUS.READY:
         return <span className="text-xs text-blue-600">Klar att bearbeta</span>;
+      case FILE_STATUS.VALIDATING:
+        return <span className="text-xs text-orange-600 flex items-center gap-1"><Loader2 className="h-3 w-3 animate-spin" />Granskar... {Math.round(entry.progress * 100)}%</span>;
+      case FILE_STATUS.REVIEW:
+        return <span className="text-xs text-blue-600">Granskad</span>;
       case FILE_STATUS.PROCESSING:
-        return <span className="text-xs text-orange-600 flex items-center gap-1"><Loader2 className="h-3 w-3 animate-spin" />Bearbetar...</span>;
+        return <span className="text-xs text-orange-600 flex items-center gap-1"><Loader2 className="h-3 w-3 animate-spin" />Sparar...</span>;
+      case FILE_STATUS.SKIPPED:
+        return <span className="text-xs text-muted-foreground">Hoppades över</span>;
       case FILE_STATUS.DONE:
-        return <span className="text-xs text-green-600 flex items-center gap-1"><CheckCircle2 className="h-3 w-3" />Klar! {entry.rowCount} rader</span>;
+        return <span className="text-xs text-green-600 flex items-center gap-1"><CheckCircle2 className="h-3 w-3" />Klar! {entry.rowCount} {ROW_UNIT_LABELS[entry.importType] || 'rader'}</span>;
       case FILE_STATUS.ERROR:
         return <span className="text-xs text-red-600 flex items-center gap-1"><AlertCircle className="h-3 w-3" />{entry.error || 'Fel'}</span>;
       default:
@@ -308,7 +932,7 @@ export function BatchUploader({ onSuccess, onCancel }) {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".csv"
+          accept=".csv,.xlsx,.xls,.zip"
           multiple
           className="hidden"
           onChange={handleFileInputChange}
@@ -317,14 +941,31 @@ export function BatchUploader({ onSuccess, onCancel }) {
         <div className="flex flex-col items-center gap-2">
           <UploadCloud className="h-10 w-10 text-muted-foreground" />
           <p className="text-sm font-medium">
-            Dra och släpp CSV-filer här, eller klicka för att välja
+            Dra och släpp CSV-, Excel- eller ZIP-filer här, eller klicka för att välja
           </p>
           <p className="text-xs text-muted-foreground">
-            Välj en eller flera TikTok-exportfiler (daglig översiktsdata)
+            Välj en eller flera TikTok-exportfiler (daglig översikt, per video, följardemografi eller följaraktivitet)
           </p>
         </div>
       </div>
 
+      <PasteImport onAdd={(file) => addFiles([file], true)} disabled={isProcessing} />
+
+      <AccountRulesEditor rules={accountRules} onChange={handleRulesChange} disabled={isProcessing} />
+
+      {mappingProfiles.length > 0 && (
+        <MappingProfilesEditor
+          profiles={mappingProfiles}
+          onRename={handleRenameProfile}
+          onDelete={handleDeleteProfile}
+          disabled={isProcessing}
+        />
+      )}
+
+      <datalist id="batch-uploader-accounts">
+        {accounts.map(account => <option key={account.id} value={account.name} />)}
+      </datalist>
+
       {/* File list */}
       {fileEntries.length > 0 && (
         <div className="space-y-3">
@@ -341,7 +982,18 @@ export function BatchUploader({ onSuccess, onCancel }) {
                 <div className="flex-1 min-w-0 space-y-2">
                   {/* Filename */}
                   <div className="flex items-center justify-between gap-2">
-                    <p className="text-sm font-medium truncate">{entry.file.name}</p>
+                    <p className="text-sm font-medium truncate">
+                      {entry.file.name}
+                      {entry.sheetName && (
+                        <span className="text-muted-foreground font-normal"> · {entry.sheetName}</span>
+                      )}
+                    </p>
+                    {entry.archiveName && (
+                      <span className="ml-auto flex items-center text-xs text-muted-foreground shrink-0">
+                        <FileArchive className="h-3 w-3 mr-1" />
+                        {entry.archiveName}
+                      </span>
+                    )}
                     <Button
                       variant="ghost"
                       size="icon"
@@ -360,6 +1012,7 @@ export function BatchUploader({ onSuccess, onCancel }) {
                     </Label>
                     <Input
                       id={`account-${entry.id}`}
+                      list="batch-uploader-accounts"
                       value={entry.accountName}
                       onChange={(e) => handleAccountNameChange(entry.id, e.target.value)}
                       placeholder="Ex: P3, Ekot, SVT..."
@@ -367,9 +1020,88 @@ export function BatchUploader({ onSuccess, onCancel }) {
                       disabled={isProcessing || entry.status === FILE_STATUS.DONE}
                     />
                   </div>
+                  {entry.status !== FILE_STATUS.DONE && renderAccountHint(entry)}
+
+                  {/* Sheet selector for workbooks with several sheets */}
+                  {entry.sheets && entry.sheets.length > 1 && (
+                    <div className="flex items-center gap-2">
+                      <Label className="text-xs text-muted-foreground whitespace-nowrap">
+                        Blad:
+                      </Label>
+                      <Select
+                        value={entry.sheetName || ''}
+                        onValueChange={(value) => handleSheetChange(entry.id, value)}
+                        disabled={isProcessing || entry.status === FILE_STATUS.DONE}
+                      >
+                        <SelectTrigger className="h-7 text-sm">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {entry.sheets.map(sheet => (
+                            <SelectItem key={sheet.name} value={sheet.name}>
+                              {sheet.name} ({sheet.rowCount} rader)
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+
+                  {/* Character encoding for text files */}
+                  {entry.encoding && (
+                    <div className="flex items-center gap-2">
+                      <Label className="text-xs text-muted-foreground whitespace-nowrap">
+                        Teckenkodning:
+                      </Label>
+                      <Select
+                        value={entry.encoding}
+                        onValueChange={(value) => handleEncodingChange(entry.id, value)}
+                        disabled={isProcessing || entry.status === FILE_STATUS.DONE}
+                      >
+                        <SelectTrigger className="h-7 text-sm">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.values(ENCODINGS).map(encoding => (
+                            <SelectItem key={encoding} value={encoding}>
+                              {ENCODING_LABELS[encoding]}
+                              {encoding === entry.detectedEncoding && ' (identifierad)'}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+
+                  {entry.staleReview && entry.status === FILE_STATUS.READY && (
+                    <p className="text-xs text-yellow-800 flex items-center gap-1">
+                      <AlertTriangle className="h-3 w-3 shrink-0" />
+                      Kontot har skapats eller ändrats i en annan flik sedan filen granskades. Granska filen igen.
+                    </p>
+                  )}
 
-                  {/* Date range and status */}
+                  {entry.garbledHeader && entry.status !== FILE_STATUS.DONE && (
+                    <p className="text-xs text-yellow-800 flex items-center gap-1">
+                      <AlertTriangle className="h-3 w-3 shrink-0" />
+                      Kolumnrubrikerna innehåller tecken som inte kunde avkodas, så kolumner kan saknas.
+                      {entry.encoding && ' Prova en annan teckenkodning.'}
+                    </p>
+                  )}
+
+                  {/* Import type, date range and status */}
                   <div className="flex items-center gap-4">
+                    {entry.importType && (
+                      <div className="flex items-center text-xs text-muted-foreground">
+                        <FileText className="h-3 w-3 mr-1" />
+                        <span>{getImportTypeLabel(entry)}</span>
+                      </div>
+                    )}
+                    {entry.language && (
+                      <div className="flex items-center text-xs text-muted-foreground" title="Kolumnrubrikernas språk">
+                        <Languages className="h-3 w-3 mr-1" />
+                        <span>{HEADER_LANGUAGE_LABELS[entry.language]}</span>
+                      </div>
+                    )}
                     {entry.dateRange && (
                       <div className="flex items-center text-xs text-muted-foreground">
                         <Calendar className="h-3 w-3 mr-1" />
@@ -380,6 +1112,62 @@ export function BatchUploader({ onSuccess, onCancel }) {
                     )}
                     {getStatusBadge(entry)}
                   </div>
+
+                  {/* Column mapping for unknown headers */}
+                  {entry.unknownColumns.length > 0 && entry.status === FILE_STATUS.READY && (
+                    <ColumnMappingEditor
+                      columns={entry.unknownColumns}
+                      importType={entry.importType}
+                      mappings={entry.customMappings}
+                      profiles={mappingProfiles}
+                      profileId={entry.mappingProfileId}
+                      onChange={(mappings) => handleMappingsChange(entry.id, mappings)}
+                      onApplyProfile={(profileId) => handleApplyProfile(entry.id, profileId)}
+                      onSaveProfile={(name) => handleSaveProfile(entry.id, name)}
+                      disabled={isProcessing}
+                    />
+                  )}
+
+                  {/* Validation report awaiting confirmation */}
+                  {entry.status === FILE_STATUS.REVIEW && entry.report && (
+                    <ImportReport
+                      id={entry.id}
+                      report={entry.report}
+                      confirmed={entry.confirmed}
+                      onConfirmChange={(confirmed) => handleConfirmChange(entry.id, confirmed)}
+                      onDownload={() => handleDownloadReport(entry)}
+                      disabled={isProcessing}
+                    />
+                  )}
+
+                  {/* Per-date diff against the account's saved data */}
+                  {entry.status === FILE_STATUS.REVIEW && entry.report?.conflicts.length > 0 && entry.confirmed && (
+                    <ConflictResolver
+                      conflicts={entry.report.conflicts}
+                      importType={entry.report.importType}
+                      resolution={entry.resolution}
+                      onChange={(resolution) => handleResolutionChange(entry.id, resolution)}
+                      disabled={isProcessing}
+                    />
+                  )}
+
+                  {entry.status === FILE_STATUS.DONE && entry.ignoredColumns.length > 0 && (
+                    <p className="text-xs text-muted-foreground">
+                      Ej importerade kolumner: {entry.ignoredColumns.join(', ')}
+                    </p>
+                  )}
+
+                  {entry.status === FILE_STATUS.DONE && entry.invalidCellCount > 0 && (
+                    <p
+                      className="text-xs text-yellow-700"
+                      title={entry.invalidCells
+                        .map(cell => `Rad ${cell.row}, ${cell.column}: "${cell.value}"`)
+                        .join('\n')}
+                    >
+                      {entry.invalidCellCount} {entry.invalidCellCount === 1 ? 'cell' : 'celler'} kunde inte tolkas och lämnades tomma
+                      {entry.invalidCells.length > 0 && ` (t.ex. rad ${entry.invalidCells[0].row}, ${entry.invalidCells[0].column}: "${entry.invalidCells[0].value}")`}
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
@@ -389,7 +1177,7 @@ export function BatchUploader({ onSuccess, onCancel }) {
           {isProcessing && (
             <div className="space-y-1">
               <div className="flex justify-between text-xs text-muted-foreground">
-                <span>Bearbetar filer...</span>
+                <span>{readyCount > 0 ? 'Granskar filer...' : 'Sparar filer...'}</span>
                 <span>{totalProgress}%</span>
               </div>
               <div className="w-full bg-muted rounded-full h-2">
@@ -411,23 +1199,43 @@ export function BatchUploader({ onSuccess, onCancel }) {
           </Button>
         )}
 
-        <Button
-          onClick={handleProcessAll}
-          disabled={!canProcess}
-          className={cn(!onCancel && "w-full")}
-        >
-          {isProcessing ? (
-            <>
-              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-              Bearbetar...
-            </>
-          ) : (
-            <>
-              <Play className="mr-2 h-4 w-4" />
-              Bearbeta alla ({fileEntries.filter(e => e.status === FILE_STATUS.READY).length} filer)
-            </>
-          )}
-        </Button>
+        {readyCount > 0 || reviewCount === 0 ? (
+          <Button
+            onClick={handleValidateAll}
+            disabled={!canValidate}
+            className={cn(!onCancel && "w-full")}
+          >
+            {isProcessing ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Granskar...
+              </>
+            ) : (
+              <>
+                <ClipboardCheck className="mr-2 h-4 w-4" />
+                Granska ({readyCount} filer)
+              </>
+            )}
+          </Button>
+        ) : (
+          <Button
+            onClick={handleImportConfirmed}
+            disabled={!canImport}
+            className={cn(!onCancel && "w-full")}
+          >
+            {isProcessing ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Sparar...
+              </>
+            ) : (
+              <>
+                <Play className="mr-2 h-4 w-4" />
+                Importera bekräftade ({confirmedCount} av {reviewCount} filer)
+              </>
+            )}
+          </Button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertTriangle, Save } from 'lucide-react';
+import { getMappableFields } from '@/utils/webDataProcessor';
+
+// Radix Select tillåter inte tomma värden
+const IGNORE_VALUE = '__ignore';
+const NO_PROFILE_VALUE = '__none';
+
+/**
+ * Redigerare för kolumner som inte känns igen vid uppladdning.
+ * Varje okänd kolumn kan mappas till ett internt fält eller lämnas oimporterad,
+ * och mappningen kan sparas som en namngiven profil för framtida importer.
+ *
+ * @param {Array<string>} props.columns - Kolumner som de inbyggda namnen inte känner igen
+ * @param {string} props.importType - Filens importtyp
+ * @param {Object} props.mappings - Aktuell mappning { kolumnnamn: internt fält | null }
+ * @param {Array} props.profiles - Sparade mappningsprofiler
+ * @param {string|null} props.profileId - Vald profil
+ * @param {Function} props.onChange - Anropas med ny mappning
+ * @param {Function} props.onApplyProfile - Anropas med profil-ID (eller null)
+ * @param {Function} props.onSaveProfile - Anropas med profilnamn
+ * @param {boolean} props.disabled - Lås redigering
+ */
+export function ColumnMappingEditor({
+  columns,
+  importType,
+  mappings = {},
+  profiles = [],
+  profileId = null,
+  onChange,
+  onApplyProfile,
+  onSaveProfile,
+  disabled = false
+}) {
+  const [profileName, setProfileName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fields = getMappableFields(importType);
+  const profilesForType = profiles.filter(p => p.importType === importType);
+  const unmapped = columns.filter(column => !mappings[column]);
+
+  const handleFieldChange = (column, value) => {
+    onChange({ ...mappings, [column]: value === IGNORE_VALUE ? null : value });
+  };
+
+  const handleSave = async () => {
+    if (!profileName.trim()) return;
+    setIsSaving(true);
+    try {
+      await onSaveProfile(profileName.trim());
+      setProfileName('');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="border border-yellow-300 bg-yellow-50 rounded-md p-3 space-y-3">
+      <div className="flex items-start gap-2">
+        <AlertTriangle className="h-4 w-4 text-yellow-600 mt-0.5 shrink-0" />
+        <div className="text-xs text-yellow-800">
+          <p className="font-medium">Okända kolumner ({columns.length})</p>
+          <p>Välj vilket fält varje kolumn motsvarar. Kolumner som inte mappas importeras inte.</p>
+        </div>
+      </div>
+
+      {profilesForType.length > 0 && (
+        <div className="flex items-center gap-2">
+          <Label className="text-xs text-muted-foreground whitespace-nowrap">Profil:</Label>
+          <Select
+            value={profileId || NO_PROFILE_VALUE}
+            onValueChange={(value) => onApplyProfile(value === NO_PROFILE_VALUE ? null : value)}
+            disabled={disabled}
+          >
+            <SelectTrigger className="h-7 text-sm bg-background">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_PROFILE_VALUE}>Ingen profil</SelectItem>
+              {profilesForType.map(profile => (
+                <SelectItem key={profile.id} value={profile.id}>{profile.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      <div className="space-y-1.5">
+        {columns.map(column => (
+          <div key={column} className="grid grid-cols-2 gap-2 items-center">
+            <span className="text-xs font-mono truncate" title={column}>{column}</span>
+            <Select
+              value={mappings[column] || IGNORE_VALUE}
+              onValueChange={(value) => handleFieldChange(column, value)}
+              disabled={disabled}
+            >
+              <SelectTrigger className="h-7 text-xs bg-background">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={IGNORE_VALUE}>Importera inte</SelectItem>
+                {Object.entries(fields).map(([internal, label]) => (
+                  <SelectItem key={internal} value={internal}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </div>
+
+      {unmapped.length > 0 && (
+        <p className="text-xs text-muted-foreground">
+          Importeras inte: {unmapped.join(', ')}
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Input
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          placeholder="Namn på ny profil"
+          className="h-7 text-sm bg-background"
+          disabled={disabled || isSaving}
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7 shrink-0"
+          onClick={handleSave}
+          disabled={disabled || isSaving || !profileName.trim()}
+        >
+          <Save className="h-3 w-3 mr-1" />
+          Spara profil
+        </Button>
+      </div>
+    </div>
+  );
+}
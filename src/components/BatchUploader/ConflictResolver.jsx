@@ -0,0 +1,100 @@
+import React from 'react';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { GitCompare } from 'lucide-react';
+import { MERGE_STRATEGIES, MERGE_STRATEGY_LABELS } from '@/utils/constants';
+import { getMappableFields } from '@/utils/webDataProcessor';
+import { formatNumber } from '@/utils/utils';
+
+// Radix Select tillåter inte tomma värden
+const FILE_STRATEGY_VALUE = '__file';
+
+const formatValue = (value) => (value === null || value === undefined ? '–' : formatNumber(value));
+
+/**
+ * Visar rader där filen skiljer sig från kontots sparade data (sparat → nytt per fält)
+ * och låter användaren välja strategi för hela filen eller per rad.
+ *
+ * @param {Array} props.conflicts - Konflikter från findMergeConflicts
+ * @param {string} props.importType - Filens importtyp
+ * @param {Object} props.resolution - { strategy, overrides: { nyckel: strategi } }
+ * @param {Function} props.onChange - Anropas med ny resolution
+ * @param {boolean} props.disabled - Lås ändringar
+ */
+export function ConflictResolver({ conflicts, importType, resolution, onChange, disabled = false }) {
+  const fieldLabels = getMappableFields(importType);
+  const overrides = resolution.overrides || {};
+
+  const handleStrategyChange = (strategy) => {
+    onChange({ ...resolution, strategy });
+  };
+
+  const handleOverrideChange = (key, value) => {
+    const next = { ...overrides };
+    if (value === FILE_STRATEGY_VALUE) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+    onChange({ ...resolution, overrides: next });
+  };
+
+  return (
+    <div className="border rounded-md p-3 space-y-2 bg-background">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs font-medium flex items-center gap-1">
+          <GitCompare className="h-3 w-3" />
+          Skiljer sig från sparad data ({conflicts.length})
+        </p>
+        <div className="flex items-center gap-2">
+          <Label className="text-xs text-muted-foreground whitespace-nowrap">Hela filen:</Label>
+          <Select value={resolution.strategy} onValueChange={handleStrategyChange} disabled={disabled}>
+            <SelectTrigger className="h-7 w-[160px] text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.values(MERGE_STRATEGIES).map(strategy => (
+                <SelectItem key={strategy} value={strategy}>{MERGE_STRATEGY_LABELS[strategy]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto space-y-1">
+        {conflicts.map(conflict => (
+          <div key={conflict.key} className="grid grid-cols-[1fr_auto] gap-2 items-start border-t pt-1">
+            <div className="text-xs min-w-0">
+              <span className="font-medium">{conflict.key}</span>
+              <div className="text-muted-foreground">
+                {conflict.changes.map(change => (
+                  <span key={change.field} className="mr-3 whitespace-nowrap">
+                    {fieldLabels[change.field] || change.field}:{' '}
+                    {formatValue(change.existing)}
+                    {' → '}
+                    <span className="text-foreground">{formatValue(change.incoming)}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+            <Select
+              value={overrides[conflict.key] || FILE_STRATEGY_VALUE}
+              onValueChange={(value) => handleOverrideChange(conflict.key, value)}
+              disabled={disabled}
+            >
+              <SelectTrigger className="h-7 w-[160px] text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={FILE_STRATEGY_VALUE}>Som hela filen</SelectItem>
+                {Object.values(MERGE_STRATEGIES).map(strategy => (
+                  <SelectItem key={strategy} value={strategy}>{MERGE_STRATEGY_LABELS[strategy]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Button } from '../ui/button';
+import { Checkbox } from '../ui/checkbox';
+import { Label } from '../ui/label';
+import { AlertCircle, AlertTriangle, CheckCircle2, FileDown } from 'lucide-react';
+import { ISSUE_LEVELS } from '@/utils/importValidation';
+import { cn } from '@/utils/utils';
+
+/**
+ * Visar granskningsrapporten för en fil innan den importeras.
+ * Filen importeras bara om användaren bekräftar den; filer med fel kan inte bekräftas.
+ *
+ * @param {Object} props.id - Filpostens ID (för etikettkopplingen)
+ * @param {Object} props.report - Rapport från validateImport
+ * @param {boolean} props.confirmed - Om filen ska importeras
+ * @param {Function} props.onConfirmChange - Anropas med true/false
+ * @param {Function} props.onDownload - Laddar ned rapporten som textfil
+ * @param {boolean} props.disabled - Lås ändringar
+ */
+export function ImportReport({ id, report, confirmed, onConfirmChange, onDownload, disabled = false }) {
+  const mappedCount = report.columns.filter(column => column.field).length;
+
+  return (
+    <div
+      className={cn(
+        'border rounded-md p-3 space-y-2 bg-background',
+        report.hasErrors ? 'border-red-300' : report.issues.length > 0 ? 'border-yellow-300' : 'border-green-300'
+      )}
+    >
+      <p className="text-xs text-muted-foreground">
+        {report.rowCount} av {report.totalRows} rader kan importeras · {mappedCount} av {report.columns.length} kolumner igenkända
+      </p>
+
+      {report.issues.length === 0 ? (
+        <p className="text-xs text-green-700 flex items-center gap-1">
+          <CheckCircle2 className="h-3 w-3" />
+          Inga problem hittades
+        </p>
+      ) : (
+        <ul className="space-y-1">
+          {report.issues.map((issue, index) => {
+            const isError = issue.level === ISSUE_LEVELS.ERROR;
+            const Icon = isError ? AlertCircle : AlertTriangle;
+            return (
+              <li key={index} className={cn('text-xs', isError ? 'text-red-700' : 'text-yellow-800')}>
+                <div className="flex items-start gap-1">
+                  <Icon className="h-3 w-3 mt-0.5 shrink-0" />
+                  <span>
+                    {issue.message}
+                    {issue.examples.length > 0 && (
+                      <span className="text-muted-foreground"> (t.ex. {issue.examples.slice(0, 3).join('; ')})</span>
+                    )}
+                  </span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="flex items-center justify-between gap-2 pt-1">
+        <div className="flex items-center space-x-2">
+          <Checkbox
+            id={`confirm-${id}`}
+            checked={confirmed}
+            onCheckedChange={(checked) => onConfirmChange(checked === true)}
+            disabled={disabled || report.hasErrors}
+          />
+          <Label htmlFor={`confirm-${id}`} className="text-xs">
+            {report.hasErrors ? 'Filen kan inte importeras' : 'Importera filen'}
+          </Label>
+        </div>
+        <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={onDownload}>
+          <FileDown className="h-3 w-3 mr-1" />
+          Ladda ned rapport
+        </Button>
+      </div>
+    </div>
+  );
+}
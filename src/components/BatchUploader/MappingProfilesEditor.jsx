@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Check, ChevronDown, ChevronRight, Pencil, Trash2, X } from 'lucide-react';
+import { IMPORT_TYPE_LABELS } from '@/utils/constants';
+
+/**
+ * Hopfällbar lista med sparade mappningsprofiler. En profil används automatiskt för filer
+ * med samma kolumner, så en felaktig profil kan byta namn eller tas bort här.
+ *
+ * @param {Array} props.profiles - Sparade mappningsprofiler
+ * @param {Function} props.onRename - Anropas med profil-ID och nytt namn; returnerar ett felmeddelande eller null
+ * @param {Function} props.onDelete - Anropas med profil-ID
+ * @param {boolean} props.disabled - Lås redigering
+ */
+export function MappingProfilesEditor({ profiles, onRename, onDelete, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [confirmId, setConfirmId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const startEditing = (profile) => {
+    setEditingId(profile.id);
+    setName(profile.name);
+    setConfirmId(null);
+    setError(null);
+  };
+
+  const handleRename = async () => {
+    const renameError = await onRename(editingId, name);
+    if (renameError) {
+      setError(renameError);
+      return;
+    }
+    setEditingId(null);
+    setError(null);
+  };
+
+  const handleDelete = async (id) => {
+    await onDelete(id);
+    setConfirmId(null);
+  };
+
+  return (
+    <div className="border rounded-md">
+      <button
+        type="button"
+        className="w-full flex items-center gap-1 px-3 py-2 text-sm text-muted-foreground hover:text-foreground"
+        onClick={() => setIsOpen(open => !open)}
+      >
+        {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        Mappningsprofiler ({profiles.length})
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          <p className="text-xs text-muted-foreground">
+            En profil används automatiskt för filer vars okända kolumner den känner igen. Ta bort en profil som
+            mappar en kolumn fel.
+          </p>
+
+          <ul className="space-y-1">
+            {profiles.map(profile => (
+              <li key={profile.id} className="flex items-center gap-2 text-xs">
+                <span className="text-muted-foreground w-28 shrink-0">{IMPORT_TYPE_LABELS[profile.importType]}</span>
+
+                {editingId === profile.id ? (
+                  <>
+                    <Input
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                      className="h-6 text-xs"
+                      disabled={disabled}
+                      autoFocus
+                    />
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6 shrink-0"
+                      onClick={handleRename}
+                      disabled={disabled || !name.trim()}
+                      title="Spara namnet"
+                    >
+                      <Check className="h-3 w-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-6 w-6 shrink-0"
+                      onClick={() => setEditingId(null)}
+                      title="Avbryt"
+                    >
+                      <X className="h-3 w-3" />
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <span className="font-medium truncate">{profile.name}</span>
+                    <span className="text-muted-foreground shrink-0">
+                      {Object.keys(profile.mappings || {}).length} kolumner
+                    </span>
+                    {confirmId === profile.id ? (
+                      <span className="ml-auto flex items-center gap-1 shrink-0">
+                        <span className="text-red-600">Ta bort?</span>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-6 px-2 text-xs text-red-600"
+                          onClick={() => handleDelete(profile.id)}
+                          disabled={disabled}
+                        >
+                          Ja
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-6 px-2 text-xs"
+                          onClick={() => setConfirmId(null)}
+                        >
+                          Nej
+                        </Button>
+                      </span>
+                    ) : (
+                      <span className="ml-auto flex shrink-0">
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-6 w-6"
+                          onClick={() => startEditing(profile)}
+                          disabled={disabled}
+                          title="Byt namn"
+                        >
+                          <Pencil className="h-3 w-3" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-6 w-6"
+                          onClick={() => setConfirmId(profile.id)}
+                          disabled={disabled}
+                          title="Ta bort profilen"
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </Button>
+                      </span>
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useState, useMemo } from 'react';
+import { Button } from '../ui/button';
+import { AlertCircle, ClipboardPaste, Plus } from 'lucide-react';
+import { parsePastedTable, DELIMITER_LABELS } from '@/utils/pastedTable';
+
+// Filnamn för inklistrad data, t.ex. "urklipp-2024-05-18-1432.csv"
+const createPastedFileName = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `urklipp-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}.csv`;
+};
+
+/**
+ * Klistra in tabelldata från urklipp (tabb- eller semikolonseparerad) som en importkälla.
+ * Texten tolkas till CSV och läggs till som en fil, så att den går genom samma
+ * mappning, granskning och kontotilldelning som en uppladdad fil.
+ *
+ * @param {Function} props.onAdd - Anropas med en File som innehåller tabellen som CSV
+ * @param {boolean} props.disabled - Lås inklistring
+ */
+export function PasteImport({ onAdd, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [clipboardError, setClipboardError] = useState(null);
+
+  const parsed = useMemo(() => (text.trim() ? parsePastedTable(text) : null), [text]);
+
+  const handleReadClipboard = async () => {
+    setClipboardError(null);
+    try {
+      setText(await navigator.clipboard.readText());
+    } catch (err) {
+      console.error('Kunde inte läsa urklipp:', err);
+      setClipboardError('Webbläsaren gav inte åtkomst till urklipp – klistra in med Ctrl+V (⌘V) i rutan i stället');
+    }
+  };
+
+  const handleAdd = () => {
+    if (!parsed || parsed.error) return;
+
+    const file = new File([parsed.csv], createPastedFileName(), { type: 'text/csv', lastModified: Date.now() });
+    onAdd(file);
+    setText('');
+    setIsOpen(false);
+  };
+
+  if (!isOpen) {
+    return (
+      <Button variant="outline" size="sm" onClick={() => setIsOpen(true)} disabled={disabled}>
+        <ClipboardPaste className="h-4 w-4 mr-2" />
+        Klistra in
+      </Button>
+    );
+  }
+
+  return (
+    <div className="border rounded-md p-3 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-sm font-medium">Klistra in tabell</p>
+        <Button variant="ghost" size="sm" className="h-7 text-xs" onClick={handleReadClipboard} disabled={disabled}>
+          <ClipboardPaste className="h-3 w-3 mr-1" />
+          Hämta från urklipp
+        </Button>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Klistra in rader kopierade ur TikTok Studio eller ett kalkylark, inklusive kolumnrubrikerna"
+        rows={6}
+        className="w-full rounded-md border border-input bg-background px-3 py-2 text-xs font-mono placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+        disabled={disabled}
+      />
+
+      {clipboardError && <p className="text-xs text-red-600">{clipboardError}</p>}
+
+      {parsed && (parsed.error ? (
+        <p className="text-xs text-red-600 flex items-center gap-1">
+          <AlertCircle className="h-3 w-3 shrink-0" />
+          {parsed.error}
+        </p>
+      ) : (
+        <p className="text-xs text-muted-foreground">
+          Avgränsare: {DELIMITER_LABELS[parsed.delimiter]} · rubriker på rad {parsed.headerRow} ·{' '}
+          {parsed.rowCount} rader × {parsed.columns.length} kolumner ({parsed.columns.slice(0, 4).join(', ')}
+          {parsed.columns.length > 4 && ' …'})
+        </p>
+      ))}
+
+      <div className="flex justify-end gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            setText('');
+            setIsOpen(false);
+          }}
+          disabled={disabled}
+        >
+          Avbryt
+        </Button>
+        <Button size="sm" onClick={handleAdd} disabled={disabled || !parsed || !!parsed.error}>
+          <Plus className="h-4 w-4 mr-1" />
+          Lägg till
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,293 @@
+import React, { useState, useMemo } from 'react';
+import { Card, CardContent } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Button } from '../ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { FileDown, FileSpreadsheet, ArrowUp, ArrowDown, Minus } from 'lucide-react';
+import { DEMOGRAPHIC_DIMENSIONS, DEMOGRAPHIC_CATEGORY_LABELS } from '@/utils/constants';
+import { formatDate, cn } from '@/utils/utils';
+
+// Territorier kan vara många - visa bara de största
+const MAX_CATEGORIES = 15;
+
+const COMPARE_OPTIONS = [
+  { value: 'previous', label: 'Föregående ögonblicksbild' },
+  { value: 'first', label: 'Första ögonblicksbilden' }
+];
+
+const getCategoryLabel = (category) => DEMOGRAPHIC_CATEGORY_LABELS[category] || category;
+
+// Sorterar åldersgrupper numeriskt ("18-24" före "25-34"), övriga på andel
+const sortCategories = (dimension, categories, shareOf) => {
+  if (dimension === 'age') {
+    return [...categories].sort((a, b) => (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0));
+  }
+  return [...categories].sort((a, b) => shareOf(b) - shareOf(a));
+};
+
+/**
+ * Komponent för visning av följardemografi per konto
+ *
+ * @param {Array} props.snapshots - Alla demografiska ögonblicksbilder (med accountId)
+ * @param {Array} props.accounts - Lista över alla konton
+ * @param {Function} props.onAccountFilter - Callback vid filtrering på konto
+ * @param {string} props.initialSelectedAccountId - Initialt valt konto-ID ('all' för alla)
+ */
+export function DemographicsView({
+  snapshots = [],
+  accounts = [],
+  onAccountFilter,
+  initialSelectedAccountId = 'all'
+}) {
+  const [dimension, setDimension] = useState('gender');
+  const [compareWith, setCompareWith] = useState('previous');
+  const [selectedAccountId, setSelectedAccountId] = useState(initialSelectedAccountId || 'all');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const getAccountName = (accountId) => {
+    const found = accounts.find(a => a.id === accountId);
+    return found ? found.name : 'Okänt konto';
+  };
+
+  const handleAccountChange = (accountId) => {
+    setSelectedAccountId(accountId);
+    if (onAccountFilter) onAccountFilter(accountId);
+  };
+
+  // Senaste och jämförelse-ögonblicksbild per konto för vald dimension
+  const accountSnapshots = useMemo(() => {
+    const byAccount = {};
+    snapshots
+      .filter(s => s.dimension === dimension)
+      .forEach(s => {
+        if (!byAccount[s.accountId]) byAccount[s.accountId] = [];
+        byAccount[s.accountId].push(s);
+      });
+
+    return Object.entries(byAccount)
+      .filter(([accountId]) => selectedAccountId === 'all' || accountId === selectedAccountId)
+      .map(([accountId, list]) => {
+        const sorted = [...list].sort((a, b) => a.timestamp - b.timestamp);
+        const latest = sorted[sorted.length - 1];
+        let baseline = null;
+        if (sorted.length > 1) {
+          baseline = compareWith === 'first' ? sorted[0] : sorted[sorted.length - 2];
+        }
+        return { accountId, name: getAccountName(accountId), latest, baseline };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [snapshots, dimension, compareWith, selectedAccountId, accounts]);
+
+  const rows = useMemo(() => {
+    const shareMap = (snapshot) => {
+      const map = {};
+      (snapshot?.data || []).forEach(entry => { map[entry.category] = entry.share; });
+      return map;
+    };
+
+    const latestMaps = accountSnapshots.map(a => shareMap(a.latest));
+    const baselineMaps = accountSnapshots.map(a => shareMap(a.baseline));
+
+    const categories = new Set();
+    latestMaps.forEach(map => Object.keys(map).forEach(c => categories.add(c)));
+
+    const maxShare = (category) => Math.max(...latestMaps.map(map => map[category] || 0));
+    const ordered = sortCategories(dimension, Array.from(categories), maxShare);
+    const limited = dimension === 'territory' ? ordered.slice(0, MAX_CATEGORIES) : ordered;
+
+    return limited.map(category => ({
+      category,
+      values: accountSnapshots.map((a, i) => {
+        const share = latestMaps[i][category];
+        const previous = a.baseline ? baselineMaps[i][category] : undefined;
+        return {
+          share: share ?? null,
+          change: share !== undefined && previous !== undefined
+            ? parseFloat((share - previous).toFixed(2))
+            : null
+        };
+      })
+    }));
+  }, [accountSnapshots, dimension]);
+
+  const accountsWithDemographics = useMemo(() => {
+    const ids = new Set(snapshots.map(s => s.accountId));
+    return accounts.filter(a => ids.has(a.id));
+  }, [snapshots, accounts]);
+
+  const formatDataForExport = () => {
+    return rows.map(row => {
+      const exportRow = { [DEMOGRAPHIC_DIMENSIONS[dimension]]: getCategoryLabel(row.category) };
+      accountSnapshots.forEach((a, i) => {
+        const value = row.values[i];
+        exportRow[`${a.name} (%)`] = value.share ?? '';
+        exportRow[`${a.name} förändring (pe)`] = value.change ?? '';
+      });
+      return exportRow;
+    });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setIsLoading(true);
+      const filename = `tiktok-demografi-${dimension}.${format === 'excel' ? 'xlsx' : 'csv'}`;
+      const result = format === 'excel'
+        ? await window.electronAPI.exportToExcel(formatDataForExport(), filename)
+        : await window.electronAPI.exportToCSV(formatDataForExport(), filename);
+      if (result.success) console.log('Export lyckades');
+    } catch (err) {
+      console.error('Export misslyckades:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderChange = (change) => {
+    if (change === null) return <span className="text-muted-foreground">–</span>;
+    if (change === 0) {
+      return (
+        <span className="inline-flex items-center text-muted-foreground">
+          <Minus className="h-3 w-3 mr-0.5" />0,00
+        </span>
+      );
+    }
+    const positive = change > 0;
+    return (
+      <span className={cn('inline-flex items-center', positive ? 'text-green-600' : 'text-red-600')}>
+        {positive ? <ArrowUp className="h-3 w-3 mr-0.5" /> : <ArrowDown className="h-3 w-3 mr-0.5" />}
+        {Math.abs(change).toFixed(2).replace('.', ',')}
+      </span>
+    );
+  };
+
+  if (snapshots.length === 0) {
+    return (
+      <Card className="p-6">
+        <div className="text-center text-muted-foreground">
+          <p>Ingen följardemografi tillgänglig</p>
+          <p className="mt-2 text-sm">Ladda upp TikToks exporter för kön, ålder eller territorium för att se målgruppens sammansättning</p>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <CardContent className="p-4">
+        {/* Toolbar */}
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <Select value={dimension} onValueChange={setDimension}>
+              <SelectTrigger className="w-[160px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(DEMOGRAPHIC_DIMENSIONS).map(([key, label]) => (
+                  <SelectItem key={key} value={key}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Select value={compareWith} onValueChange={setCompareWith}>
+              <SelectTrigger className="w-[240px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {COMPARE_OPTIONS.map(o => (
+                  <SelectItem key={o.value} value={o.value}>Jämför med: {o.label.toLowerCase()}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            {accountsWithDemographics.length > 1 && (
+              <Select value={selectedAccountId} onValueChange={handleAccountChange}>
+                <SelectTrigger className="w-[200px]">
+                  <SelectValue placeholder="Välj konto" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Alla konton</SelectItem>
+                  {accountsWithDemographics.map(acc => (
+                    <SelectItem key={acc.id} value={acc.id}>{acc.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => handleExport('csv')} disabled={isLoading || rows.length === 0}>
+              <FileDown className="w-4 h-4 mr-2" />
+              CSV
+            </Button>
+            <Button variant="outline" onClick={() => handleExport('excel')} disabled={isLoading || rows.length === 0}>
+              <FileSpreadsheet className="w-4 h-4 mr-2" />
+              Excel
+            </Button>
+          </div>
+        </div>
+
+        {accountSnapshots.length === 0 ? (
+          <div className="text-center text-muted-foreground py-6">
+            <p>Ingen data för {DEMOGRAPHIC_DIMENSIONS[dimension].toLowerCase()} har importerats för valt konto</p>
+          </div>
+        ) : (
+          <div className="rounded-md border overflow-hidden">
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="whitespace-nowrap">{DEMOGRAPHIC_DIMENSIONS[dimension]}</TableHead>
+                    {accountSnapshots.map(a => (
+                      <TableHead key={a.accountId} className="whitespace-nowrap" colSpan={2}>
+                        <div className="font-medium text-foreground">{a.name}</div>
+                        <div className="text-xs font-normal">
+                          {formatDate(a.latest.snapshotDate)}
+                          {a.baseline && ` jmf ${formatDate(a.baseline.snapshotDate)}`}
+                        </div>
+                      </TableHead>
+                    ))}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rows.map(row => (
+                    <TableRow key={row.category}>
+                      <TableCell className="font-medium whitespace-nowrap">
+                        {getCategoryLabel(row.category)}
+                      </TableCell>
+                      {row.values.map((value, i) => (
+                        <React.Fragment key={accountSnapshots[i].accountId}>
+                          <TableCell className="min-w-[160px]">
+                            {value.share === null ? '-' : (
+                              <div className="flex items-center gap-2">
+                                <div className="flex-1 bg-muted rounded-full h-2">
+                                  <div
+                                    className="h-2 rounded-full bg-primary"
+                                    style={{ width: `${Math.min(value.share, 100)}%` }}
+                                  />
+                                </div>
+                                <span className="text-sm w-14 text-right">
+                                  {value.share.toFixed(1).replace('.', ',')}%
+                                </span>
+                              </div>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right text-xs whitespace-nowrap">
+                            {renderChange(value.change)}
+                          </TableCell>
+                        </React.Fragment>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+
+        <p className="text-xs text-muted-foreground mt-3">
+          Förändring anges i procentenheter jämfört med vald tidigare ögonblicksbild. Ögonblicksbilder dateras med importdagen.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
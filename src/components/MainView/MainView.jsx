@@ -6,44 +6,81 @@ import { Checkbox } from '../ui/checkbox';
 import { Label } from '../ui/label';
 import { Alert, AlertTitle, AlertDescription } from '../ui/alert';
 import {
+  ArchiveRestore,
   BatteryLow,
   CheckCircle2,
+  Download,
   PlusCircle,
   RefreshCw,
   AlertCircle,
   Loader2,
   LayoutDashboard,
   Trash2,
-  Upload
+  Upload,
+  Users
 } from 'lucide-react';
 import { SummaryView } from '../SummaryView/SummaryView';
 import { AccountView } from '../AccountView/AccountView';
 import { StorageStatus } from '../StorageStatus/StorageStatus';
 import { BatchUploader } from '../BatchUploader/BatchUploader';
-import { getAccounts, getAccountData, deleteAccount } from '@/utils/webStorageService';
+import { VideoView } from '../VideoView/VideoView';
+import { DemographicsView } from '../DemographicsView/DemographicsView';
+import { ActivityView } from '../ActivityView/ActivityView';
+import { AccountDetails } from '../AccountDetails/AccountDetails';
+import { BackupRestore } from '../BackupRestore/BackupRestore';
+import { AccountManager } from '../AccountManager/AccountManager';
+import { MergeSplitAccounts } from '../AccountManager/MergeSplitAccounts';
+import { TrashBin } from '../TrashBin/TrashBin';
+import {
+  getAccounts,
+  getAccountData,
+  getVideoData,
+  getDemographicsSnapshots,
+  getActivityData,
+  deleteAccount,
+  deleteDatabase,
+  clearWorkspaceSettings,
+  runWorkspaceOperation,
+  getWorkspaces,
+  getActiveWorkspaceId,
+  purgeExpiredTrash,
+  exportBackup,
+  subscribeToDataChanges
+} from '@/utils/webStorageService';
 import {
   SUMMARY_VIEW_AVAILABLE_FIELDS,
   ACCOUNT_VIEW_AVAILABLE_FIELDS,
-  STORAGE_KEYS
+  VIDEO_VIEW_AVAILABLE_FIELDS,
+  SYNC_EVENTS
 } from '@/utils/constants';
 
+// Flikar som har valbara fält
+const FIELD_SELECTOR_TABS = ['accounts', 'summary', 'videos'];
+
 export function MainView() {
   const [accounts, setAccounts] = useState([]);
   const [allData, setAllData] = useState([]);
+  const [allVideoData, setAllVideoData] = useState([]);
+  const [allDemographics, setAllDemographics] = useState([]);
+  const [allActivityData, setAllActivityData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
 
   const [activeTab, setActiveTab] = useState('accounts');
-  const [activeView, setActiveView] = useState('main'); // 'main' | 'upload' | 'storage'
+  const [activeView, setActiveView] = useState('main'); // 'main' | 'upload' | 'storage' | 'account' | 'manage'
+  const [detailAccountId, setDetailAccountId] = useState(null);
 
   const [resetConfirmation, setResetConfirmation] = useState(false);
   const [isResetting, setIsResetting] = useState(false);
   const [resetError, setResetError] = useState(null);
+  const [isExportingBackup, setIsExportingBackup] = useState(false);
+  const [databaseOutdated, setDatabaseOutdated] = useState(false);
 
   // Field selection - default to interactions for both views
   const [selectedSummaryFields, setSelectedSummaryFields] = useState(['interactions']);
   const [selectedAccountFields, setSelectedAccountFields] = useState(['video_views', 'interactions', 'new_followers']);
+  const [selectedVideoFields, setSelectedVideoFields] = useState(['video_views', 'interactions', 'average_watch_time', 'completion_rate']);
 
   // Selected account for SummaryView filter
   const [filteredAccountId, setFilteredAccountId] = useState('all');
@@ -53,8 +90,9 @@ export function MainView() {
     setTimeout(() => setSuccessMessage(null), 5000);
   };
 
-  const loadData = useCallback(async () => {
-    setIsLoading(true);
+  // silent uppdaterar i bakgrunden utan laddningsvy, t.ex. när en annan flik har ändrat data
+  const loadData = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) setIsLoading(true);
     setError(null);
 
     try {
@@ -66,10 +104,33 @@ export function MainView() {
           .filter(acc => acc.hasData)
           .map(acc => getAccountData(acc.id));
 
-        const results = await Promise.all(dataPromises);
+        const videoPromises = loadedAccounts
+          .filter(acc => acc.hasVideoData)
+          .map(acc => getVideoData(acc.id));
+
+        const demographicsPromises = loadedAccounts
+          .filter(acc => acc.hasDemographics)
+          .map(acc => getDemographicsSnapshots(acc.id));
+
+        const activityPromises = loadedAccounts
+          .filter(acc => acc.hasActivityData)
+          .map(acc => getActivityData(acc.id));
+
+        const [results, videoResults, demographicsResults, activityResults] = await Promise.all([
+          Promise.all(dataPromises),
+          Promise.all(videoPromises),
+          Promise.all(demographicsPromises),
+          Promise.all(activityPromises)
+        ]);
         setAllData(results.flat());
+        setAllVideoData(videoResults.flat());
+        setAllDemographics(demographicsResults.flat());
+        setAllActivityData(activityResults.flat());
       } else {
         setAllData([]);
+        setAllVideoData([]);
+        setAllDemographics([]);
+        setAllActivityData([]);
       }
     } catch (err) {
       console.error('Fel vid laddning av data:', err);
@@ -83,6 +144,27 @@ export function MainView() {
     loadData();
   }, [loadData]);
 
+  // Det som har legat i papperskorgen längre än lagringstiden tas bort vid start
+  useEffect(() => {
+    purgeExpiredTrash();
+  }, []);
+
+  // Uppdaterar vyerna när en annan flik importerar, ändrar eller återställer data
+  useEffect(() => subscribeToDataChanges((event) => {
+    if (event.type === SYNC_EVENTS.DATA_CHANGED) {
+      loadData({ silent: true });
+      showSuccessMessage('Data uppdaterades i en annan flik');
+    } else if (event.type === SYNC_EVENTS.DATABASE_CLOSED) {
+      if (event.deleted) {
+        loadData({ silent: true });
+        setActiveView('main');
+        showSuccessMessage('All data återställdes i en annan flik');
+      } else {
+        setDatabaseOutdated(true);
+      }
+    }
+  }), [loadData]);
+
   const handleUploadSuccess = async () => {
     await loadData();
     setActiveView('main');
@@ -94,50 +176,44 @@ export function MainView() {
       setIsResetting(true);
       setResetError(null);
 
-      for (let i = localStorage.length - 1; i >= 0; i--) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith('tiktok_stats_')) {
-          localStorage.removeItem(key);
-        }
-      }
-
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Timeout')), 5000);
-      });
-
-      const deleteDbPromise = new Promise((resolve, reject) => {
-        try {
-          const req = window.indexedDB.deleteDatabase(STORAGE_KEYS.DB_NAME);
-          req.onerror = () => reject(new Error('Kunde inte radera databasen'));
-          req.onblocked = () => resolve();
-          req.onsuccess = () => resolve();
-        } catch (err) {
-          reject(err);
-        }
+      // Databasen raderas först, så att inställningarna finns kvar om en annan flik blockerar.
+      // Bara den aktiva arbetsytan återställs, och den kan inte bytas medan det pågår.
+      await runWorkspaceOperation(async () => {
+        await deleteDatabase();
+        clearWorkspaceSettings();
       });
 
-      try {
-        await Promise.race([deleteDbPromise, timeoutPromise]);
-      } catch (err) {
-        console.warn('DB deletion issue:', err);
-      }
-
       showSuccessMessage('All data har återställts. Laddar om...');
       setTimeout(() => window.location.reload(), 1500);
     } catch (err) {
+      console.error('Fel vid återställning:', err);
       setResetError(err.message || 'Ett fel uppstod');
       setIsResetting(false);
     }
   };
 
+  const handleBackupBeforeReset = async () => {
+    setIsExportingBackup(true);
+    setResetError(null);
+
+    const { success, error: exportError } = await exportBackup();
+
+    setIsExportingBackup(false);
+    if (!success) {
+      setResetError(exportError || 'Säkerhetskopian kunde inte sparas');
+    }
+  };
+
   const forceReset = () => {
-    localStorage.clear();
+    clearWorkspaceSettings();
     showSuccessMessage('Tvingar omstart...');
     setTimeout(() => window.location.reload(), 1000);
   };
 
   // Reset confirmation dialog
   if (resetConfirmation) {
+    const activeWorkspace = getWorkspaces().find(workspace => workspace.id === getActiveWorkspaceId());
+
     return (
       <div className="space-y-4">
         <button
@@ -154,8 +230,15 @@ export function MainView() {
           <AlertTitle>Återställ alla data</AlertTitle>
           <AlertDescription>
             <div className="space-y-4 mt-2">
-              <p>Är du säker? Detta tar bort alla konton och all statistikdata.</p>
+              <p>
+                Är du säker? Detta tar bort alla konton och all statistikdata i arbetsytan {activeWorkspace.name}.
+                Övriga arbetsytor påverkas inte.
+              </p>
               <p className="font-bold text-red-600">Denna åtgärd kan inte ångras!</p>
+              <p>
+                Återställningen går inte via papperskorgen, som också töms. Spara en säkerhetskopia först om du
+                kan behöva datan igen.
+              </p>
 
               {resetError && (
                 <Alert variant="destructive" className="mt-2">
@@ -172,6 +255,13 @@ export function MainView() {
                 >
                   Avbryt
                 </Button>
+                <Button variant="outline" onClick={handleBackupBeforeReset} disabled={isResetting || isExportingBackup}>
+                  {isExportingBackup ? (
+                    <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Sparar...</>
+                  ) : (
+                    <><Download className="mr-2 h-4 w-4" />Spara säkerhetskopia först</>
+                  )}
+                </Button>
                 <Button variant="destructive" onClick={handleReset} disabled={isResetting}>
                   {isResetting ? (
                     <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Återställer...</>
@@ -199,6 +289,42 @@ export function MainView() {
           Tillbaka till huvudvyn
         </Button>
         <StorageStatus />
+        <TrashBin onRestored={() => loadData({ silent: true })} />
+        <BackupRestore onRestored={loadData} />
+      </div>
+    );
+  }
+
+  // Account management view
+  if (activeView === 'manage') {
+    return (
+      <div className="space-y-4">
+        <Button variant="outline" onClick={() => setActiveView('main')}>
+          <LayoutDashboard className="h-4 w-4 mr-2" />
+          Tillbaka till huvudvyn
+        </Button>
+        <AccountManager accounts={accounts} onDataChange={() => loadData({ silent: true })} />
+        {accounts.length > 1 && (
+          <MergeSplitAccounts accounts={accounts} onDataChange={() => loadData({ silent: true })} />
+        )}
+      </div>
+    );
+  }
+
+  // Account detail view
+  if (activeView === 'account') {
+    return (
+      <div className="space-y-4">
+        <Button variant="outline" onClick={() => setActiveView('main')}>
+          <LayoutDashboard className="h-4 w-4 mr-2" />
+          Tillbaka till huvudvyn
+        </Button>
+        <AccountDetails
+          accounts={accounts}
+          accountId={detailAccountId}
+          onAccountChange={setDetailAccountId}
+          onDataChange={loadData}
+        />
       </div>
     );
   }
@@ -215,8 +341,8 @@ export function MainView() {
           <CardHeader>
             <CardTitle>Lägg till data</CardTitle>
             <CardDescription>
-              Ladda upp TikTok-exportfiler (daglig översiktsdata) för ett eller flera konton.
-              Om kontonamnet redan finns läggs data till (dubbletter på datum tas bort).
+              Ladda upp TikTok-exportfiler (daglig översiktsdata eller per video) för ett eller flera konton.
+              Om kontonamnet redan finns läggs data till (dubbletter på datum eller video tas bort).
             </CardDescription>
           </CardHeader>
           <CardContent>
@@ -240,13 +366,18 @@ export function MainView() {
   }
 
   // No data: show uploader directly
-  if (accounts.length === 0 || allData.length === 0) {
+  const hasAnyData = allData.length > 0 ||
+    allVideoData.length > 0 ||
+    allDemographics.length > 0 ||
+    allActivityData.length > 0;
+
+  if (accounts.length === 0 || !hasAnyData) {
     return (
       <div className="space-y-6">
         <div className="text-center mb-4">
           <h1 className="text-2xl font-bold mb-2">TikTok Statistik</h1>
           <p className="text-muted-foreground max-w-xl mx-auto">
-            Ladda upp TikTok-exportfiler (daglig översiktsdata CSV) för att börja analysera din statistik.
+            Ladda upp TikTok-exportfiler (daglig översiktsdata eller per video, CSV eller Excel) för att börja analysera din statistik.
           </p>
         </div>
 
@@ -270,7 +401,7 @@ export function MainView() {
           <CardHeader>
             <CardTitle>Kom igång</CardTitle>
             <CardDescription>
-              Välj en eller flera CSV-filer och ange kontonamn för varje fil
+              Välj en eller flera CSV- eller Excel-filer och ange kontonamn för varje fil
             </CardDescription>
           </CardHeader>
           <CardContent>
@@ -278,7 +409,14 @@ export function MainView() {
           </CardContent>
         </Card>
 
-        {accounts.length > 0 && allData.length === 0 && (
+        <div className="text-center">
+          <Button variant="ghost" size="sm" onClick={() => setActiveView('storage')}>
+            <ArchiveRestore className="h-4 w-4 mr-1" />
+            Återställ från säkerhetskopia
+          </Button>
+        </div>
+
+        {accounts.length > 0 && !hasAnyData && (
           <div className="text-center">
             <Button
               variant="ghost"
@@ -304,6 +442,7 @@ export function MainView() {
           <h1 className="text-2xl font-bold mb-1">TikTok-statistik</h1>
           <p className="text-muted-foreground text-sm">
             {accounts.length} konton · {allData.length.toLocaleString('sv')} rader data
+            {allVideoData.length > 0 && ` · ${allVideoData.length.toLocaleString('sv')} videor`}
           </p>
         </div>
 
@@ -313,6 +452,14 @@ export function MainView() {
             Lägg till data
           </Button>
 
+          <Button
+            variant="ghost"
+            onClick={() => setActiveView('manage')}
+            title="Hantera konton"
+          >
+            <Users className="h-4 w-4" />
+          </Button>
+
           <Button
             variant="ghost"
             onClick={() => setActiveView('storage')}
@@ -333,6 +480,21 @@ export function MainView() {
       </div>
 
       {/* Messages */}
+      {databaseOutdated && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertTitle>Appen har uppdaterats i en annan flik</AlertTitle>
+          <AlertDescription>
+            <div className="flex items-center justify-between gap-4">
+              <span>Databasen har uppgraderats till en nyare version. Ladda om sidan innan du fortsätter.</span>
+              <Button variant="outline" size="sm" onClick={() => window.location.reload()}>
+                Ladda om
+              </Button>
+            </div>
+          </AlertDescription>
+        </Alert>
+      )}
+
       {error && (
         <Alert variant="destructive">
           <AlertTitle>Fel</AlertTitle>
@@ -353,59 +515,87 @@ export function MainView() {
         <TabsList className="mb-4">
           <TabsTrigger value="accounts">Per konto</TabsTrigger>
           <TabsTrigger value="summary">Per dag</TabsTrigger>
+          <TabsTrigger value="videos">Per video</TabsTrigger>
+          <TabsTrigger value="demographics">Målgrupp</TabsTrigger>
+          <TabsTrigger value="activity">Följaraktivitet</TabsTrigger>
         </TabsList>
 
         {/* Field selector card */}
-        <Card className="mb-4">
-          <CardHeader className="pb-2">
-            <CardTitle className="text-base">Välj värden att visa</CardTitle>
-          </CardHeader>
-          <CardContent>
-            {activeTab === 'accounts' && (
-              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
-                {Object.entries(ACCOUNT_VIEW_AVAILABLE_FIELDS).map(([key, label]) => (
-                  <div key={key} className="flex items-center space-x-2">
-                    <Checkbox
-                      id={`acct-${key}`}
-                      checked={selectedAccountFields.includes(key)}
-                      onCheckedChange={(checked) => {
-                        setSelectedAccountFields(prev =>
-                          checked ? [...prev, key] : prev.filter(f => f !== key)
-                        );
-                      }}
-                    />
-                    <Label htmlFor={`acct-${key}`} className="text-sm">{label}</Label>
-                  </div>
-                ))}
-              </div>
-            )}
-
-            {activeTab === 'summary' && (
-              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
-                {Object.entries(SUMMARY_VIEW_AVAILABLE_FIELDS).map(([key, label]) => (
-                  <div key={key} className="flex items-center space-x-2">
-                    <Checkbox
-                      id={`sum-${key}`}
-                      checked={selectedSummaryFields.includes(key)}
-                      onCheckedChange={(checked) => {
-                        setSelectedSummaryFields(prev =>
-                          checked ? [...prev, key] : prev.filter(f => f !== key)
-                        );
-                      }}
-                    />
-                    <Label htmlFor={`sum-${key}`} className="text-sm">{label}</Label>
-                  </div>
-                ))}
-              </div>
-            )}
-          </CardContent>
-        </Card>
+        {FIELD_SELECTOR_TABS.includes(activeTab) && (
+          <Card className="mb-4">
+            <CardHeader className="pb-2">
+              <CardTitle className="text-base">Välj värden att visa</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {activeTab === 'accounts' && (
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+                  {Object.entries(ACCOUNT_VIEW_AVAILABLE_FIELDS).map(([key, label]) => (
+                    <div key={key} className="flex items-center space-x-2">
+                      <Checkbox
+                        id={`acct-${key}`}
+                        checked={selectedAccountFields.includes(key)}
+                        onCheckedChange={(checked) => {
+                          setSelectedAccountFields(prev =>
+                            checked ? [...prev, key] : prev.filter(f => f !== key)
+                          );
+                        }}
+                      />
+                      <Label htmlFor={`acct-${key}`} className="text-sm">{label}</Label>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {activeTab === 'summary' && (
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+                  {Object.entries(SUMMARY_VIEW_AVAILABLE_FIELDS).map(([key, label]) => (
+                    <div key={key} className="flex items-center space-x-2">
+                      <Checkbox
+                        id={`sum-${key}`}
+                        checked={selectedSummaryFields.includes(key)}
+                        onCheckedChange={(checked) => {
+                          setSelectedSummaryFields(prev =>
+                            checked ? [...prev, key] : prev.filter(f => f !== key)
+                          );
+                        }}
+                      />
+                      <Label htmlFor={`sum-${key}`} className="text-sm">{label}</Label>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {activeTab === 'videos' && (
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+                  {Object.entries(VIDEO_VIEW_AVAILABLE_FIELDS).map(([key, label]) => (
+                    <div key={key} className="flex items-center space-x-2">
+                      <Checkbox
+                        id={`video-${key}`}
+                        checked={selectedVideoFields.includes(key)}
+                        onCheckedChange={(checked) => {
+                          setSelectedVideoFields(prev =>
+                            checked ? [...prev, key] : prev.filter(f => f !== key)
+                          );
+                        }}
+                      />
+                      <Label htmlFor={`video-${key}`} className="text-sm">{label}</Label>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
 
         <TabsContent value="accounts">
           <AccountView
             data={allData}
             selectedFields={selectedAccountFields}
             accounts={accounts}
+            onAccountSelect={(accountId) => {
+              setDetailAccountId(accountId);
+              setActiveView('account');
+            }}
           />
         </TabsContent>
 
@@ -418,6 +608,34 @@ export function MainView() {
             initialSelectedAccountId={filteredAccountId}
           />
         </TabsContent>
+
+        <TabsContent value="videos">
+          <VideoView
+            data={allVideoData}
+            selectedFields={selectedVideoFields}
+            accounts={accounts}
+            onAccountFilter={setFilteredAccountId}
+            initialSelectedAccountId={filteredAccountId}
+          />
+        </TabsContent>
+
+        <TabsContent value="demographics">
+          <DemographicsView
+            snapshots={allDemographics}
+            accounts={accounts}
+            onAccountFilter={setFilteredAccountId}
+            initialSelectedAccountId={filteredAccountId}
+          />
+        </TabsContent>
+
+        <TabsContent value="activity">
+          <ActivityView
+            data={allActivityData}
+            accounts={accounts}
+            onAccountFilter={setFilteredAccountId}
+            initialSelectedAccountId={filteredAccountId}
+          />
+        </TabsContent>
       </Tabs>
     </div>
   );
@@ -1,10 +1,12 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Card, CardHeader, CardTitle, CardContent, CardDescription } from '../ui/card';
 import { Alert, AlertTitle, AlertDescription } from '../ui/alert';
 import { useStorageMonitor } from './useStorageMonitor';
-import { Loader2, AlertCircle, AlertTriangle, CheckCircle, RefreshCw, HardDrive } from 'lucide-react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Loader2, AlertCircle, AlertTriangle, CheckCircle, RefreshCw, HardDrive, Shield, ShieldCheck } from 'lucide-react';
 import { Button } from '../ui/button';
-import { cn } from '@/utils/utils';
+import { cn, formatFileSize, formatNumber } from '@/utils/utils';
+import { getAccountStorageSizes } from '@/utils/webStorageService';
 
 export function StorageStatus() {
   const {
@@ -12,9 +14,39 @@ export function StorageStatus() {
     isLoading,
     error,
     fetchStorageStats,
+    requestPersistence,
     getStorageStatus,
     getStatusDescription
   } = useStorageMonitor();
+  const [isRequestingPersistence, setIsRequestingPersistence] = useState(false);
+  const [persistDenied, setPersistDenied] = useState(false);
+  // Storleken per konto kräver att all data läses och beräknas bara på begäran
+  const [sizes, setSizes] = useState(null);
+  const [isSizing, setIsSizing] = useState(false);
+  const [sizeError, setSizeError] = useState(null);
+
+  const handleRefresh = () => {
+    setSizes(null);
+    fetchStorageStats();
+  };
+
+  const handleCalculateSizes = async () => {
+    setIsSizing(true);
+    setSizeError(null);
+    const result = await getAccountStorageSizes();
+    setIsSizing(false);
+    if (!result) {
+      setSizeError('Storleken kunde inte beräknas');
+      return;
+    }
+    setSizes(result);
+  };
+
+  const handlePersist = async () => {
+    setIsRequestingPersistence(true);
+    setPersistDenied(!await requestPersistence());
+    setIsRequestingPersistence(false);
+  };
 
   if (isLoading) {
     return (
@@ -56,7 +88,7 @@ export function StorageStatus() {
       <CardHeader className="pb-2">
         <div className="flex justify-between items-center">
           <CardTitle className="text-lg">Lagringsstatus</CardTitle>
-          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={fetchStorageStats}>
+          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={handleRefresh}>
             <RefreshCw className="h-4 w-4" />
           </Button>
         </div>
@@ -96,25 +128,60 @@ export function StorageStatus() {
               <div className="flex justify-between items-center mb-1 text-sm">
                 <span className="flex items-center">
                   <HardDrive className="h-4 w-4 mr-1 text-primary" />
-                  localStorage
+                  Webbläsarens lagring
                 </span>
                 <span className="text-muted-foreground">
-                  {(storageStats.localStorage.used / 1024).toFixed(1)} KB
+                  {formatFileSize(storageStats.total.used)}
                   {' / '}
-                  {(storageStats.localStorage.limit / 1024 / 1024).toFixed(0)} MB
+                  {formatFileSize(storageStats.total.quota)}
+                  {storageStats.total.estimated && ' (uppskattat)'}
                 </span>
               </div>
               <div className="w-full bg-muted rounded-full h-2.5">
                 <div
                   className={cn(
                     "h-2.5 rounded-full",
-                    storageStats.localStorage.percentage > 90 ? "bg-red-600" :
-                    storageStats.localStorage.percentage > 75 ? "bg-yellow-500" :
+                    status === 'critical' ? "bg-red-600" :
+                    status === 'warning' ? "bg-yellow-500" :
                     "bg-green-600"
                   )}
-                  style={{ width: `${Math.min(storageStats.localStorage.percentage, 100)}%` }}
+                  style={{ width: `${Math.min(storageStats.total.percentage, 100)}%` }}
                 />
               </div>
+              <p className="text-xs text-muted-foreground mt-1">
+                Inställningar i localStorage: {formatFileSize(storageStats.localStorage.used)}. Utrymmet delas av alla arbetsytor.
+              </p>
+            </div>
+
+            <div className="border rounded-md p-3 text-sm flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+              <div className="flex items-start">
+                {storageStats.persisted
+                  ? <ShieldCheck className="h-4 w-4 mr-2 mt-0.5 text-green-600 shrink-0" />
+                  : <Shield className="h-4 w-4 mr-2 mt-0.5 text-muted-foreground shrink-0" />}
+                <div>
+                  <p className="font-medium">
+                    {storageStats.persisted ? 'Beständig lagring är aktiverad' : 'Beständig lagring är inte aktiverad'}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {storageStats.persisted === null
+                      ? 'Webbläsaren saknar stöd för beständig lagring.'
+                      : storageStats.persisted
+                        ? 'Webbläsaren rensar inte datan när lagringsutrymmet börjar ta slut.'
+                        : 'Webbläsaren kan rensa datan automatiskt när lagringsutrymmet börjar ta slut.'}
+                  </p>
+                  {persistDenied && (
+                    <p className="text-xs text-yellow-700 mt-1">
+                      Webbläsaren nekade. Bokmärk sidan eller installera den som app och försök igen.
+                    </p>
+                  )}
+                </div>
+              </div>
+              {storageStats.persisted === false && (
+                <Button variant="outline" size="sm" onClick={handlePersist} disabled={isRequestingPersistence}>
+                  {isRequestingPersistence && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                  Skydda data mot rensning
+                </Button>
+              )}
             </div>
 
             <div className="border rounded-md p-3 text-sm">
@@ -126,10 +193,70 @@ export function StorageStatus() {
                 </li>
                 <li className="flex justify-between">
                   <span>Översiktsdata:</span>
-                  <span>{storageStats.indexedDB.overviewDataCount} dataset</span>
+                  <span>{storageStats.indexedDB.overviewDataCount} dagar</span>
+                </li>
+                <li className="flex justify-between">
+                  <span>Videodata:</span>
+                  <span>{storageStats.indexedDB.videoDataCount} dataset</span>
+                </li>
+                <li className="flex justify-between">
+                  <span>Följardemografi:</span>
+                  <span>{storageStats.indexedDB.demographicsCount} ögonblicksbilder</span>
+                </li>
+                <li className="flex justify-between">
+                  <span>Följaraktivitet:</span>
+                  <span>{storageStats.indexedDB.activityDataCount} dataset</span>
+                </li>
+                <li className="flex justify-between">
+                  <span>Papperskorg:</span>
+                  <span>
+                    {storageStats.indexedDB.trashCount} poster
+                    {sizes && ` · ${formatFileSize(sizes.trashSize)}`}
+                  </span>
                 </li>
               </ul>
             </div>
+
+            {storageStats.accounts.length > 0 && (
+              <div className="border rounded-md p-3 text-sm">
+                <h4 className="font-medium mb-2">Per konto (uppskattat)</h4>
+                {sizes ? (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Konto</TableHead>
+                        <TableHead className="text-right">Dagar</TableHead>
+                        <TableHead className="text-right">Videor</TableHead>
+                        <TableHead className="text-right">Storlek</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {sizes.accounts.map(account => (
+                        <TableRow key={account.id}>
+                          <TableCell className="font-medium">{account.name}</TableCell>
+                          <TableCell className="text-right">
+                            {formatNumber(storageStats.accounts.find(a => a.id === account.id)?.days || 0)}
+                          </TableCell>
+                          <TableCell className="text-right">{formatNumber(account.videos)}</TableCell>
+                          <TableCell className="text-right">{formatFileSize(account.size)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                ) : (
+                  <div className="space-y-2">
+                    <p className="text-xs text-muted-foreground">
+                      All data läses igenom för att beräkna storleken, vilket kan ta en stund med stora konton.
+                    </p>
+                    <Button variant="outline" size="sm" onClick={handleCalculateSizes} disabled={isSizing}>
+                      {isSizing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                      Beräkna storlek per konto
+                    </Button>
+                    {sizeError && <p className="text-xs text-red-600">{sizeError}</p>}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         )}
       </CardContent>
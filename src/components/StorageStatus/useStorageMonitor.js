@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
-import { getStorageStats } from '@/utils/webStorageService';
+import { getStorageStats, requestPersistentStorage } from '@/utils/webStorageService';
 import { STORAGE_LIMITS } from '@/utils/constants';
+import { formatFileSize } from '@/utils/utils';
 
 /**
  * Hook för att övervaka lagringsutrymme
@@ -32,23 +33,24 @@ export function useStorageMonitor() {
     fetchStorageStats();
   }, [fetchStorageStats]);
 
-  // Beräkna lagringsstatus
+  // Be webbläsaren att inte rensa datan och läs om statusen
+  const requestPersistence = useCallback(async () => {
+    const persisted = await requestPersistentStorage();
+    await fetchStorageStats();
+    return persisted;
+  }, [fetchStorageStats]);
+
+  // Beräkna lagringsstatus utifrån webbläsarens kvot; localStorage används bara för inställningar
   const getStorageStatus = useCallback(() => {
     if (!storageStats) return 'unknown';
     
     const { localStorage, total } = storageStats;
     
-    // Kontrollera localStorage (som har hårdare begränsningar)
-    if (localStorage.percentage > 90) {
+    if (total.percentage > STORAGE_LIMITS.CRITICAL_PERCENTAGE || localStorage.percentage > STORAGE_LIMITS.CRITICAL_PERCENTAGE) {
       return 'critical';
     }
     
-    if (localStorage.percentage > 75) {
-      return 'warning';
-    }
-    
-    // Kontrollera total lagring
-    if (total.percentage > STORAGE_LIMITS.INDEXED_DB_WARNING / 1024 / 1024 * 100) {
+    if (total.percentage > STORAGE_LIMITS.WARNING_PERCENTAGE) {
       return 'warning';
     }
     
@@ -59,7 +61,7 @@ export function useStorageMonitor() {
   const getStatusDescription = useCallback(() => {
     if (!storageStats) return 'Hämtar lagringsinformation...';
     
-    const { localStorage, total } = storageStats;
+    const { total } = storageStats;
     const status = getStorageStatus();
     
     if (status === 'critical') {
@@ -70,14 +72,7 @@ export function useStorageMonitor() {
       return 'Lagringsutrymmet börjar bli fullt. Överväg att radera onödig data.';
     }
     
-    // Formatera storlekar till läsbara enheter
-    const formatSize = (bytes) => {
-      const kb = bytes / 1024;
-      if (kb < 1000) return `${kb.toFixed(1)} KB`;
-      return `${(kb / 1024).toFixed(1)} MB`;
-    };
-    
-    return `Använder ${formatSize(total.used)} av tillgängligt lagringsutrymme.`;
+    return `Använder ${formatFileSize(total.used)} av ${total.estimated ? 'uppskattningsvis ' : ''}${formatFileSize(total.quota)}.`;
   }, [storageStats, getStorageStatus]);
 
   return {
@@ -85,6 +80,7 @@ export function useStorageMonitor() {
     isLoading,
     error,
     fetchStorageStats,
+    requestPersistence,
     getStorageStatus,
     getStatusDescription
   };
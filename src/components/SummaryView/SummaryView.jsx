@@ -118,7 +118,8 @@ export function SummaryView({
     if (searchTerm) {
       const search = searchTerm.toLowerCase();
       filtered = filtered.filter(item => {
-        const date = item.date ? new Date(item.date).toLocaleDateString() : '';
+        const date = item.date ? formatDate(item.date) : '';
+        if (item.date && item.date.includes(search)) return true;
         if (date.toLowerCase().includes(search)) return true;
         const accountName = item.accountId ? getAccountName(item.accountId) : '';
         if (accountName.toLowerCase().includes(search)) return true;
@@ -147,10 +148,9 @@ export function SummaryView({
         if (av === null) return 1;
         if (bv === null) return -1;
 
+        // Kalendernycklar "YYYY-MM-DD" sorteras korrekt som text
         if (sortConfig.key === 'date') {
-          const ad = new Date(av);
-          const bd = new Date(bv);
-          return sortConfig.direction === 'asc' ? ad - bd : bd - ad;
+          return sortConfig.direction === 'asc' ? String(av).localeCompare(String(bv)) : String(bv).localeCompare(String(av));
         }
 
         if (typeof av === 'number' && typeof bv === 'number') {
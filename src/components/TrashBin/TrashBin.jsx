@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Label } from '../ui/label';
+import { Alert, AlertDescription } from '../ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertCircle, ArchiveRestore, CheckCircle2, Loader2, Trash2 } from 'lucide-react';
+import {
+  getTrash,
+  getTrashRetentionDays,
+  saveTrashRetentionDays,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash,
+  subscribeToDataChanges
+} from '@/utils/webStorageService';
+import {
+  TRASH_TYPES,
+  TRASH_TYPE_LABELS,
+  TRASH_RETENTION_OPTIONS,
+  IMPORT_TYPE_LABELS,
+  SYNC_EVENTS
+} from '@/utils/constants';
+import { formatDate, formatDateTime, formatFileSize, formatNumber } from '@/utils/utils';
+
+// Vad posten innehåller, t.ex. "365 dagar · 120 videor" eller "Daglig översikt, 30 rader"
+const describeContents = (entry) => {
+  if (entry.type === TRASH_TYPES.ACCOUNT) {
+    const { days, videos } = entry.details;
+    return `${formatNumber(days)} dagar` + (videos > 0 ? ` · ${formatNumber(videos)} videor` : '');
+  }
+  return `${IMPORT_TYPE_LABELS[entry.details.importType]}, ${formatNumber(entry.details.rows)} rader`;
+};
+
+/**
+ * Papperskorg för borttagna konton och ångrade importer. Posterna kan återställas tills
+ * lagringstiden har gått ut; därefter tas de bort automatiskt.
+ *
+ * @param {Function} props.onRestored - Anropas när något har återställts, så att vyerna laddas om
+ */
+export function TrashBin({ onRestored }) {
+  const [entries, setEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(getTrashRetentionDays);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [confirmId, setConfirmId] = useState(null);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    setEntries(await getTrash());
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  useEffect(() => subscribeToDataChanges((event) => {
+    if (event.type === SYNC_EVENTS.DATA_CHANGED) {
+      loadTrash();
+    }
+  }), [loadTrash]);
+
+  const handleRetentionChange = (value) => {
+    const days = Number(value);
+    setRetentionDays(days);
+    saveTrashRetentionDays(days);
+    loadTrash();
+  };
+
+  const handleRestore = async (entry) => {
+    setBusyId(entry.id);
+    setError(null);
+    setMessage(null);
+
+    const { error: restoreError } = await restoreFromTrash(entry.id);
+
+    setBusyId(null);
+    if (restoreError) {
+      setError(`${entry.name} kunde inte återställas: ${restoreError}`);
+      return;
+    }
+
+    setMessage(entry.type === TRASH_TYPES.ACCOUNT
+      ? `${entry.name} har återställts med all sin data`
+      : `Importen av ${entry.name} gäller igen`);
+    await loadTrash();
+    if (onRestored) onRestored();
+  };
+
+  const handleDelete = async (entry) => {
+    setBusyId(entry.id);
+    setError(null);
+    setMessage(null);
+
+    const deleted = await deleteFromTrash(entry.id);
+
+    setBusyId(null);
+    setConfirmId(null);
+    if (!deleted) {
+      setError(`${entry.name} kunde inte tas bort`);
+      return;
+    }
+    await loadTrash();
+  };
+
+  const handleEmpty = async () => {
+    setBusyId('all');
+    setError(null);
+    setMessage(null);
+
+    const emptied = await emptyTrash();
+
+    setBusyId(null);
+    setConfirmEmpty(false);
+    if (!emptied) {
+      setError('Papperskorgen kunde inte tömmas');
+      return;
+    }
+    setMessage('Papperskorgen har tömts');
+    await loadTrash();
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+          <div>
+            <CardTitle className="text-base flex items-center">
+              <Trash2 className="h-4 w-4 mr-2" />
+              Papperskorg
+            </CardTitle>
+            <CardDescription>
+              Borttagna konton och ångrade importer sparas här och kan återställas tills lagringstiden har gått ut.
+            </CardDescription>
+          </div>
+          <div className="flex items-center gap-2">
+            <Label className="whitespace-nowrap">Spara i</Label>
+            <Select value={String(retentionDays)} onValueChange={handleRetentionChange}>
+              <SelectTrigger className="w-28">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {TRASH_RETENTION_OPTIONS.map(days => (
+                  <SelectItem key={days} value={String(days)}>{days} dagar</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {message && (
+          <Alert className="bg-green-50 border-green-200">
+            <CheckCircle2 className="h-4 w-4 text-green-600" />
+            <AlertDescription className="text-green-700">{message}</AlertDescription>
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Papperskorgen är tom.</p>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Borttaget</TableHead>
+                    <TableHead>Typ</TableHead>
+                    <TableHead>Namn</TableHead>
+                    <TableHead>Innehåll</TableHead>
+                    <TableHead>Sparas till</TableHead>
+                    <TableHead className="text-right">Storlek</TableHead>
+                    <TableHead className="text-right">Åtgärd</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {entries.map(entry => (
+                    <React.Fragment key={entry.id}>
+                      <TableRow>
+                        <TableCell className="whitespace-nowrap">{formatDateTime(entry.deletedAt)}</TableCell>
+                        <TableCell>
+                          <Badge variant="outline">{TRASH_TYPE_LABELS[entry.type]}</Badge>
+                        </TableCell>
+                        <TableCell>
+                          <div className="font-medium break-all">{entry.name}</div>
+                          {entry.accountName && (
+                            <div className="text-xs text-muted-foreground">{entry.accountName}</div>
+                          )}
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">{describeContents(entry)}</TableCell>
+                        <TableCell className="whitespace-nowrap">{formatDate(entry.expiresAt)}</TableCell>
+                        <TableCell className="text-right">{formatFileSize(entry.size)}</TableCell>
+                        <TableCell className="text-right whitespace-nowrap">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleRestore(entry)}
+                            disabled={busyId !== null}
+                          >
+                            {busyId === entry.id ? (
+                              <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                            ) : (
+                              <ArchiveRestore className="h-4 w-4 mr-1" />
+                            )}
+                            Återställ
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                            onClick={() => setConfirmId(entry.id)}
+                            disabled={busyId !== null}
+                            title="Ta bort för gott"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+
+                      {confirmId === entry.id && (
+                        <TableRow>
+                          <TableCell colSpan={7}>
+                            <Alert variant="destructive">
+                              <AlertCircle className="h-4 w-4" />
+                              <AlertDescription>
+                                <div className="flex items-center justify-between gap-4">
+                                  <span>Ta bort {entry.name} för gott? Det går inte att ångra.</span>
+                                  <div className="flex gap-2">
+                                    <Button variant="outline" size="sm" onClick={() => setConfirmId(null)}>
+                                      Avbryt
+                                    </Button>
+                                    <Button variant="destructive" size="sm" onClick={() => handleDelete(entry)}>
+                                      Ta bort
+                                    </Button>
+                                  </div>
+                                </div>
+                              </AlertDescription>
+                            </Alert>
+                          </TableCell>
+                        </TableRow>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            {confirmEmpty ? (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  <div className="flex items-center justify-between gap-4">
+                    <span>Töm papperskorgen? {entries.length} poster tas bort för gott.</span>
+                    <div className="flex gap-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setConfirmEmpty(false)}
+                        disabled={busyId !== null}
+                      >
+                        Avbryt
+                      </Button>
+                      <Button variant="destructive" size="sm" onClick={handleEmpty} disabled={busyId !== null}>
+                        {busyId === 'all' ? (
+                          <><Loader2 className="mr-2 h-4 w-4 animate-spin" />Tömmer...</>
+                        ) : 'Töm papperskorgen'}
+                      </Button>
+                    </div>
+                  </div>
+                </AlertDescription>
+              </Alert>
+            ) : (
+              <div className="flex justify-end">
+                <Button variant="outline" size="sm" onClick={() => setConfirmEmpty(true)} disabled={busyId !== null}>
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  Töm papperskorgen
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Badge } from '../ui/badge';
+import { Alert, AlertDescription } from '../ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { AlertCircle, Copy, Layers, Loader2, Pencil, Plus, Settings2, Trash2, X } from 'lucide-react';
+import {
+  getWorkspaces,
+  getActiveWorkspaceId,
+  createWorkspace,
+  renameWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  isWorkspaceBusy,
+  subscribeToDataChanges
+} from '@/utils/webStorageService';
+import { STORAGE_KEYS, SYNC_EVENTS } from '@/utils/constants';
+
+const FORM_TYPES = {
+  CREATE: 'create',
+  RENAME: 'rename',
+  DUPLICATE: 'duplicate'
+};
+
+const FORM_LABELS = {
+  [FORM_TYPES.CREATE]: 'Skapa',
+  [FORM_TYPES.RENAME]: 'Spara',
+  [FORM_TYPES.DUPLICATE]: 'Kopiera'
+};
+
+/**
+ * Väljer arbetsyta i sidhuvudet. Varje arbetsyta har egna konton, egen data och egna
+ * inställningar; i hanteringspanelen kan arbetsytor skapas, byta namn, kopieras och tas bort.
+ *
+ * @param {string} props.workspaceId - Den aktiva arbetsytans ID
+ * @param {Function} props.onSwitch - Anropas med ID:t när en annan arbetsyta väljs
+ */
+export function WorkspaceSwitcher({ workspaceId, onSwitch }) {
+  const [workspaces, setWorkspaces] = useState(getWorkspaces);
+  const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState(null);
+  const [confirmId, setConfirmId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [isWriting, setIsWriting] = useState(isWorkspaceBusy);
+
+  const refresh = useCallback(() => {
+    setWorkspaces(getWorkspaces());
+  }, []);
+
+  // Arbetsytor kan skapas eller tas bort i en annan flik; har den aktiva tagits bort byts den
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== STORAGE_KEYS.WORKSPACES) return;
+      refresh();
+      const activeId = getActiveWorkspaceId();
+      if (activeId !== workspaceId) onSwitch(activeId);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [refresh, workspaceId, onSwitch]);
+
+  // Medan en import eller återställning sparas kan arbetsytan inte bytas
+  useEffect(() => subscribeToDataChanges((event) => {
+    if (event.type === SYNC_EVENTS.WORKSPACE_BUSY) {
+      setIsWriting(event.busy);
+    }
+  }), []);
+
+  const openForm = (type, workspace = null) => {
+    setError(null);
+    setConfirmId(null);
+    setForm({
+      type,
+      id: workspace ? workspace.id : null,
+      name: type === FORM_TYPES.RENAME ? workspace.name
+        : type === FORM_TYPES.DUPLICATE ? `${workspace.name} (kopia)`
+          : ''
+    });
+  };
+
+  const closePanel = () => {
+    setIsOpen(false);
+    setForm(null);
+    setConfirmId(null);
+    setError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsBusy(true);
+    setError(null);
+
+    const { workspace, error: formError } = form.type === FORM_TYPES.CREATE
+      ? createWorkspace(form.name)
+      : form.type === FORM_TYPES.RENAME
+        ? renameWorkspace(form.id, form.name)
+        : await duplicateWorkspace(form.id, form.name);
+
+    setIsBusy(false);
+    if (formError) {
+      setError(formError);
+      return;
+    }
+
+    setForm(null);
+    refresh();
+    // En ny eller kopierad arbetsyta öppnas direkt
+    if (form.type !== FORM_TYPES.RENAME) {
+      closePanel();
+      onSwitch(workspace.id);
+    }
+  };
+
+  const handleDelete = async (workspace) => {
+    setIsBusy(true);
+    setError(null);
+
+    const { success, error: deleteError } = await deleteWorkspace(workspace.id);
+
+    setIsBusy(false);
+    setConfirmId(null);
+    if (!success) {
+      setError(`${workspace.name} kunde inte tas bort: ${deleteError}`);
+      return;
+    }
+    refresh();
+  };
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <Layers className="h-4 w-4 text-muted-foreground hidden sm:block" />
+      <Select value={workspaceId} onValueChange={onSwitch} disabled={isWriting}>
+        <SelectTrigger className="w-44" title={isWriting ? 'Arbetsytan kan bytas när sparandet är klart' : undefined}>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {workspaces.map(workspace => (
+            <SelectItem key={workspace.id} value={workspace.id}>{workspace.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Button
+        variant="outline"
+        size="icon"
+        onClick={() => (isOpen ? closePanel() : setIsOpen(true))}
+        title="Hantera arbetsytor"
+      >
+        <Settings2 className="h-4 w-4" />
+      </Button>
+
+      {isOpen && (
+        <Card className="absolute right-0 top-full mt-2 w-[22rem] z-20 shadow-lg">
+          <CardHeader className="pb-2">
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <CardTitle className="text-base">Arbetsytor</CardTitle>
+                <CardDescription>
+                  Varje arbetsyta har egna konton och egen data, t.ex. egna kanaler och konkurrenter.
+                </CardDescription>
+              </div>
+              <Button variant="ghost" size="icon" onClick={closePanel} title="Stäng">
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {error && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <ul className="divide-y divide-border">
+              {workspaces.map(workspace => (
+                <li key={workspace.id} className="py-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium break-all">
+                      {workspace.name}
+                      {workspace.id === workspaceId && (
+                        <Badge variant="secondary" className="ml-2">Aktiv</Badge>
+                      )}
+                    </span>
+                    <div className="flex shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => openForm(FORM_TYPES.RENAME, workspace)}
+                        disabled={isBusy}
+                        title="Byt namn"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => openForm(FORM_TYPES.DUPLICATE, workspace)}
+                        disabled={isBusy}
+                        title="Kopiera"
+                      >
+                        <Copy className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                        onClick={() => {
+                          setForm(null);
+                          setError(null);
+                          setConfirmId(workspace.id);
+                        }}
+                        disabled={isBusy || workspace.id === workspaceId || workspaces.length === 1}
+                        title={workspace.id === workspaceId ? 'Den aktiva arbetsytan kan inte tas bort' : 'Ta bort'}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  {confirmId === workspace.id && (
+                    <Alert variant="destructive" className="mt-2">
+                      <AlertCircle className="h-4 w-4" />
+                      <AlertDescription>
+                        <p>Ta bort {workspace.name} med alla konton och all data? Det går inte att ångra.</p>
+                        <div className="flex justify-end gap-2 mt-2">
+                          <Button variant="outline" size="sm" onClick={() => setConfirmId(null)} disabled={isBusy}>
+                            Avbryt
+                          </Button>
+                          <Button variant="destructive" size="sm" onClick={() => handleDelete(workspace)} disabled={isBusy}>
+                            {isBusy ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Ta bort'}
+                          </Button>
+                        </div>
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {form ? (
+              <form onSubmit={handleSubmit} className="space-y-2">
+                <Input
+                  value={form.name}
+                  onChange={(e) => setForm(current => ({ ...current, name: e.target.value }))}
+                  placeholder="Namn på arbetsytan"
+                  autoFocus
+                />
+                <div className="flex justify-end gap-2">
+                  <Button type="button" variant="outline" size="sm" onClick={() => setForm(null)} disabled={isBusy}>
+                    Avbryt
+                  </Button>
+                  <Button type="submit" size="sm" disabled={isBusy || isWriting || !form.name.trim()}>
+                    {isBusy && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    {FORM_LABELS[form.type]}
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <Button variant="outline" size="sm" className="w-full" onClick={() => openForm(FORM_TYPES.CREATE)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Ny arbetsyta
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+/**
+ * Account Matching
+ *
+ * Föreslår kontonamn för importerade filer utifrån filnamnet: egna regler (prefix eller
+ * reguljärt uttryck), regler som lärts in från tidigare importer och befintliga konton vars
+ * namn står först i filnamnet. Hittar även befintliga konton med nästan samma namn, så att
+ * "Ekot" och "ekot " inte blir två konton.
+ */
+import { simplifyFilename, generateId } from './utils';
+
+export const ACCOUNT_RULE_TYPES = {
+  PREFIX: 'prefix',
+  REGEX: 'regex',
+  LEARNED: 'learned'
+};
+
+export const ACCOUNT_RULE_TYPE_LABELS = {
+  [ACCOUNT_RULE_TYPES.PREFIX]: 'Börjar med',
+  [ACCOUNT_RULE_TYPES.REGEX]: 'Reguljärt uttryck',
+  [ACCOUNT_RULE_TYPES.LEARNED]: 'Inlärd'
+};
+
+/**
+ * Normaliserar ett kontonamn för jämförelse: utan inledande/avslutande blanksteg,
+ * med enkla mellanslag och gemener
+ * @param {string} name - Kontonamn
+ * @returns {string}
+ */
+export const normalizeAccountName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Hittar det befintliga konto som ett namn avser, oavsett skiftläge och blanksteg
+ * @param {string} name - Kontonamn
+ * @param {Array} accounts - Befintliga konton
+ * @returns {Object|null}
+ */
+export const findAccountByName = (name, accounts) => {
+  const normalized = normalizeAccountName(name);
+  if (!normalized) return null;
+  return accounts.find(account => normalizeAccountName(account.name) === normalized) || null;
+};
+
+// Levenshtein-avstånd mellan två strängar
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Korta namn som "P3" och "P4" är olika konton, så där krävs exakt träff
+const allowedDistance = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+const compact = (name) => name.replace(/[\s_.-]/g, '');
+
+/**
+ * Hittar befintliga konton som liknar ett namn utan att vara samma konto
+ * @param {string} name - Inskrivet kontonamn
+ * @param {Array} accounts - Befintliga konton
+ * @param {number} [limit] - Max antal förslag
+ * @returns {Array<{account: Object, nearDuplicate: boolean}>} - Mest lika först. nearDuplicate
+ *   betyder att namnet troligen är en felstavning av kontot; övriga förslag är kompletteringar
+ */
+export const findSimilarAccounts = (name, accounts, limit = 3) => {
+  const normalized = normalizeAccountName(name);
+  if (!normalized) return [];
+
+  return accounts
+    .map(account => {
+      const other = normalizeAccountName(account.name);
+      if (other === normalized) return null;
+
+      if (compact(other) === compact(normalized)) {
+        return { account, nearDuplicate: true, score: 0 };
+      }
+
+      const distance = editDistance(normalized, other);
+      if (distance <= allowedDistance(Math.max(normalized.length, other.length))) {
+        return { account, nearDuplicate: true, score: distance };
+      }
+
+      if (normalized.length >= 2 && other.startsWith(normalized)) {
+        return { account, nearDuplicate: false, score: 10 + other.length - normalized.length };
+      }
+
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(({ account, nearDuplicate }) => ({ account, nearDuplicate }));
+};
+
+/**
+ * Nyckel för inlärda regler: filnamnet utan ändelse, datum och löpnummer, så att
+ * "P3_overview_2024-05.csv" och "P3_overview_2024-06 (1).csv" ger samma nyckel
+ * @param {string} fileName - Filnamn
+ * @returns {string}
+ */
+export const getFilenameStem = (fileName) => simplifyFilename(fileName)
+  .split(/\s+/)
+  .filter(token => token && !/^[\d().:-]+$/.test(token))
+  .join(' ')
+  .toLowerCase();
+
+/**
+ * Kontrollerar en regel innan den sparas
+ * @param {Object} rule - { type, pattern, accountName }
+ * @returns {string|null} - Felmeddelande, eller null om regeln är giltig
+ */
+export const validateAccountRule = (rule) => {
+  if (!rule.pattern || !rule.pattern.trim()) {
+    return 'Ange ett mönster';
+  }
+
+  if (rule.type === ACCOUNT_RULE_TYPES.REGEX) {
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      return `Ogiltigt reguljärt uttryck: ${error.message}`;
+    }
+    // Utan kontonamn används första gruppen i uttrycket som namn
+    const hasGroup = new RegExp(`${regex.source}|`).exec('').length > 1;
+    if (!rule.accountName.trim() && !hasGroup) {
+      return 'Ange ett kontonamn eller en grupp i uttrycket, t.ex. ^([^_]+)_';
+    }
+    return null;
+  }
+
+  return rule.accountName && rule.accountName.trim() ? null : 'Ange ett kontonamn';
+};
+
+// Tillämpar en regel på ett filnamn och returnerar kontonamnet, eller null
+const applyRule = (rule, fileName) => {
+  const pattern = rule.pattern.toLowerCase();
+
+  switch (rule.type) {
+    case ACCOUNT_RULE_TYPES.PREFIX:
+      return fileName.toLowerCase().startsWith(pattern) || simplifyFilename(fileName).toLowerCase().startsWith(pattern)
+        ? rule.accountName
+        : null;
+    case ACCOUNT_RULE_TYPES.REGEX: {
+      let match;
+      try {
+        match = new RegExp(rule.pattern, 'i').exec(fileName);
+      } catch {
+        return null;
+      }
+      if (!match) return null;
+      return rule.accountName || (match[1] ? match[1].trim() : null);
+    }
+    case ACCOUNT_RULE_TYPES.LEARNED:
+      return getFilenameStem(fileName) === rule.pattern ? rule.accountName : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Föreslår ett kontonamn för en fil. Egna regler prövas först i den ordning de skapades,
+ * därefter inlärda regler och sist befintliga konton vars namn inleder filnamnet.
+ * @param {string} fileName - Filnamn
+ * @param {Array} rules - Sparade regler { id, type, pattern, accountName }
+ * @param {Array} accounts - Befintliga konton
+ * @returns {Object|null} - { accountName, source, rule } där source är regeltypen eller 'account'
+ */
+export const suggestAccountName = (fileName, rules, accounts) => {
+  const ordered = [
+    ...rules.filter(rule => rule.type !== ACCOUNT_RULE_TYPES.LEARNED),
+    ...rules.filter(rule => rule.type === ACCOUNT_RULE_TYPES.LEARNED)
+  ];
+
+  for (const rule of ordered) {
+    const accountName = applyRule(rule, fileName);
+    if (accountName) {
+      return { accountName, source: rule.type, rule };
+    }
+  }
+
+  // "P3 overview 2024-05" → kontot "P3"; vid flera träffar vinner det längsta namnet
+  const simplified = normalizeAccountName(simplifyFilename(fileName));
+  const account = accounts
+    .filter(a => {
+      const name = normalizeAccountName(a.name);
+      return name && (simplified === name || simplified.startsWith(`${name} `));
+    })
+    .sort((a, b) => b.name.length - a.name.length)[0];
+
+  return account ? { accountName: account.name, source: 'account', rule: null } : null;
+};
+
+/**
+ * Lär in vilket konto en fil importerades till, så att nästa fil med samma
+ * namnmönster fylls i automatiskt
+ * @param {Array} rules - Sparade regler
+ * @param {string} fileName - Den importerade filens namn
+ * @param {string} accountName - Kontot filen importerades till
+ * @returns {Array} - Uppdaterade regler (samma lista om inget behövde läras in)
+ */
+export const learnAccountRule = (rules, fileName, accountName) => {
+  const stem = getFilenameStem(fileName);
+  if (!stem) return rules;
+
+  // En egen regel som redan ger rätt konto behöver ingen inlärd regel bredvid sig
+  const explicit = suggestAccountName(fileName, rules.filter(rule => rule.type !== ACCOUNT_RULE_TYPES.LEARNED), []);
+  if (explicit && normalizeAccountName(explicit.accountName) === normalizeAccountName(accountName)) {
+    return rules;
+  }
+
+  const existing = rules.find(rule => rule.type === ACCOUNT_RULE_TYPES.LEARNED && rule.pattern === stem);
+  if (existing && existing.accountName === accountName) return rules;
+
+  const learned = {
+    id: existing ? existing.id : generateId(),
+    type: ACCOUNT_RULE_TYPES.LEARNED,
+    pattern: stem,
+    accountName,
+    updatedAt: Date.now()
+  };
+
+  return existing
+    ? rules.map(rule => (rule.id === existing.id ? learned : rule))
+    : [...rules, learned];
+};
@@ -0,0 +1,53 @@
+/**
+ * Background Import
+ *
+ * Startar importWorker för en fil och vidarebefordrar förloppet. En uppladdad fil skickas
+ * som den är och läses och avkodas i workern, så att huvudtråden aldrig håller hela
+ * innehållet. Saknar webbläsaren stöd för Web Workers körs bearbetningen i stället i huvudtråden.
+ */
+import { processTikTokData } from './webDataProcessor';
+import { readBlobText } from './encoding';
+
+/**
+ * Processar TikTok CSV-data i en Web Worker
+ * @param {Blob|string} source - CSV-filen, eller CSV-innehåll (t.ex. ett konverterat Excel-blad)
+ * @param {Object} [options] - Samma som processTikTokData, inklusive onProgress, samt
+ *   encoding för en fil; utelämnas den identifieras teckenkodningen i hela filen
+ * @returns {Promise<Object>} - Bearbetad data och metadata från processTikTokData
+ */
+export const processTikTokDataInBackground = (source, options = {}) => {
+  const { onProgress, encoding, ...workerOptions } = options;
+
+  if (typeof Worker === 'undefined') {
+    const read = typeof source === 'string' ? Promise.resolve(source) : readBlobText(source, encoding);
+    return read.then(content => processTikTokData(content, { ...workerOptions, onProgress }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./importWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.progress);
+        return;
+      }
+
+      worker.terminate();
+      if (message.type === 'done') {
+        resolve(message.result);
+      } else {
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      console.error('Fel i importens bakgrundsprocess:', event);
+      reject(new Error(event.message || 'Importen kunde inte köras i bakgrunden'));
+    };
+
+    worker.postMessage({ source, encoding, options: workerOptions });
+  });
+};
@@ -0,0 +1,172 @@
+/**
+ * Backup Crypto
+ *
+ * Krypterar säkerhetskopior med en lösenfras via webbläsarens Web Crypto. Nyckeln härleds
+ * med PBKDF2 (SHA-256) och innehållet krypteras med AES-GCM. En kontrollsumma av den
+ * härledda nyckeln gör att fel lösenfras kan skiljas från en fil som har ändrats.
+ */
+import { ENCRYPTED_BACKUP_FORMAT } from './constants';
+
+const ENVELOPE_VERSION = 1;
+
+// Antal PBKDF2-iterationer för nya kopior (OWASP:s rekommendation för SHA-256)
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Iterationer utanför intervallet tyder på en ändrad fil och skulle kunna låsa webbläsaren
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 10000000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const textEncoder = new TextEncoder();
+
+// btoa klarar inte hela stora buffertar på en gång, så de kodas i delar
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const getSubtle = () => {
+  if (!window.crypto || !window.crypto.subtle) {
+    throw new Error('Webbläsaren saknar stöd för kryptering (Web Crypto kräver https eller localhost)');
+  }
+  return window.crypto.subtle;
+};
+
+/**
+ * Härleder en AES-nyckel och en kontrollsumma ur lösenfrasen. De första 256 bitarna blir
+ * nyckeln; kontrollsumman är en SHA-256 av de följande 256 bitarna och avslöjar inget om nyckeln.
+ */
+const deriveKey = async (passphrase, salt, iterations) => {
+  const subtle = getSubtle();
+  const material = await subtle.importKey('raw', textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    512
+  ));
+
+  const key = await subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const check = toBase64(await subtle.digest('SHA-256', bits.slice(32)));
+  return { key, check };
+};
+
+// Kuvertets parametrar autentiseras tillsammans med innehållet, så att de inte kan bytas ut
+const additionalData = (envelope) => textEncoder.encode(JSON.stringify([
+  envelope.format,
+  envelope.version,
+  envelope.kdf,
+  envelope.cipher
+]));
+
+/**
+ * Kontrollerar om en tolkad fil är en krypterad säkerhetskopia
+ * @param {Object} content - Tolkad JSON
+ * @returns {boolean}
+ */
+export const isEncryptedBackup = (content) => !!content && content.format === ENCRYPTED_BACKUP_FORMAT;
+
+/**
+ * Krypterar en säkerhetskopia med en lösenfras
+ * @param {Object} backup - Säkerhetskopia från createBackup
+ * @param {string} passphrase - Lösenfras
+ * @returns {Promise<Object>} - Krypterat kuvert { format, version, kdf, cipher, check, data }
+ */
+export const encryptBackup = async (backup, passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Lösenfrasen måste vara minst ${MIN_PASSPHRASE_LENGTH} tecken`);
+  }
+
+  const salt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = window.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const { key, check } = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  const envelope = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    check
+  };
+
+  const encrypted = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv, additionalData: additionalData(envelope) },
+    key,
+    textEncoder.encode(JSON.stringify(backup))
+  );
+
+  return { ...envelope, data: toBase64(encrypted) };
+};
+
+/**
+ * Dekrypterar en krypterad säkerhetskopia
+ * @param {Object} envelope - Krypterat kuvert från encryptBackup
+ * @param {string} passphrase - Lösenfras
+ * @returns {Promise<Object>} - { backup, error } där error förklarar varför kopian inte kunde
+ *   dekrypteras: fel lösenfras, ändrad eller skadad fil, eller en okänd version
+ */
+export const decryptBackup = async (envelope, passphrase) => {
+  if (!passphrase) {
+    return { backup: null, error: 'Ange lösenfrasen för säkerhetskopian' };
+  }
+
+  if (envelope.version > ENVELOPE_VERSION) {
+    return { backup: null, error: 'Säkerhetskopian är krypterad av en nyare version av appen – uppdatera appen och försök igen' };
+  }
+
+  const { kdf, cipher } = envelope;
+  if (!kdf || kdf.name !== 'PBKDF2' || !cipher || cipher.name !== 'AES-GCM' || !envelope.check || !envelope.data) {
+    return { backup: null, error: 'Den krypterade säkerhetskopian är skadad (krypteringsparametrar saknas)' };
+  }
+
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < MIN_ITERATIONS || kdf.iterations > MAX_ITERATIONS) {
+    return { backup: null, error: 'Den krypterade säkerhetskopian är skadad (ogiltiga krypteringsparametrar)' };
+  }
+
+  let derived;
+  let iv;
+  let data;
+  try {
+    iv = fromBase64(cipher.iv);
+    data = fromBase64(envelope.data);
+    derived = await deriveKey(passphrase, fromBase64(kdf.salt), kdf.iterations);
+  } catch (error) {
+    console.error('Fel vid härledning av nyckel:', error);
+    return { backup: null, error: 'Den krypterade säkerhetskopian är skadad och kan inte läsas' };
+  }
+
+  if (derived.check !== envelope.check) {
+    return { backup: null, error: 'Fel lösenfras' };
+  }
+
+  let decrypted;
+  try {
+    decrypted = await getSubtle().decrypt({ name: 'AES-GCM', iv, additionalData: additionalData(envelope) }, derived.key, data);
+  } catch (error) {
+    // Lösenfrasen stämmer, så en misslyckad autentisering betyder att filen har ändrats
+    console.error('Fel vid dekryptering av säkerhetskopia:', error);
+    return { backup: null, error: 'Säkerhetskopian har ändrats eller skadats efter att den krypterades och kan inte återställas' };
+  }
+
+  try {
+    return { backup: JSON.parse(new TextDecoder().decode(decrypted)), error: null };
+  } catch (error) {
+    console.error('Fel vid tolkning av dekrypterad säkerhetskopia:', error);
+    return { backup: null, error: 'Den dekrypterade säkerhetskopian är inte giltig JSON' };
+  }
+};
@@ -6,19 +6,107 @@
 export const STORAGE_KEYS = {
   LAST_SELECTED_ACCOUNT: 'tiktok_stats_last_selected_account',
 
-  // Account data
+  // Kopia av kontolistan från före version 9; flyttas till IndexedDB vid uppgradering
   ACCOUNTS: 'tiktok_stats_accounts',
 
-  // CSV data (for small files only, larger ones use IndexedDB)
+  // Regler som fyller i kontonamn utifrån filnamn
+  ACCOUNT_RULES: 'tiktok_stats_account_rules',
+
+  // Kopior av översiktsdata från före version 8; flyttas till IndexedDB vid uppgradering
   OVERVIEW_DATA_PREFIX: 'tiktok_stats_overview_data_',  // + accountId
 
-  // IndexedDB configurations
+  // Arbetsytor och den arbetsyta som senast användes i webbläsaren
+  WORKSPACES: 'tiktok_stats_workspaces',
+  ACTIVE_WORKSPACE: 'tiktok_stats_active_workspace',
+
+  // BroadcastChannel för ändringar mellan flikar (+ arbetsytans suffix)
+  SYNC_CHANNEL: 'tiktok_stats_sync',
+
+  // Antal dagar som borttagna konton och ångrade importer ligger i papperskorgen
+  TRASH_RETENTION_DAYS: 'tiktok_stats_trash_retention_days',
+
+  // IndexedDB configurations. Varje arbetsyta utom standardarbetsytan har en egen databas
+  // med arbetsytans ID som suffix, t.ex. "TikTokStatisticsDB_abc123"
   DB_NAME: 'TikTokStatisticsDB',
-  DB_VERSION: 1,
+  DB_VERSION: 10,
   STORE_ACCOUNTS: 'accounts',
-  STORE_OVERVIEW_DATA: 'overviewData',
+  STORE_OVERVIEW_DATA: 'overviewData',  // Ersatt av STORE_DAILY_ROWS i version 8
+  STORE_DAILY_ROWS: 'dailyRows',
+  STORE_VIDEO_DATA: 'videoData',
+  STORE_DEMOGRAPHICS: 'demographics',
+  STORE_FOLLOWER_ACTIVITY: 'followerActivity',
+  STORE_MAPPING_PROFILES: 'mappingProfiles',
+  STORE_IMPORT_HISTORY: 'importHistory',
+  STORE_TRASH: 'trash',
+};
+
+// Händelser som skickas mellan flikar, se subscribeToDataChanges
+export const SYNC_EVENTS = {
+  DATA_CHANGED: 'data-changed',
+  DATABASE_CLOSED: 'database-closed',
+  // Bara i den egna fliken: en skrivning pågår och arbetsytan kan inte bytas
+  WORKSPACE_BUSY: 'workspace-busy',
+};
+
+// Importtyper som känns igen vid uppladdning
+export const IMPORT_TYPES = {
+  OVERVIEW: 'overview',
+  VIDEO: 'video',
+  DEMOGRAPHICS: 'demographics',
+  ACTIVITY: 'activity',
+};
+
+export const IMPORT_TYPE_LABELS = {
+  [IMPORT_TYPES.OVERVIEW]: 'Daglig översikt',
+  [IMPORT_TYPES.VIDEO]: 'Per video',
+  [IMPORT_TYPES.DEMOGRAPHICS]: 'Följardemografi',
+  [IMPORT_TYPES.ACTIVITY]: 'Följaraktivitet',
+};
+
+// Hur rader som redan finns för kontot hanteras när ny data slås ihop med befintlig
+export const MERGE_STRATEGIES = {
+  KEEP_EXISTING: 'existing',
+  TAKE_NEW: 'new',
+  TAKE_MAX: 'max',
 };
 
+export const MERGE_STRATEGY_LABELS = {
+  [MERGE_STRATEGIES.KEEP_EXISTING]: 'Behåll befintliga',
+  [MERGE_STRATEGIES.TAKE_NEW]: 'Ta nya',
+  [MERGE_STRATEGIES.TAKE_MAX]: 'Ta högsta',
+};
+
+// Säkerhetskopior av all data; BACKUP_VERSION höjs när filens innehåll ändras
+export const BACKUP_FORMAT = 'tiktok-stats-backup';
+export const BACKUP_VERSION = 1;
+export const ENCRYPTED_BACKUP_FORMAT = 'tiktok-stats-backup-encrypted';
+
+// Hur en säkerhetskopia läses tillbaka
+export const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+export const RESTORE_MODE_LABELS = {
+  [RESTORE_MODES.MERGE]: 'Slå ihop med befintlig data',
+  [RESTORE_MODES.REPLACE]: 'Ersätt all data',
+};
+
+// Vad som kan ligga i papperskorgen
+export const TRASH_TYPES = {
+  ACCOUNT: 'account',
+  IMPORT: 'import',
+};
+
+export const TRASH_TYPE_LABELS = {
+  [TRASH_TYPES.ACCOUNT]: 'Konto',
+  [TRASH_TYPES.IMPORT]: 'Ångrad import',
+};
+
+// Valbara lagringstider för papperskorgen, i dagar
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
 // Översiktsfält (OVERVIEW CSV fields) - Swedish column names
 export const OVERVIEW_FIELDS = {
   'date': 'Datum',
@@ -61,6 +149,87 @@ export const OVERVIEW_FIELDS_ENGLISH = {
   'lost_followers': 'Lost followers',
 };
 
+// Innehållsfält (per video, "Content"-export) - Swedish column names
+export const VIDEO_FIELDS = {
+  'title': 'Videotitel',
+  'post_time': 'Publiceringstid',
+  'video_link': 'Videolänk',
+  'video_views': 'Totalt antal visningar',
+  'likes': 'Totalt antal gilla-markeringar',
+  'comments': 'Totalt antal kommentarer',
+  'shares': 'Totalt antal delningar',
+  'average_watch_time': 'Genomsnittlig visningstid',
+  'completion_rate': 'Sett hela videon',
+};
+
+// English equivalents for video fields
+export const VIDEO_FIELDS_ENGLISH = {
+  'title': 'Video title',
+  'post_time': 'Post time',
+  'video_link': 'Video link',
+  'video_views': 'Total views',
+  'likes': 'Total likes',
+  'comments': 'Total comments',
+  'shares': 'Total shares',
+  'average_watch_time': 'Average watch time',
+  'completion_rate': 'Watched full video',
+};
+
+// Alternativa kolumnnamn som förekommer i äldre/andra varianter av exporten
+export const VIDEO_FIELDS_ALIASES = {
+  'title': ['Titel', 'Title', 'Videobeskrivning', 'Video description'],
+  'post_time': ['Publicerad', 'Publiceringsdatum', 'Posted', 'Post date', 'Create time'],
+  'video_link': ['Länk', 'Link', 'Video URL'],
+  'video_views': ['Videovisningar', 'Visningar', 'Video views', 'Views'],
+  'likes': ['Gilla-markeringar', 'Likes'],
+  'comments': ['Kommentarer', 'Comments'],
+  'shares': ['Delningar', 'Shares'],
+  'average_watch_time': ['Genomsnittlig tittartid', 'Average time watched'],
+  'completion_rate': ['Slutförandegrad', 'Completion rate', 'Full video watched rate'],
+};
+
+// Följardemografi - dimensioner som TikTok exporterar som separata filer
+export const DEMOGRAPHIC_DIMENSIONS = {
+  'gender': 'Kön',
+  'age': 'Ålder',
+  'territory': 'Territorium',
+};
+
+// Kolumnnamn (svenska och engelska) för demografifilerna
+export const DEMOGRAPHIC_FIELDS = {
+  'gender': ['Kön', 'Gender'],
+  'age': ['Ålder', 'Age'],
+  'territory': ['Topplatser', 'Top territories', 'Territorium', 'Territory', 'Land', 'Country'],
+  'share': ['Fördelning', 'Distribution', 'Andel', 'Share', 'Procent', 'Percentage'],
+};
+
+// Visningsnamn för kategorier som TikTok exporterar på engelska
+export const DEMOGRAPHIC_CATEGORY_LABELS = {
+  'Female': 'Kvinnor',
+  'Male': 'Män',
+  'Other': 'Övrigt',
+};
+
+// Följaraktivitet (aktiva följare per timme) - svenska och engelska kolumnnamn. Exporten
+// har antingen ett datum, en veckodag eller bara timmen (en genomsnittlig dag) per rad.
+export const ACTIVITY_FIELDS = {
+  'date': ['Datum', 'Date'],
+  'weekday': ['Veckodag', 'Weekday', 'Day of week', 'Day'],
+  'hour': ['Timme', 'Hour', 'Tid', 'Time'],
+  'active_followers': ['Aktiva följare', 'Active followers', 'Följare online', 'Followers online'],
+};
+
+// Veckodagar i svensk ordning (måndag först), index motsvarar Date.getDay()
+export const WEEKDAY_LABELS = {
+  1: 'Mån',
+  2: 'Tis',
+  3: 'Ons',
+  4: 'Tor',
+  5: 'Fre',
+  6: 'Lör',
+  0: 'Sön',
+};
+
 // Beräknade översiktsfält
 export const OVERVIEW_CALCULATED_FIELDS = {
   'interactions': 'Interaktioner',
@@ -98,9 +267,23 @@ export const ACCOUNT_VIEW_AVAILABLE_FIELDS = {
   'post_count': 'Antal dagar',
 };
 
+// Video View tillgängliga fält (en rad per video)
+export const VIDEO_VIEW_AVAILABLE_FIELDS = {
+  'video_views': 'Visningar',
+  'likes': 'Gilla-markeringar',
+  'comments': 'Kommentarer',
+  'shares': 'Delningar',
+  'interactions': 'Interaktioner',
+  'engagement_rate': 'Engagemangsnivå (%)',
+  'average_watch_time': 'Genomsnittlig visningstid (s)',
+  'completion_rate': 'Sett hela videon (%)',
+};
+
 // Lagrings begränsningar
 export const STORAGE_LIMITS = {
   LOCAL_STORAGE_MAX: 5 * 1024 * 1024, // 5MB
-  INDEXED_DB_WARNING: 50 * 1024 * 1024, // 50MB - varning vid denna nivå
+  FALLBACK_QUOTA: 50 * 1024 * 1024, // 50MB - antagen kvot när webbläsaren inte anger någon
+  WARNING_PERCENTAGE: 75, // Andel av kvoten som ger en varning
+  CRITICAL_PERCENTAGE: 90, // Andel av kvoten som är kritisk
   ACCOUNT_MAX: 50, // Max antal konton
 };
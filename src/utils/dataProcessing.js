@@ -4,25 +4,253 @@
  * Hjälpfunktioner för att bearbeta och aggregera statistikdata
  */
 
+// Förkortningar som TikTok och kalkylprogram använder (svenska och engelska)
+const NUMBER_SUFFIXES = {
+  'k': 1e3,
+  't': 1e3,
+  'tn': 1e3,
+  'tusen': 1e3,
+  'm': 1e6,
+  'mn': 1e6,
+  'milj': 1e6,
+  'mio': 1e6,
+  'b': 1e9,
+  'md': 1e9,
+  'mdr': 1e9,
+};
+
+// Valutor som kan förekomma i t.ex. GMV-kolumner
+const CURRENCY_PATTERN = /^[$€£]|\s*(kr|sek|usd|eur)$/gi;
+
+// "1.234.567" men inte "1.2.3": efter den första gruppen har varje grupp exakt tre siffror
+const isGroupedInteger = (text, separator) =>
+  text.split(separator).every((group, index) => (index === 0 ? /^\d{1,3}$/ : /^\d{3}$/).test(group));
+
 /**
- * Konverterar ett värde till ett numeriskt värde om möjligt
+ * Normaliserar ett tal som det kan se ut i en TikTok-export eller ett kalkylark.
+ * Hanterar svenska och engelska tusen-/decimalavgränsare ("1 234,5", "1,234.5"),
+ * förkortningar ("1.2K", "3,4 tn", "2 mn") och procent ("45%", "12,5 %").
+ * Ett kommatecken följt av exakt tre siffror ("12,500") tolkas som tusentalsavgränsare.
+ * Tusentalsavgränsare godtas bara mellan grupper om tre siffror, så "1,2,3" är ogiltigt.
+ *
+ * @param {*} input - Värdet från filen
+ * @returns {Object} - { value: number|null, valid: boolean, isPercent: boolean }
+ *   valid är false om värdet inte är tomt men ändå inte gick att tolka
+ */
+export const normalizeNumber = (input) => {
+  const invalid = { value: null, valid: false, isPercent: false };
+
+  if (input === null || input === undefined) return { value: null, valid: true, isPercent: false };
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? { value: input, valid: true, isPercent: false } : invalid;
+  }
+
+  let text = String(input)
+    .replace(/[\u00A0\u202F\u2009]/g, ' ')
+    .replace(CURRENCY_PATTERN, '')
+    .trim();
+
+  if (text === '' || text === '-' || text === '–') return { value: null, valid: true, isPercent: false };
+
+  let negative = false;
+  if (/^[-−]/.test(text)) {
+    negative = true;
+    text = text.slice(1).trim();
+  }
+
+  const isPercent = text.endsWith('%');
+  if (isPercent) text = text.slice(0, -1).trim();
+
+  let factor = 1;
+  const suffixMatch = text.match(/^(.*?\d)\s*([a-zåäö]+)\.?$/i);
+  if (suffixMatch) {
+    factor = NUMBER_SUFFIXES[suffixMatch[2].toLowerCase()];
+    if (!factor) return invalid;
+    text = suffixMatch[1];
+  }
+
+  // Mellanslag används som tusentalsavgränsare i svenska exporter
+  if (text.includes(' ') && !isGroupedInteger(text.split(/[.,]/)[0], ' ')) return invalid;
+  text = text.replace(/ /g, '');
+  if (!/^(\d[\d.,]*|[.,]\d+)$/.test(text)) return invalid;
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Båda förekommer: den sista är decimaltecknet
+    const decimalSeparator = lastComma > lastDot ? ',' : '.';
+    const thousandSeparator = decimalSeparator === ',' ? '.' : ',';
+    const decimalIndex = Math.max(lastComma, lastDot);
+    const integerPart = text.slice(0, decimalIndex);
+    if (!isGroupedInteger(integerPart, thousandSeparator)) return invalid;
+    text = `${integerPart.split(thousandSeparator).join('')}.${text.slice(decimalIndex + 1)}`;
+  } else if (lastComma !== -1) {
+    const commaCount = text.split(',').length - 1;
+    const looksLikeThousands = factor === 1 && !isPercent && isGroupedInteger(text, ',');
+    if (commaCount > 1 && !isGroupedInteger(text, ',')) return invalid;
+    if (commaCount > 1 || looksLikeThousands) {
+      text = text.replace(/,/g, '');
+    } else {
+      text = text.replace(',', '.');
+    }
+  } else if (lastDot !== -1 && text.split('.').length - 1 > 1) {
+    if (!isGroupedInteger(text, '.')) return invalid;
+    text = text.replace(/\./g, '');
+  }
+
+  const number = Number(text);
+  if (!Number.isFinite(number)) return invalid;
+
+  let value = (negative ? -number : number) * factor;
+  // Förkortade värden är alltid heltal ("1.2K" = 1200)
+  if (factor > 1) value = Math.round(value);
+
+  return { value, valid: true, isPercent };
+};
+
+/**
+ * Konverterar ett värde till ett numeriskt värde om möjligt (0 om det inte går)
  */
 export const parseNumericValue = (value) => {
-  if (value === null || value === undefined || value === '') return 0;
+  const { value: number } = normalizeNumber(value);
+  return number === null ? 0 : number;
+};
 
-  if (typeof value === 'string') {
-    const cleanValue = value
-      .replace(/\s+/g, '')
-      .replace(/\.(?=\d{3})/g, '')
-      .replace(/,/g, '.');
+// Månadsnamn på svenska och engelska, nycklade på de tre första bokstäverna
+const MONTH_PREFIXES = {
+  'jan': 1,
+  'feb': 2,
+  'mar': 3,
+  'apr': 4,
+  'maj': 5,
+  'may': 5,
+  'jun': 6,
+  'jul': 7,
+  'aug': 8,
+  'sep': 9,
+  'okt': 10,
+  'oct': 10,
+  'nov': 11,
+  'dec': 12,
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const buildDateKey = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  // Avvisa omöjliga datum som 31 februari
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
 
-    const num = parseFloat(cleanValue);
-    if (!isNaN(num)) return num;
+// Årtal för ett datum utan år: det senaste året där datumet inte ligger efter referensdatumet
+const inferYear = (month, day, referenceDate) => {
+  const year = referenceDate.getFullYear();
+  const isAfterReference = month > referenceDate.getMonth() + 1 ||
+    (month === referenceDate.getMonth() + 1 && day > referenceDate.getDate());
+  return isAfterReference ? year - 1 : year;
+};
+
+// Tolkar "18 okt.", "18 oktober 2024", "October 18" och "Oct 18, 2024". Ett klockslag, som i
+// en videos publiceringstid ("May 2, 2024 10:00"), ignoreras.
+const parseTextualDate = (text) => {
+  const words = text.toLowerCase().replace(/[.,]/g, ' ').split(/\s+/).filter(Boolean);
+  let day = null;
+  let month = null;
+  let year = null;
+
+  for (const word of words) {
+    if (/^\d{1,2}:\d{2}(:\d{2})?$/.test(word)) {
+      continue;
+    } else if (/^\d{4}$/.test(word)) {
+      year = Number(word);
+    } else if (/^\d{1,2}$/.test(word) && day === null) {
+      day = Number(word);
+    } else if (/^[a-zåäö]{3,}$/.test(word) && month === null && MONTH_PREFIXES[word.slice(0, 3)]) {
+      month = MONTH_PREFIXES[word.slice(0, 3)];
+    } else {
+      return null;
+    }
+  }
+
+  return day !== null && month !== null ? { year, month, day } : null;
+};
+
+/**
+ * Gör om ett datum till en kalendernyckel "YYYY-MM-DD" utan tidszonsförskjutning.
+ * Hanterar ISO-datum, tidsstämplar sparade av äldre versioner, "3/18/2024" (TikToks
+ * engelska export), "18.3.2024" samt månadsnamn på svenska och engelska. Saknas
+ * årtal väljs det senaste år då datumet inte ligger efter referensdatumet.
+ *
+ * @param {*} value - Datum från fil eller lagring
+ * @param {Date} [referenceDate] - Exportens slutdatum (standard: idag)
+ * @returns {string|null} - "YYYY-MM-DD" eller null om värdet inte är ett datum
+ */
+export const toDateKey = (value, referenceDate = new Date()) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : buildDateKey(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  }
+
+  const text = String(value).trim();
+
+  // Tidsstämpel i UTC (äldre versioner sparade lokal midnatt med toISOString)
+  if (/^\d{4}-\d{2}-\d{2}T.*Z$/.test(text)) {
+    if (/T00:00(:00(\.0+)?)?Z$/.test(text)) return buildDateKey(...text.slice(0, 10).split('-').map(Number));
+    return toDateKey(new Date(text));
   }
 
-  if (typeof value === 'number' && !isNaN(value)) return value;
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) return buildDateKey(Number(match[1]), Number(match[2]), Number(match[3]));
 
-  return 0;
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) return buildDateKey(Number(match[3]), Number(match[1]), Number(match[2]));
+
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+  if (match) return buildDateKey(Number(match[3]), Number(match[2]), Number(match[1]));
+
+  const textual = parseTextualDate(text);
+  if (textual) {
+    const year = textual.year ?? inferYear(textual.month, textual.day, referenceDate);
+    return buildDateKey(year, textual.month, textual.day);
+  }
+
+  return null;
+};
+
+/**
+ * Gör om en hel datumkolumn till kalendernycklar. Datum utan årtal får sitt år från
+ * exportens intervall: det senaste fullständiga datumet i kolumnen, annars referensdatumet.
+ *
+ * @param {Array} values - Datumvärden i filens ordning
+ * @param {Date} [referenceDate] - Används om kolumnen saknar fullständiga datum
+ * @returns {Array<string|null>}
+ */
+export const toDateKeys = (values, referenceDate = new Date()) => {
+  const completeKeys = values
+    .filter(value => value !== null && value !== undefined && /\d{4}/.test(String(value)))
+    .map(value => toDateKey(value))
+    .filter(Boolean)
+    .sort();
+
+  const reference = completeKeys.length > 0
+    ? parseDateKey(completeKeys[completeKeys.length - 1])
+    : referenceDate;
+
+  return values.map(value => toDateKey(value, reference));
+};
+
+/**
+ * Tolkar en kalendernyckel "YYYY-MM-DD" som lokal midnatt
+ * @param {string} key - Kalendernyckel
+ * @returns {Date|null}
+ */
+export const parseDateKey = (key) => {
+  const match = String(key ?? '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
 };
 
 /**
@@ -0,0 +1,110 @@
+/**
+ * Character Encoding
+ *
+ * Identifierar och avkodar teckenkodningen i uppladdade textfiler. Exporter som sparats
+ * om i Excel på Windows är ofta Windows-1252 eller UTF-16LE med BOM, och läses de som
+ * UTF-8 blir "Målgrupp som nåtts" oläsligt så att kolumnerna inte känns igen.
+ */
+
+export const ENCODINGS = {
+  UTF8: 'utf-8',
+  UTF16LE: 'utf-16le',
+  UTF16BE: 'utf-16be',
+  WINDOWS1252: 'windows-1252'
+};
+
+export const ENCODING_LABELS = {
+  [ENCODINGS.UTF8]: 'UTF-8',
+  [ENCODINGS.UTF16LE]: 'UTF-16 LE',
+  [ENCODINGS.UTF16BE]: 'UTF-16 BE',
+  [ENCODINGS.WINDOWS1252]: 'Windows-1252 (Västeuropa)'
+};
+
+// Så många byte granskas för att hitta UTF-16 utan BOM
+const SAMPLE_SIZE = 4096;
+
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+// UTF-8 som lästs som Windows-1252, t.ex. "Ã¥" för "å" och "Ã¶" för "ö"
+const MOJIBAKE_PATTERN = /Ã[¤¥¶©„…–]/;
+
+const detectBom = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return ENCODINGS.UTF8;
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return ENCODINGS.UTF16LE;
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return ENCODINGS.UTF16BE;
+  return null;
+};
+
+// UTF-16 med latinska tecken har en nollbyte i nästan varannan position
+const detectUtf16 = (bytes) => {
+  const length = Math.min(bytes.length, SAMPLE_SIZE) & ~1;
+  if (length < 4) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = length / 2;
+  if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.1) return ENCODINGS.UTF16LE;
+  if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.1) return ENCODINGS.UTF16BE;
+  return null;
+};
+
+// I början av en fil kan sista tecknet vara avklippt mitt i en flerbytesekvens
+const isValidUtf8 = (bytes, isPartial) => {
+  try {
+    new TextDecoder(ENCODINGS.UTF8, { fatal: true }).decode(bytes, { stream: isPartial });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Identifierar teckenkodningen: först BOM, därefter mönster av nollbyte (UTF-16)
+ * och sist om innehållet är giltig UTF-8. Annars antas Windows-1252.
+ * @param {ArrayBuffer|Uint8Array} buffer - Filens innehåll
+ * @param {boolean} [isPartial] - buffer är bara början av filen
+ * @returns {string} - Ett värde ur ENCODINGS
+ */
+export const detectEncoding = (buffer, isPartial = false) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return detectBom(bytes) || detectUtf16(bytes) || (isValidUtf8(bytes, isPartial) ? ENCODINGS.UTF8 : ENCODINGS.WINDOWS1252);
+};
+
+/**
+ * Avkodar filinnehåll med angiven teckenkodning. En BOM tas bort.
+ * @param {ArrayBuffer|Uint8Array} buffer - Filens innehåll
+ * @param {string} encoding - Ett värde ur ENCODINGS
+ * @param {boolean} [isPartial] - buffer är bara början av filen; ett avklippt sista tecken utelämnas
+ * @returns {string}
+ */
+export const decodeText = (buffer, encoding, isPartial = false) =>
+  new TextDecoder(encoding).decode(buffer, { stream: isPartial });
+
+/**
+ * Läser och avkodar en hel textfil. Utan angiven teckenkodning identifieras den i hela
+ * filen, så att t.ex. ett "å" långt ned i en Windows-1252-fil inte avkodas som UTF-8.
+ * Används av importWorker så att stora filer aldrig avkodas i huvudtråden.
+ * @param {Blob} blob - Filen
+ * @param {string} [encoding] - Ett värde ur ENCODINGS
+ * @returns {Promise<string>}
+ */
+export const readBlobText = async (blob, encoding = null) => {
+  const buffer = await blob.arrayBuffer();
+  return decodeText(buffer, encoding || detectEncoding(buffer));
+};
+
+/**
+ * Kontrollerar om rubrikraden ser felavkodad ut: ersättningstecken (�) eller
+ * typiska tecken från UTF-8 som lästs som Windows-1252
+ * @param {string} content - Avkodat innehåll
+ * @returns {boolean}
+ */
+export const hasGarbledHeader = (content) => {
+  const header = content.slice(0, content.search(/\r?\n|$/));
+  return header.includes(REPLACEMENT_CHARACTER) || MOJIBAKE_PATTERN.test(header);
+};
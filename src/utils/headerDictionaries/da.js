@@ -0,0 +1,53 @@
+/**
+ * Danska kolumnrubriker
+ */
+import { IMPORT_TYPES } from '../constants';
+
+export const DA_HEADERS = {
+  code: 'da',
+  label: 'Danska',
+  fields: {
+    [IMPORT_TYPES.OVERVIEW]: {
+      'date': 'Dato',
+      'video_views': 'Videovisninger',
+      'reach': ['Nået målgruppe', 'Målgruppe nået', 'Rækkevidde'],
+      'profile_views': 'Profilvisninger',
+      'likes': 'Synes godt om',
+      'shares': 'Delinger',
+      'comments': 'Kommentarer',
+      'product_clicks': 'Klik på produktlinks',
+      'product_purchase': 'Gennemførte betalinger via produktlinks',
+      'product_gmv': 'GMV for produktlinks',
+      'website_clicks': ['Klik på websted', 'Webstedsklik'],
+      'phone_clicks': 'Klik på telefonnummer',
+      'collected_leads': 'Indsamlede leads',
+      'app_download_clicks': 'Klik på link til app-download',
+      'follower_net_growth': 'Nettovækst',
+      'new_followers': 'Nye følgere',
+      'lost_followers': 'Mistede følgere',
+    },
+    [IMPORT_TYPES.VIDEO]: {
+      'title': ['Videotitel', 'Titel', 'Videobeskrivelse'],
+      'post_time': ['Udgivelsestidspunkt', 'Udgivet', 'Slået op'],
+      'video_link': ['Videolink', 'Link'],
+      'video_views': 'Samlet antal visninger',
+      'likes': 'Samlet antal synes godt om',
+      'comments': 'Samlet antal kommentarer',
+      'shares': 'Samlet antal delinger',
+      'average_watch_time': 'Gennemsnitlig visningstid',
+      'completion_rate': 'Så hele videoen',
+    },
+    [IMPORT_TYPES.DEMOGRAPHICS]: {
+      'gender': 'Køn',
+      'age': 'Alder',
+      'territory': ['Topplaceringer', 'Land', 'Område'],
+      'share': ['Fordeling', 'Andel', 'Procent'],
+    },
+    [IMPORT_TYPES.ACTIVITY]: {
+      'date': 'Dato',
+      'weekday': ['Ugedag', 'Dag'],
+      'hour': ['Time', 'Tidspunkt'],
+      'active_followers': ['Aktive følgere', 'Følgere online'],
+    },
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Tyska kolumnrubriker
+ */
+import { IMPORT_TYPES } from '../constants';
+
+export const DE_HEADERS = {
+  code: 'de',
+  label: 'Tyska',
+  fields: {
+    [IMPORT_TYPES.OVERVIEW]: {
+      'date': 'Datum',
+      'video_views': 'Videoaufrufe',
+      'reach': ['Erreichtes Publikum', 'Reichweite'],
+      'profile_views': 'Profilaufrufe',
+      'likes': ['Likes', 'Gefällt mir'],
+      'shares': ['Geteilte Inhalte', 'Teilen'],
+      'comments': 'Kommentare',
+      'product_clicks': 'Klicks auf Produktlinks',
+      'product_purchase': 'Abgeschlossene Zahlungen über Produktlinks',
+      'product_gmv': 'GMV über Produktlinks',
+      'website_clicks': 'Website-Klicks',
+      'phone_clicks': 'Klicks auf Telefonnummer',
+      'collected_leads': 'Gesammelte Leads',
+      'app_download_clicks': 'Klicks auf App-Download-Link',
+      'follower_net_growth': 'Nettowachstum',
+      'new_followers': 'Neue Follower',
+      'lost_followers': 'Verlorene Follower',
+    },
+    [IMPORT_TYPES.VIDEO]: {
+      'title': ['Videotitel', 'Titel', 'Videobeschreibung'],
+      'post_time': ['Veröffentlichungszeit', 'Veröffentlicht'],
+      'video_link': ['Videolink', 'Link'],
+      'video_views': 'Aufrufe insgesamt',
+      'likes': 'Likes insgesamt',
+      'comments': 'Kommentare insgesamt',
+      'shares': 'Geteilte Inhalte insgesamt',
+      'average_watch_time': 'Durchschnittliche Wiedergabezeit',
+      'completion_rate': 'Vollständig angesehen',
+    },
+    [IMPORT_TYPES.DEMOGRAPHICS]: {
+      'gender': 'Geschlecht',
+      'age': 'Alter',
+      'territory': ['Top-Regionen', 'Land', 'Region'],
+      'share': ['Verteilung', 'Anteil', 'Prozent'],
+    },
+    [IMPORT_TYPES.ACTIVITY]: {
+      'date': 'Datum',
+      'weekday': ['Wochentag', 'Tag'],
+      'hour': ['Stunde', 'Uhrzeit'],
+      'active_followers': ['Aktive Follower', 'Follower online'],
+    },
+  },
+};
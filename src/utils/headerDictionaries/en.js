@@ -0,0 +1,30 @@
+/**
+ * Engelska kolumnrubriker (TikToks engelska exporter)
+ */
+import { IMPORT_TYPES, OVERVIEW_FIELDS_ENGLISH, VIDEO_FIELDS_ENGLISH } from '../constants';
+
+export const EN_HEADERS = {
+  code: 'en',
+  label: 'Engelska',
+  fields: {
+    [IMPORT_TYPES.OVERVIEW]: OVERVIEW_FIELDS_ENGLISH,
+    [IMPORT_TYPES.VIDEO]: {
+      ...VIDEO_FIELDS_ENGLISH,
+      'title': ['Video title', 'Title', 'Video description'],
+      'post_time': ['Post time', 'Posted', 'Post date', 'Create time'],
+      'video_link': ['Video link', 'Link', 'Video URL'],
+    },
+    [IMPORT_TYPES.DEMOGRAPHICS]: {
+      'gender': 'Gender',
+      'age': 'Age',
+      'territory': ['Top territories', 'Territory', 'Country'],
+      'share': ['Distribution', 'Share', 'Percentage'],
+    },
+    [IMPORT_TYPES.ACTIVITY]: {
+      'date': 'Date',
+      'weekday': ['Weekday', 'Day of week', 'Day'],
+      'hour': ['Hour', 'Time'],
+      'active_followers': ['Active followers', 'Followers online'],
+    },
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Finska kolumnrubriker
+ */
+import { IMPORT_TYPES } from '../constants';
+
+export const FI_HEADERS = {
+  code: 'fi',
+  label: 'Finska',
+  fields: {
+    [IMPORT_TYPES.OVERVIEW]: {
+      'date': 'Päivämäärä',
+      'video_views': ['Videon katselukerrat', 'Videoiden katselukerrat', 'Videokatselut'],
+      'reach': ['Tavoitettu yleisö', 'Kattavuus'],
+      'profile_views': ['Profiilin katselukerrat', 'Profiilikäynnit'],
+      'likes': 'Tykkäykset',
+      'shares': ['Jaot', 'Jakamiset'],
+      'comments': 'Kommentit',
+      'product_clicks': 'Tuotelinkin napsautukset',
+      'product_purchase': 'Tuotelinkin kautta suoritetut maksut',
+      'product_gmv': 'Tuotelinkin GMV',
+      'website_clicks': 'Verkkosivuston napsautukset',
+      'phone_clicks': 'Puhelinnumeron napsautukset',
+      'collected_leads': 'Kerätyt liidit',
+      'app_download_clicks': 'Sovelluksen latauslinkin napsautukset',
+      'follower_net_growth': 'Nettokasvu',
+      'new_followers': 'Uudet seuraajat',
+      'lost_followers': 'Menetetyt seuraajat',
+    },
+    [IMPORT_TYPES.VIDEO]: {
+      'title': ['Videon otsikko', 'Otsikko', 'Videon kuvaus'],
+      'post_time': ['Julkaisuaika', 'Julkaistu'],
+      'video_link': ['Videon linkki', 'Linkki'],
+      'video_views': 'Katselukerrat yhteensä',
+      'likes': 'Tykkäykset yhteensä',
+      'comments': 'Kommentit yhteensä',
+      'shares': 'Jaot yhteensä',
+      'average_watch_time': 'Keskimääräinen katseluaika',
+      'completion_rate': 'Katsoi koko videon',
+    },
+    [IMPORT_TYPES.DEMOGRAPHICS]: {
+      'gender': 'Sukupuoli',
+      'age': 'Ikä',
+      'territory': ['Tärkeimmät alueet', 'Maa', 'Alue'],
+      'share': ['Jakauma', 'Osuus', 'Prosentti'],
+    },
+    [IMPORT_TYPES.ACTIVITY]: {
+      'date': 'Päivämäärä',
+      'weekday': ['Viikonpäivä', 'Päivä'],
+      'hour': ['Tunti', 'Kellonaika'],
+      'active_followers': ['Aktiiviset seuraajat', 'Seuraajat verkossa'],
+    },
+  },
+};
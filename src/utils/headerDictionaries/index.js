@@ -0,0 +1,27 @@
+/**
+ * Header Dictionaries
+ *
+ * Kolumnrubriker per språk som kolumnmappningen slår upp i. Ett nytt språk läggs till med en
+ * fil i samma form som de befintliga – { code, label, fields: { [importType]: { internt fält:
+ * rubrik eller [rubriker] } } } – som registreras i HEADER_DICTIONARIES. Ordningen avgör vilket
+ * språk som visas när rubrikerna passar lika bra på flera språk.
+ */
+import { SV_HEADERS } from './sv';
+import { EN_HEADERS } from './en';
+import { NO_HEADERS } from './no';
+import { DA_HEADERS } from './da';
+import { FI_HEADERS } from './fi';
+import { DE_HEADERS } from './de';
+
+export const HEADER_DICTIONARIES = [
+  SV_HEADERS,
+  EN_HEADERS,
+  NO_HEADERS,
+  DA_HEADERS,
+  FI_HEADERS,
+  DE_HEADERS,
+];
+
+export const HEADER_LANGUAGE_LABELS = Object.fromEntries(
+  HEADER_DICTIONARIES.map(dictionary => [dictionary.code, dictionary.label])
+);
@@ -0,0 +1,53 @@
+/**
+ * Norska kolumnrubriker (bokmål)
+ */
+import { IMPORT_TYPES } from '../constants';
+
+export const NO_HEADERS = {
+  code: 'no',
+  label: 'Norska',
+  fields: {
+    [IMPORT_TYPES.OVERVIEW]: {
+      'date': 'Dato',
+      'video_views': ['Videovisninger', 'Videoavspillinger'],
+      'reach': ['Nådd publikum', 'Publikum nådd', 'Rekkevidde'],
+      'profile_views': 'Profilvisninger',
+      'likes': ['Liker', 'Likerklikk'],
+      'shares': 'Delinger',
+      'comments': 'Kommentarer',
+      'product_clicks': 'Klikk på produktlenker',
+      'product_purchase': 'Fullførte betalinger via produktlenker',
+      'product_gmv': 'GMV for produktlenker',
+      'website_clicks': ['Klikk på nettsted', 'Nettstedsklikk'],
+      'phone_clicks': 'Klikk på telefonnummer',
+      'collected_leads': 'Innsamlede leads',
+      'app_download_clicks': 'Klikk på nedlastingslenke for app',
+      'follower_net_growth': 'Nettovekst',
+      'new_followers': 'Nye følgere',
+      'lost_followers': ['Tapte følgere', 'Mistede følgere'],
+    },
+    [IMPORT_TYPES.VIDEO]: {
+      'title': ['Videotittel', 'Tittel', 'Videobeskrivelse'],
+      'post_time': ['Publiseringstidspunkt', 'Publisert'],
+      'video_link': ['Videolenke', 'Lenke'],
+      'video_views': 'Totalt antall visninger',
+      'likes': 'Totalt antall liker',
+      'comments': 'Totalt antall kommentarer',
+      'shares': 'Totalt antall delinger',
+      'average_watch_time': 'Gjennomsnittlig visningstid',
+      'completion_rate': 'Så hele videoen',
+    },
+    [IMPORT_TYPES.DEMOGRAPHICS]: {
+      'gender': 'Kjønn',
+      'age': 'Alder',
+      'territory': ['Topplasseringer', 'Land', 'Område'],
+      'share': ['Fordeling', 'Andel', 'Prosent'],
+    },
+    [IMPORT_TYPES.ACTIVITY]: {
+      'date': 'Dato',
+      'weekday': ['Ukedag', 'Dag'],
+      'hour': ['Time', 'Klokkeslett'],
+      'active_followers': ['Aktive følgere', 'Følgere på nett'],
+    },
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Svenska kolumnrubriker (TikToks svenska exporter)
+ */
+import { IMPORT_TYPES, OVERVIEW_FIELDS, VIDEO_FIELDS } from '../constants';
+
+export const SV_HEADERS = {
+  code: 'sv',
+  label: 'Svenska',
+  fields: {
+    [IMPORT_TYPES.OVERVIEW]: OVERVIEW_FIELDS,
+    [IMPORT_TYPES.VIDEO]: {
+      ...VIDEO_FIELDS,
+      'title': ['Videotitel', 'Titel', 'Videobeskrivning'],
+      'post_time': ['Publiceringstid', 'Publicerad', 'Publiceringsdatum'],
+      'video_link': ['Videolänk', 'Länk'],
+    },
+    [IMPORT_TYPES.DEMOGRAPHICS]: {
+      'gender': 'Kön',
+      'age': 'Ålder',
+      'territory': ['Topplatser', 'Territorium', 'Land'],
+      'share': ['Fördelning', 'Andel', 'Procent'],
+    },
+    [IMPORT_TYPES.ACTIVITY]: {
+      'date': 'Datum',
+      'weekday': ['Veckodag', 'Dag'],
+      'hour': ['Timme', 'Tid'],
+      'active_followers': ['Aktiva följare', 'Följare online'],
+    },
+  },
+};
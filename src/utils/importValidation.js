@@ -0,0 +1,270 @@
+/**
+ * Import Validation
+ *
+ * Granskar en bearbetad fil innan något sparas (torrkörning): igenkänt schema, antal rader,
+ * datumintervall, dubbletter i filen, överlapp med kontots befintliga data, negativa och
+ * icke-numeriska värden samt okända kolumner. Problem delas in i fel (filen bör inte
+ * importeras) och varningar (filen kan importeras men bör kontrolleras).
+ */
+import { IMPORT_TYPES, IMPORT_TYPE_LABELS, DEMOGRAPHIC_DIMENSIONS } from './constants';
+import { getMappableFields, getRowKey, findMergeConflicts } from './webDataProcessor';
+
+export const ISSUE_LEVELS = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// Så många exempel visas per problem
+const MAX_EXAMPLES = 10;
+
+// Kolumner som måste finnas; varje inre lista räcker med en av kolumnerna
+const REQUIRED_FIELDS = {
+  [IMPORT_TYPES.OVERVIEW]: [['date']],
+  [IMPORT_TYPES.VIDEO]: [['video_link', 'title']],
+  [IMPORT_TYPES.DEMOGRAPHICS]: [['share']],
+  [IMPORT_TYPES.ACTIVITY]: [['hour'], ['active_followers']]
+};
+
+// Fält som får vara negativa
+const SIGNED_FIELDS = new Set(['follower_net_growth']);
+
+// Beräknade fält som inte kommer från filen
+const CALCULATED_FIELDS = new Set(['interactions', 'engagement_rate']);
+
+const ROW_KEY_LABELS = {
+  [IMPORT_TYPES.OVERVIEW]: { singular: 'datum', plural: 'datum' },
+  [IMPORT_TYPES.VIDEO]: { singular: 'video', plural: 'videor' },
+  [IMPORT_TYPES.ACTIVITY]: { singular: 'timme', plural: 'timmar' }
+};
+
+// Varför rader tas bort vid tolkningen, per importtyp. Aktivitet kan sakna datum helt
+// (veckodag eller bara timme), så där räknas även veckodagen som dagen.
+const SKIPPED_ROW_REASONS = {
+  [IMPORT_TYPES.OVERVIEW]: 'saknar giltigt datum',
+  [IMPORT_TYPES.VIDEO]: 'kunde inte tolkas',
+  [IMPORT_TYPES.DEMOGRAPHICS]: 'saknar kategori eller andel',
+  [IMPORT_TYPES.ACTIVITY]: 'saknar giltig dag, timme eller antal aktiva följare'
+};
+
+const countLabel = (count, labels) => `${count} ${count === 1 ? labels.singular : labels.plural}`;
+
+const createIssue = (level, message, examples = []) => ({
+  level,
+  message,
+  examples: examples.slice(0, MAX_EXAMPLES)
+});
+
+const checkSchema = (importType, columnMapping) => {
+  const issues = [];
+  const mapped = new Set(Object.values(columnMapping));
+  const fieldLabels = getMappableFields(importType);
+
+  (REQUIRED_FIELDS[importType] || []).forEach(alternatives => {
+    if (!alternatives.some(field => mapped.has(field))) {
+      const names = alternatives.map(field => `"${fieldLabels[field] || field}"`).join(' eller ');
+      issues.push(createIssue(ISSUE_LEVELS.ERROR, `Kolumnen ${names} saknas`));
+    }
+  });
+
+  if (importType === IMPORT_TYPES.OVERVIEW && mapped.size <= 1) {
+    issues.push(createIssue(ISSUE_LEVELS.ERROR, 'Inga statistikkolumner kändes igen'));
+  }
+
+  return issues;
+};
+
+const checkValues = (importType, data) => {
+  const issues = [];
+  const fieldLabels = getMappableFields(importType);
+
+  const negatives = [];
+  data.forEach(row => {
+    Object.entries(row).forEach(([field, value]) => {
+      if (typeof value === 'number' && value < 0 && !SIGNED_FIELDS.has(field) && !CALCULATED_FIELDS.has(field)) {
+        const key = getRowKey(importType, row) ?? row.category;
+        negatives.push(`${key}: ${fieldLabels[field] || field} = ${value}`);
+      }
+    });
+  });
+
+  if (negatives.length > 0) {
+    issues.push(createIssue(
+      ISSUE_LEVELS.WARNING,
+      `${negatives.length} negativa värden i kolumner som borde vara positiva`,
+      negatives
+    ));
+  }
+
+  if (importType === IMPORT_TYPES.DEMOGRAPHICS) {
+    const total = data.reduce((sum, entry) => sum + entry.share, 0);
+    if (Math.abs(total - 100) > 1) {
+      issues.push(createIssue(
+        ISSUE_LEVELS.WARNING,
+        `Andelarna summerar till ${total.toFixed(1).replace('.', ',')} % i stället för 100 %`
+      ));
+    }
+  }
+
+  return issues;
+};
+
+const checkOverlap = (importType, data, existingData, { dimension, snapshotDate, conflicts }) => {
+  if (!existingData || existingData.length === 0) return [];
+
+  if (importType === IMPORT_TYPES.DEMOGRAPHICS) {
+    const sameDay = existingData.some(s => s.dimension === dimension && s.snapshotDate === snapshotDate);
+    return sameDay
+      ? [createIssue(ISSUE_LEVELS.WARNING, 'Kontot har redan en ögonblicksbild från idag för samma dimension; den ersätts')]
+      : [];
+  }
+
+  const keyOf = row => getRowKey(importType, row);
+  const existingKeys = new Set(existingData.map(keyOf));
+  const overlapping = Array.from(new Set(data.map(keyOf).filter(key => existingKeys.has(key)))).sort();
+
+  if (overlapping.length === 0) return [];
+
+  const issues = [createIssue(
+    ISSUE_LEVELS.WARNING,
+    `${countLabel(overlapping.length, ROW_KEY_LABELS[importType])} finns redan för kontot`,
+    overlapping
+  )];
+
+  if (conflicts.length > 0) {
+    issues.push(createIssue(
+      ISSUE_LEVELS.WARNING,
+      `${conflicts.length} av dem har andra värden än de sparade – välj vilka värden som ska gälla`,
+      conflicts.map(conflict => conflict.key)
+    ));
+  }
+
+  return issues;
+};
+
+/**
+ * Granskar resultatet från processTikTokData utan att spara något
+ * @param {Object} result - { data, meta } från processTikTokData
+ * @param {Array} existingData - Kontots befintliga data av samma typ (tom för nytt konto)
+ * @param {Object} [context] - { fileName, sheetName, accountName, snapshotDate }
+ * @returns {Object} - Rapport { fileName, accountName, importType, dimension, rowCount, totalRows,
+ *   dateRange, columns, issues, conflicts, hasErrors, createdAt }. conflicts kommer från
+ *   findMergeConflicts och listar rader vars värden skiljer sig från kontots sparade data.
+ */
+export const validateImport = (result, existingData = [], context = {}) => {
+  const { data, meta } = result;
+  const importType = meta.importType;
+  const columnMapping = meta.columnMapping || {};
+  const issues = [];
+  const conflicts = findMergeConflicts(existingData, data, importType);
+
+  issues.push(...checkSchema(importType, columnMapping));
+
+  if (data.length === 0) {
+    issues.push(createIssue(ISSUE_LEVELS.ERROR, 'Filen innehåller inga rader som kan importeras'));
+  }
+
+  if (meta.skippedRows > 0 && data.length > 0) {
+    issues.push(createIssue(
+      ISSUE_LEVELS.WARNING,
+      `${meta.skippedRows} rader ${SKIPPED_ROW_REASONS[importType]} och importeras inte`
+    ));
+  }
+
+  const duplicates = meta.duplicateKeys || [];
+  if (duplicates.length > 0) {
+    issues.push(createIssue(
+      ISSUE_LEVELS.WARNING,
+      `${countLabel(duplicates.length, ROW_KEY_LABELS[importType])} förekommer flera gånger i filen; den sista raden används`,
+      duplicates
+    ));
+  }
+
+  issues.push(...checkOverlap(importType, data, existingData, {
+    dimension: meta.dimension,
+    snapshotDate: context.snapshotDate,
+    conflicts
+  }));
+
+  issues.push(...checkValues(importType, data));
+
+  if (meta.invalidCellCount > 0) {
+    issues.push(createIssue(
+      ISSUE_LEVELS.WARNING,
+      `${meta.invalidCellCount} celler kunde inte tolkas som tal eller datum och lämnas tomma`,
+      (meta.invalidCells || []).map(cell => `Rad ${cell.row}, ${cell.column}: "${cell.value}"`)
+    ));
+  }
+
+  if (meta.unmappedColumns && meta.unmappedColumns.length > 0) {
+    issues.push(createIssue(
+      ISSUE_LEVELS.WARNING,
+      `${meta.unmappedColumns.length} kolumner känns inte igen och importeras inte`,
+      meta.unmappedColumns
+    ));
+  }
+
+  return {
+    fileName: context.fileName || '',
+    sheetName: context.sheetName || null,
+    accountName: context.accountName || '',
+    importType,
+    dimension: meta.dimension || null,
+    rowCount: data.length,
+    totalRows: meta.totalRows,
+    dateRange: meta.dateRange,
+    columns: (meta.fields || []).map(column => ({ column, field: columnMapping[column] || null })),
+    issues,
+    conflicts,
+    hasErrors: issues.some(issue => issue.level === ISSUE_LEVELS.ERROR),
+    createdAt: new Date()
+  };
+};
+
+/**
+ * Formaterar en eller flera valideringsrapporter som läsbar text för nedladdning
+ * @param {Array<Object>} reports - Rapporter från validateImport
+ * @returns {string}
+ */
+export const formatValidationReport = (reports) => {
+  const lines = [];
+
+  reports.forEach(report => {
+    const fieldLabels = getMappableFields(report.importType);
+    const typeLabel = IMPORT_TYPE_LABELS[report.importType] +
+      (report.dimension ? ` (${DEMOGRAPHIC_DIMENSIONS[report.dimension].toLowerCase()})` : '');
+
+    lines.push(`Fil: ${report.fileName}${report.sheetName ? ` (blad: ${report.sheetName})` : ''}`);
+    lines.push(`Konto: ${report.accountName}`);
+    lines.push(`Granskad: ${report.createdAt.toLocaleString('sv-SE')}`);
+    lines.push(`Importtyp: ${typeLabel}`);
+    lines.push(`Rader: ${report.rowCount} av ${report.totalRows}`);
+    if (report.dateRange && report.dateRange.startDate) {
+      lines.push(`Datumintervall: ${report.dateRange.startDate} – ${report.dateRange.endDate}`);
+    }
+
+    lines.push('', 'Kolumner:');
+    report.columns.forEach(({ column, field }) => {
+      lines.push(`  ${column} → ${field ? (fieldLabels[field] || field) : 'importeras inte'}`);
+    });
+
+    lines.push('', report.issues.length === 0 ? 'Inga problem hittades.' : 'Problem:');
+    report.issues.forEach(issue => {
+      lines.push(`  [${issue.level === ISSUE_LEVELS.ERROR ? 'FEL' : 'VARNING'}] ${issue.message}`);
+      issue.examples.forEach(example => lines.push(`      ${example}`));
+    });
+
+    if (report.conflicts.length > 0) {
+      lines.push('', 'Skillnader mot sparad data (sparat → nytt):');
+      report.conflicts.forEach(conflict => {
+        const changes = conflict.changes
+          .map(change => `${fieldLabels[change.field] || change.field}: ${change.existing ?? '–'} → ${change.incoming ?? '–'}`)
+          .join(', ');
+        lines.push(`  ${conflict.key}: ${changes}`);
+      });
+    }
+
+    lines.push('', '----------------------------------------', '');
+  });
+
+  return lines.join('\n');
+};
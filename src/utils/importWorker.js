@@ -0,0 +1,29 @@
+/**
+ * Import Worker
+ *
+ * Kör processTikTokData i en Web Worker så att gränssnittet förblir responsivt
+ * när stora exporter tolkas. Startas av processTikTokDataInBackground.
+ *
+ * Meddelande in: { source, encoding, options } där source är en File/Blob som läses
+ * och avkodas här, eller redan avkodad CSV-text.
+ *
+ * Meddelanden ut: { type: 'progress', progress } under läsningen,
+ * därefter { type: 'done', result } eller { type: 'error', message }.
+ */
+import { processTikTokData } from './webDataProcessor';
+import { readBlobText } from './encoding';
+
+self.onmessage = async (event) => {
+  const { source, encoding, options } = event.data;
+
+  try {
+    const content = typeof source === 'string' ? source : await readBlobText(source, encoding);
+    const result = await processTikTokData(content, {
+      ...options,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
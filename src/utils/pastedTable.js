@@ -0,0 +1,95 @@
+/**
+ * Pasted Table
+ *
+ * Tolkar tabelldata som klistrats in från urklipp (kopierad ur TikTok Studio, Excel eller
+ * Google Kalkylark). Avgränsare och rubrikrad identifieras och texten görs om till CSV,
+ * så att den går genom samma importflöde som en uppladdad fil.
+ */
+import Papa from 'papaparse';
+import { normalizeNumber, toDateKey } from './dataProcessing';
+
+// Avgränsare i den ordning de föredras när flera ger lika jämna rader
+const DELIMITERS = ['\t', ';', ','];
+
+export const DELIMITER_LABELS = {
+  '\t': 'tabb',
+  ';': 'semikolon',
+  ',': 'komma'
+};
+
+// Så många inledande rader genomsöks efter rubrikraden (rubriker som "Översikt" kan stå före)
+const HEADER_SEARCH_ROWS = 10;
+
+const parseRows = (text, delimiter) => Papa.parse(text, { delimiter, skipEmptyLines: 'greedy' }).data;
+
+// Den vanligaste radbredden och hur många rader som har den; en kolumn räknas inte som tabell
+const measureRows = (rows) => {
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.length] = (counts[row.length] || 0) + 1;
+  });
+
+  const [width, frequency] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || ['0', 0];
+  return Number(width) > 1 ? { width: Number(width), score: frequency } : { width: Number(width), score: 0 };
+};
+
+const isValueCell = (cell) => normalizeNumber(cell).valid || toDateKey(cell) !== null;
+
+// En rubrikrad består mest av text som varken är tal eller datum
+const isHeaderRow = (row) => {
+  const cells = row.map(cell => cell.trim()).filter(Boolean);
+  const labels = cells.filter(cell => !isValueCell(cell));
+  return labels.length >= 2 && labels.length > cells.length / 2;
+};
+
+/**
+ * Tolkar inklistrad text som en tabell
+ * @param {string} text - Text från urklipp
+ * @returns {Object} - { delimiter, headerRow, columns, rowCount, csv, error }. headerRow är
+ *   rubrikradens radnummer (från 1) och csv innehållet som kommaseparerad CSV med rubrikrad.
+ *   Går texten inte att tolka innehåller error en förklaring och övriga fält saknas.
+ */
+export const parsePastedTable = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return { error: 'Det finns inget att klistra in' };
+  }
+
+  const best = DELIMITERS
+    .map(delimiter => {
+      const rows = parseRows(trimmed, delimiter);
+      return { delimiter, rows, ...measureRows(rows) };
+    })
+    .reduce((a, b) => (b.score > a.score ? b : a));
+
+  if (best.score === 0) {
+    return { error: 'Texten ser inte ut som en tabell – kopiera minst två kolumner' };
+  }
+
+  const headerIndex = best.rows
+    .slice(0, HEADER_SEARCH_ROWS)
+    .findIndex(row => row.length === best.width && isHeaderRow(row));
+
+  if (headerIndex === -1) {
+    return { error: 'Ingen rubrikrad hittades – kopiera tabellen tillsammans med kolumnrubrikerna' };
+  }
+
+  const columns = best.rows[headerIndex].map(cell => cell.trim());
+  const body = best.rows
+    .slice(headerIndex + 1)
+    .filter(row => row.some(cell => cell.trim() !== ''))
+    .map(row => columns.map((_, index) => (row[index] ?? '').trim()));
+
+  if (body.length === 0) {
+    return { error: 'Tabellen innehåller bara kolumnrubriker' };
+  }
+
+  return {
+    delimiter: best.delimiter,
+    headerRow: headerIndex + 1,
+    columns,
+    rowCount: body.length,
+    csv: Papa.unparse({ fields: columns, data: body }),
+    error: null
+  };
+};
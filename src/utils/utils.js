@@ -1,5 +1,6 @@
 import { clsx } from "clsx"
 import { twMerge } from "tailwind-merge"
+import { parseDateKey } from "./dataProcessing"
 
 /**
  * Kombinerar CSS-klasser och hanterar Tailwind-konflikter
@@ -12,14 +13,14 @@ export function cn(...inputs) {
 
 /**
  * Formaterar ett datum enligt svensk standard
- * @param {Date|string} date - Datum att formatera
+ * @param {Date|string} date - Datum att formatera ("YYYY-MM-DD" tolkas som lokalt datum)
  * @returns {string} - Formaterat datum
  */
 export function formatDate(date) {
   if (!date) return '';
   
   try {
-    const d = new Date(date)
+    const d = parseDateKey(date) || new Date(date)
     if (isNaN(d.getTime())) return '';
     
     return d.toLocaleDateString('sv-SE', {
@@ -128,6 +129,61 @@ export function isValidCSVFile(file) {
   )
 }
 
+/**
+ * Validerar en Excel-fil (.xlsx eller .xls)
+ * Windows anger ofta MIME-typen application/vnd.ms-excel även för CSV, så den används inte här
+ * @param {File} file - Filen att validera
+ * @returns {boolean} - true om filen är en arbetsbok
+ */
+export function isValidSpreadsheetFile(file) {
+  return Boolean(file && (
+    file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+    /\.xlsx?$/i.test(file.name)
+  ))
+}
+
+/**
+ * Validerar ett ZIP-arkiv
+ * @param {File} file - Filen att validera
+ * @returns {boolean} - true om filen är ett ZIP-arkiv
+ */
+export function isZipFile(file) {
+  return Boolean(file && (
+    file.type === 'application/zip' ||
+    file.type === 'application/x-zip-compressed' ||
+    /\.zip$/i.test(file.name)
+  ))
+}
+
+/**
+ * Kontrollerar om en fil kan importeras (CSV eller Excel)
+ * @param {File} file - Filen att kontrollera
+ * @returns {boolean} - true om filen stöds
+ */
+export function isSupportedImportFile(file) {
+  return Boolean(isValidCSVFile(file) || isValidSpreadsheetFile(file))
+}
+
+/**
+ * Formaterar en storlek i byte för visning
+ * @param {number} bytes - Storlek i byte
+ * @returns {string} - T.ex. "512 B", "12,3 KB" eller "4,1 MB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${value.toLocaleString('sv-SE', { maximumFractionDigits: 1 })} ${units[unit]}`;
+}
+
 /**
  * Genererar en unik ID-sträng
  * @returns {string} - Unik ID
@@ -191,8 +247,8 @@ export function stringToColor(str) {
 export function simplifyFilename(filename) {
   if (!filename) return '';
   
-  // Ta bort .csv ändelse
-  let simplified = filename.replace(/\.csv$/i, '');
+  // Ta bort .csv/.xlsx ändelse
+  let simplified = filename.replace(/\.(csv|xlsx?)$/i, '');
   
   // Ta bort vanliga prefix/suffix
   simplified = simplified.replace(/^tiktok_/i, '');
@@ -1,39 +1,44 @@
 /**
  * Web Data Processor
  *
- * Hanterar bearbetning av TikTok CSV-data (daglig översiktsdata).
- * Kolumnmappning är hårdkodad från OVERVIEW_FIELDS + OVERVIEW_FIELDS_ENGLISH.
+ * Hanterar bearbetning av TikTok CSV-data:
+ * - daglig översiktsdata (OVERVIEW_FIELDS)
+ * - innehållsdata per video (VIDEO_FIELDS)
+ * - följardemografi: kön, ålder, territorium (DEMOGRAPHIC_FIELDS)
+ * - följaraktivitet per timme (ACTIVITY_FIELDS)
+ * Importtypen identifieras automatiskt utifrån kolumnnamnen. Kolumner som inte känns igen
+ * kan mappas med användarens sparade mappningsprofiler (customMappings).
  */
 import Papa from 'papaparse';
 import {
   OVERVIEW_FIELDS,
-  OVERVIEW_FIELDS_ENGLISH,
+  VIDEO_FIELDS,
+  VIDEO_FIELDS_ALIASES,
+  DEMOGRAPHIC_FIELDS,
+  ACTIVITY_FIELDS,
+  WEEKDAY_LABELS,
+  IMPORT_TYPES,
+  MERGE_STRATEGIES,
 } from './constants';
+import { normalizeNumber, toDateKeys } from './dataProcessing';
+import { HEADER_DICTIONARIES } from './headerDictionaries';
 
 // Build hardcoded column mapping (external CSV name -> internal field name)
-// Supports both Swedish and English column names
-const buildColumnMappings = () => {
+const buildColumnMappings = (...fieldSets) => {
   const mappings = {};
 
-  // Swedish names
-  Object.entries(OVERVIEW_FIELDS).forEach(([internal, external]) => {
-    mappings[external] = internal;
-  });
-
-  // English names
-  Object.entries(OVERVIEW_FIELDS_ENGLISH).forEach(([internal, external]) => {
-    mappings[external] = internal;
+  fieldSets.forEach(fieldSet => {
+    Object.entries(fieldSet).forEach(([internal, external]) => {
+      const names = Array.isArray(external) ? external : [external];
+      names.forEach(name => {
+        mappings[name] = internal;
+      });
+    });
   });
 
   return mappings;
 };
 
-const COLUMN_MAPPINGS = buildColumnMappings();
-
-// ----------------------------------------
-// Data bearbetning
-// ----------------------------------------
-
 const normalizeText = (text) => {
   if (text === null || text === undefined) return '';
   return String(text)
@@ -43,35 +48,314 @@ const normalizeText = (text) => {
     .replace(/[\u200B-\u200D\uFEFF]/g, '');
 };
 
-const mapRow = (row) => {
-  const result = {};
+// Nycklarna normaliseras en gång så att uppslag per cell blir billiga
+const normalizeMappingKeys = (mappings) => {
+  const normalized = {};
+  Object.entries(mappings || {}).forEach(([external, internal]) => {
+    normalized[normalizeText(external)] = internal;
+  });
+  return normalized;
+};
 
-  for (const [externalName, value] of Object.entries(row)) {
-    let internalName = null;
-    const normalizedExternal = normalizeText(externalName);
+// Kolumnnamn som inte hör till ett visst språk (äldre exportvarianter och blandade listor)
+const HEADER_ALIASES = {
+  [IMPORT_TYPES.VIDEO]: VIDEO_FIELDS_ALIASES,
+  [IMPORT_TYPES.DEMOGRAPHICS]: DEMOGRAPHIC_FIELDS,
+  [IMPORT_TYPES.ACTIVITY]: ACTIVITY_FIELDS,
+};
 
-    for (const [mappingKey, mappingValue] of Object.entries(COLUMN_MAPPINGS)) {
-      if (normalizeText(mappingKey) === normalizedExternal) {
-        internalName = mappingValue;
-        break;
-      }
+// Inbyggd mappning per importtyp: alias plus rubrikerna i varje språks ordlista
+const COLUMN_MAPPINGS = Object.fromEntries(
+  Object.values(IMPORT_TYPES).map(importType => [
+    importType,
+    normalizeMappingKeys(buildColumnMappings(
+      HEADER_ALIASES[importType] || {},
+      ...HEADER_DICTIONARIES.map(dictionary => dictionary.fields[importType] || {})
+    ))
+  ])
+);
+
+// Normaliserade rubriker per språk, för att känna igen exportens språk
+const LANGUAGE_HEADERS = HEADER_DICTIONARIES.map(dictionary => ({
+  code: dictionary.code,
+  headers: new Set(Object.values(dictionary.fields).flatMap(fieldSet =>
+    Object.keys(normalizeMappingKeys(buildColumnMappings(fieldSet)))
+  ))
+}));
+
+// Interna fält som går att mappa till per importtyp, med visningsnamn
+const MAPPABLE_FIELDS = {
+  [IMPORT_TYPES.OVERVIEW]: OVERVIEW_FIELDS,
+  [IMPORT_TYPES.VIDEO]: VIDEO_FIELDS,
+  [IMPORT_TYPES.DEMOGRAPHICS]: Object.fromEntries(
+    Object.entries(DEMOGRAPHIC_FIELDS).map(([internal, names]) => [internal, names[0]])
+  ),
+  [IMPORT_TYPES.ACTIVITY]: Object.fromEntries(
+    Object.entries(ACTIVITY_FIELDS).map(([internal, names]) => [internal, names[0]])
+  ),
+};
+
+// Fält som bara finns i per video-exporten och därför avgör importtypen
+const VIDEO_ONLY_FIELDS = ['title', 'post_time', 'video_link'];
+
+// Fält som behålls som text; alla övriga mappade fält tolkas som tal
+const TEXT_FIELDS = new Set(['date', 'title', 'post_time', 'video_link', 'gender', 'age', 'territory', 'hour', 'weekday']);
+
+// Tidsfält där enheten kan stå efter talet ("12,5s", "8 sek")
+const DURATION_FIELDS = new Set(['average_watch_time']);
+
+// Så många ogiltiga celler sparas som exempel i importrapporten
+const MAX_REPORTED_CELLS = 100;
+
+// ----------------------------------------
+// Kolumnmappning
+// ----------------------------------------
+
+/**
+ * Slår upp internt fältnamn för en kolumn. Användarens mappningar (redan normaliserade)
+ * går före de inbyggda; en användarmappning till null betyder att kolumnen ignoreras.
+ */
+const findInternalName = (externalName, importType, customMappings = {}) => {
+  const normalizedExternal = normalizeText(externalName);
+
+  if (Object.prototype.hasOwnProperty.call(customMappings, normalizedExternal)) {
+    return customMappings[normalizedExternal];
+  }
+
+  return COLUMN_MAPPINGS[importType][normalizedExternal] || null;
+};
+
+/**
+ * Hittar den kolumn i filen som motsvarar ett internt fält
+ * @param {Array<string>} fields - Kolumnnamn från filen
+ * @param {string} importType - En av IMPORT_TYPES
+ * @param {string} field - Internt fältnamn, t.ex. 'date'
+ * @returns {string|null} - Kolumnnamnet som det står i filen
+ */
+export const findFieldColumn = (fields = [], importType, field) =>
+  fields.find(column => findInternalName(column, importType) === field) || null;
+
+/**
+ * Avgör vilket språk exportens kolumnrubriker är skrivna på. Språket med flest igenkända
+ * rubriker vinner; vid lika avgör rubriker som bara finns i ett språk, därefter ordningen
+ * i HEADER_DICTIONARIES.
+ * @param {Array<string>} fields - Kolumnnamn från filen
+ * @returns {string|null} - Språkkod (t.ex. 'da'), eller null om inga rubriker känns igen
+ */
+export const detectHeaderLanguage = (fields = []) => {
+  const normalized = fields.map(normalizeText).filter(Boolean);
+  let best = null;
+
+  LANGUAGE_HEADERS.forEach(({ code, headers }) => {
+    const matches = normalized.filter(field => headers.has(field));
+    const unique = matches.filter(field =>
+      LANGUAGE_HEADERS.every(other => other.code === code || !other.headers.has(field))
+    ).length;
+
+    if (matches.length > 0 && (!best || matches.length > best.matches ||
+        (matches.length === best.matches && unique > best.unique))) {
+      best = { code, matches: matches.length, unique };
     }
+  });
+
+  return best ? best.code : null;
+};
+
+/**
+ * Returnerar de interna fält som en kolumn kan mappas till för en importtyp
+ * @param {string} importType - En av IMPORT_TYPES
+ * @returns {Object} - { internalField: visningsnamn }
+ */
+export const getMappableFields = (importType) => MAPPABLE_FIELDS[importType] || {};
+
+/**
+ * Listar kolumner som varken känns igen av de inbyggda namnen eller av användarens mappningar
+ * @param {Array<string>} fields - Kolumnnamn från CSV-huvudet
+ * @param {string} importType - En av IMPORT_TYPES
+ * @param {Object} [customMappings] - { kolumnnamn: internt fält | null }
+ * @returns {Array<string>}
+ */
+export const getUnmappedColumns = (fields, importType, customMappings = {}) => {
+  const normalizedCustom = normalizeMappingKeys(customMappings);
+  return (fields || []).filter(field =>
+    normalizeText(field) !== '' &&
+    !Object.prototype.hasOwnProperty.call(normalizedCustom, normalizeText(field)) &&
+    !findInternalName(field, importType)
+  );
+};
+
+/**
+ * Väljer den sparade mappningsprofil som täcker flest av filens okända kolumner
+ * @param {Array<string>} fields - Kolumnnamn från CSV-huvudet
+ * @param {string} importType - En av IMPORT_TYPES
+ * @param {Array<Object>} profiles - Sparade profiler { id, name, importType, mappings }
+ * @returns {Object|null} - Bästa profilen eller null om ingen passar
+ */
+export const findMatchingProfile = (fields, importType, profiles = []) => {
+  const unknown = getUnmappedColumns(fields, importType).map(normalizeText);
+  if (unknown.length === 0) return null;
 
-    if (!internalName) {
-      internalName = externalName;
+  let best = null;
+  let bestScore = 0;
+
+  profiles
+    .filter(profile => profile.importType === importType)
+    .forEach(profile => {
+      const keys = Object.keys(normalizeMappingKeys(profile.mappings));
+      const score = unknown.filter(column => keys.includes(column)).length;
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    });
+
+  return best;
+};
+
+/**
+ * Plockar ut en profils mappningar för de kolumner som finns i filen
+ * @param {Object|null} profile - Mappningsprofil
+ * @param {Array<string>} columns - Filens kolumnnamn (som de står i filen)
+ * @returns {Object} - { kolumnnamn: internt fält | null }
+ */
+export const pickProfileMappings = (profile, columns) => {
+  if (!profile) return {};
+  const byNormalized = normalizeMappingKeys(profile.mappings);
+
+  const picked = {};
+  columns.forEach(column => {
+    const key = normalizeText(column);
+    if (Object.prototype.hasOwnProperty.call(byNormalized, key)) {
+      picked[column] = byNormalized[key];
     }
+  });
+  return picked;
+};
+
+// ----------------------------------------
+// Data bearbetning
+// ----------------------------------------
+
+/**
+ * Identifierar vilken demografisk dimension (kön, ålder, territorium) en fil innehåller
+ * @param {Array<string>} fields - Kolumnnamn från CSV-huvudet
+ * @returns {string|null} - Dimension eller null om filen inte är en demografifil
+ */
+export const detectDemographicDimension = (fields) => {
+  if (!fields || fields.length === 0) return null;
+
+  const internals = fields.map(field => findInternalName(field, IMPORT_TYPES.DEMOGRAPHICS));
+  if (!internals.includes('share')) return null;
+
+  return internals.find(internal => internal && internal !== 'share') || null;
+};
+
+/**
+ * Identifierar importtyp utifrån kolumnnamnen i en fil
+ * @param {Array<string>} fields - Kolumnnamn från CSV-huvudet
+ * @returns {string} - En av IMPORT_TYPES
+ */
+export const detectImportType = (fields) => {
+  if (!fields || fields.length === 0) return IMPORT_TYPES.OVERVIEW;
+
+  if (detectDemographicDimension(fields)) return IMPORT_TYPES.DEMOGRAPHICS;
+
+  // Aktivitetsfilen har också en datumkolumn, så den måste identifieras före översikten
+  const activityFields = fields.map(field => findInternalName(field, IMPORT_TYPES.ACTIVITY));
+  if (activityFields.includes('hour') && activityFields.includes('active_followers')) {
+    return IMPORT_TYPES.ACTIVITY;
+  }
 
-    let processedValue = value;
-    if (typeof value === 'string' && !isNaN(value) && value.trim() !== '') {
-      processedValue = parseFloat(value);
+  const videoMatches = fields
+    .map(field => findInternalName(field, IMPORT_TYPES.VIDEO))
+    .filter(internal => VIDEO_ONLY_FIELDS.includes(internal));
+
+  return videoMatches.length > 0 ? IMPORT_TYPES.VIDEO : IMPORT_TYPES.OVERVIEW;
+};
+
+/**
+ * Skapar en tom rapport för en import. mapRow fyller i celler som inte gick att tolka
+ * och vilka kolumner som angavs med procenttecken.
+ */
+const createParseReport = () => ({
+  invalidCells: [],
+  invalidCellCount: 0,
+  percentFields: new Set()
+});
+
+const reportInvalidCell = (report, cell) => {
+  report.invalidCellCount += 1;
+  if (report.invalidCells.length < MAX_REPORTED_CELLS) {
+    report.invalidCells.push(cell);
+  }
+};
+
+const parseCellValue = (internalName, value) => {
+  if (TEXT_FIELDS.has(internalName)) return { value, valid: true, isPercent: false };
+
+  if (DURATION_FIELDS.has(internalName) && typeof value === 'string') {
+    return normalizeNumber(value.trim().replace(/\s*(s|sek|sec)$/i, ''));
+  }
+
+  return normalizeNumber(value);
+};
+
+// Okända kolumner tas inte med - de rapporteras i stället via meta.unmappedColumns.
+// Numeriska celler som inte går att tolka blir null och läggs i rapporten.
+const mapRow = (row, importType = IMPORT_TYPES.OVERVIEW, customMappings = {}, report = null, rowNumber = null) => {
+  const result = {};
+
+  for (const [externalName, value] of Object.entries(row)) {
+    const internalName = findInternalName(externalName, importType, customMappings);
+    if (!internalName) continue;
+
+    const parsed = parseCellValue(internalName, value);
+
+    if (report) {
+      if (parsed.isPercent) report.percentFields.add(internalName);
+      if (!parsed.valid) {
+        reportInvalidCell(report, { row: rowNumber, column: externalName, value: String(value) });
+      }
     }
 
-    result[internalName] = processedValue;
+    result[internalName] = parsed.value;
   }
 
   return result;
 };
 
+/**
+ * Gör om datumkolumnen till kalendernycklar "YYYY-MM-DD". Datum som inte går att tolka
+ * blir null och läggs i rapporten. Raderna förutsätts vara i filens ordning.
+ */
+const applyDateKeys = (rows, report, referenceDate, column = 'date') => {
+  const keys = toDateKeys(rows.map(row => row.date), referenceDate);
+
+  return rows.map((row, index) => {
+    if (keys[index] === null && row.date !== null && row.date !== undefined && String(row.date).trim() !== '') {
+      reportInvalidCell(report, { row: index + 2, column, value: String(row.date) });
+    }
+    return { ...row, date: keys[index] };
+  });
+};
+
+/**
+ * Andelar anges ibland som 0–1 och ibland som procent. Avgörs för hela kolumnen:
+ * saknar alla värden procenttecken och är högst 1 räknas de om till procent.
+ */
+const scaleFractionColumn = (rows, field, report) => {
+  if (report && report.percentFields.has(field)) return rows;
+
+  const values = rows.map(row => row[field]).filter(value => typeof value === 'number');
+  if (values.length === 0 || !values.every(value => value <= 1)) return rows;
+
+  return rows.map(row => (
+    typeof row[field] === 'number'
+      ? { ...row, [field]: parseFloat((row[field] * 100).toFixed(2)) }
+      : row
+  ));
+};
+
 const calculateOverviewFields = (row) => {
   const result = { ...row };
 
@@ -89,82 +373,442 @@ const calculateOverviewFields = (row) => {
   return result;
 };
 
+const extractVideoId = (row) => {
+  if (row.video_link) {
+    const match = String(row.video_link).match(/video\/(\d+)/);
+    if (match) return match[1];
+    return String(row.video_link).trim();
+  }
+  return `${row.post_time || ''}|${row.title || ''}`;
+};
+
+const calculateVideoFields = (row) => {
+  const result = { ...row };
+
+  const likes = parseFloat(row.likes || 0);
+  const comments = parseFloat(row.comments || 0);
+  const shares = parseFloat(row.shares || 0);
+  result.interactions = likes + comments + shares;
+
+  // Engagemang per video räknas mot visningar (räckvidd saknas i exporten)
+  if (row.video_views && row.video_views > 0) {
+    result.engagement_rate = parseFloat(((result.interactions / row.video_views) * 100).toFixed(2));
+  } else {
+    result.engagement_rate = 0;
+  }
+
+  result.average_watch_time = row.average_watch_time ?? null;
+  result.completion_rate = row.completion_rate ?? null;
+
+  result.title = row.title === null || row.title === undefined ? '' : String(row.title);
+  result.videoId = extractVideoId(result);
+
+  return result;
+};
+
+/**
+ * Bearbetar en demografifil till { category, share } där share anges i procent
+ * @param {Array<Object>} rows - Rader från Papa.parse
+ * @param {Array<string>} fields - Kolumnnamn
+ * @param {Object} customMappings - Normaliserade användarmappningar
+ * @param {Object} report - Importrapport från createParseReport
+ * @returns {Object} - { dimension, data }
+ */
+const processDemographicRows = (rows, fields, customMappings, report) => {
+  const dimension = detectDemographicDimension(fields);
+  const mapped = rows.map((row, index) => mapRow(row, IMPORT_TYPES.DEMOGRAPHICS, customMappings, report, index + 2));
+
+  const entries = mapped
+    .filter(row => row[dimension] !== null && row[dimension] !== undefined && row[dimension] !== '')
+    .filter(row => typeof row.share === 'number')
+    .map(row => ({
+      category: String(row[dimension]).trim(),
+      share: parseFloat(row.share.toFixed(2))
+    }));
+
+  return { dimension, data: scaleFractionColumn(entries, 'share', report) };
+};
+
+// Tolkar timme som 13, "13", "13:00" eller "1 PM" till 0–23
+const parseHour = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 && value < 24 ? value : null;
+  if (value === null || value === undefined) return null;
+
+  const match = String(value).trim().match(/^(\d{1,2})(?::\d{2})?\s*(am|pm)?$/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const meridiem = match[2] ? match[2].toLowerCase() : null;
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+
+  return hour >= 0 && hour < 24 ? hour : null;
+};
+
+// Veckodagarnas namn och förkortningar i exporternas språk, per Date.getDay()
+const WEEKDAY_NAMES = {
+  0: ['sunday', 'sun', 'söndag', 'sön', 'sonntag', 'søndag', 'sunnuntai'],
+  1: ['monday', 'mon', 'måndag', 'mån', 'montag', 'mandag', 'maanantai'],
+  2: ['tuesday', 'tue', 'tues', 'tisdag', 'tis', 'dienstag', 'tirsdag', 'tiistai'],
+  3: ['wednesday', 'wed', 'onsdag', 'ons', 'mittwoch', 'keskiviikko'],
+  4: ['thursday', 'thu', 'thurs', 'torsdag', 'tor', 'donnerstag', 'torstai'],
+  5: ['friday', 'fri', 'fredag', 'fre', 'freitag', 'perjantai'],
+  6: ['saturday', 'sat', 'lördag', 'lör', 'samstag', 'lørdag', 'lauantai'],
+};
+
+const WEEKDAYS_BY_NAME = new Map(
+  Object.entries(WEEKDAY_NAMES).flatMap(([day, names]) => names.map(name => [name, Number(day)]))
+);
+
+// Tolkar veckodag som "Monday", "mån" eller 1–7 (måndag = 1, söndag = 7) till Date.getDay()
+const parseWeekday = (value) => {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim().toLowerCase().replace(/\.$/, '');
+  if (/^[1-7]$/.test(text)) return Number(text) % 7;
+
+  return WEEKDAYS_BY_NAME.has(text) ? WEEKDAYS_BY_NAME.get(text) : null;
+};
+
+/**
+ * Bearbetar en aktivitetsfil till { date, weekday, hour, active_followers }. Har filen en
+ * datumkolumn krävs ett datum per rad; annars används veckodagen, och saknas även den är
+ * raderna en genomsnittlig dag (date och weekday är då null).
+ * @param {Array<Object>} rows - Rader från Papa.parse
+ * @param {Object} customMappings - Normaliserade användarmappningar
+ * @param {Object} report - Importrapport från createParseReport
+ * @param {Date} [referenceDate] - Används för datum utan årtal
+ * @param {string} [dateColumn] - Datumkolumnens namn i filen (för rapporten)
+ * @param {string} [weekdayColumn] - Veckodagskolumnens namn i filen (för rapporten)
+ * @returns {Array<Object>}
+ */
+const processActivityRows = (rows, customMappings, report, referenceDate, dateColumn, weekdayColumn) => {
+  const mapped = rows.map((row, index) => mapRow(row, IMPORT_TYPES.ACTIVITY, customMappings, report, index + 2));
+
+  const withDays = dateColumn
+    ? applyDateKeys(mapped, report, referenceDate, dateColumn)
+    : mapped.map((row, index) => {
+        if (!weekdayColumn) return { ...row, date: null, weekday: null };
+
+        const weekday = parseWeekday(row.weekday);
+        if (weekday === null && row.weekday !== null && row.weekday !== undefined && String(row.weekday).trim() !== '') {
+          reportInvalidCell(report, { row: index + 2, column: weekdayColumn, value: String(row.weekday) });
+        }
+        return { ...row, date: null, weekday };
+      });
+
+  return withDays
+    .map(row => ({
+      date: row.date,
+      weekday: row.date ? null : row.weekday,
+      hour: parseHour(row.hour),
+      active_followers: row.active_followers ?? null
+    }))
+    .filter(row => row.hour !== null && row.active_followers !== null)
+    .filter(row => (dateColumn ? row.date : !weekdayColumn || row.weekday !== null));
+};
+
+const ROW_CALCULATORS = {
+  [IMPORT_TYPES.OVERVIEW]: calculateOverviewFields,
+  [IMPORT_TYPES.VIDEO]: calculateVideoFields,
+};
+
+// Vad som räknas som samma rad per importtyp (dag, video respektive timme)
+const ROW_IDENTITIES = {
+  [IMPORT_TYPES.OVERVIEW]: row => row.date,
+  [IMPORT_TYPES.VIDEO]: row => row.videoId,
+  [IMPORT_TYPES.ACTIVITY]: row => {
+    const time = `${String(row.hour).padStart(2, '0')}:00`;
+    if (row.date) return `${row.date} ${time}`;
+    // Veckodag eller, i en export utan dagar, bara timmen
+    return row.weekday !== null && row.weekday !== undefined ? `${WEEKDAY_LABELS[row.weekday]} ${time}` : time;
+  },
+};
+
+/**
+ * Returnerar nyckeln som identifierar en rad (datum, video-ID eller datum och timme)
+ * @param {string} importType - En av IMPORT_TYPES
+ * @param {Object} row - Bearbetad rad
+ * @returns {string|null} - Nyckel, eller null för importtyper utan radnyckel (demografi)
+ */
+export const getRowKey = (importType, row) => {
+  const identity = ROW_IDENTITIES[importType];
+  return identity ? identity(row) : null;
+};
+
+// Tar bort dubbletter inom filen; den sista raden för en nyckel vinner
+const dedupeRows = (rows, importType) => {
+  if (!ROW_IDENTITIES[importType]) return { rows, duplicateKeys: [] };
+
+  const byKey = new Map();
+  const duplicateKeys = new Set();
+  rows.forEach(row => {
+    const key = getRowKey(importType, row);
+    if (byKey.has(key)) {
+      duplicateKeys.add(key);
+      byKey.delete(key);
+    }
+    byKey.set(key, row);
+  });
+
+  return { rows: Array.from(byKey.values()), duplicateKeys: Array.from(duplicateKeys).sort() };
+};
+
+// ----------------------------------------
+// Sammanslagning med befintlig data
+// ----------------------------------------
+
+// Fält som inte jämförs: nycklar och värden som räknas fram ur andra fält
+const NON_COMPARABLE_FIELDS = new Set(['id', 'accountId', 'date', 'hour', 'videoId', 'interactions', 'engagement_rate']);
+
+const isComparableField = (field, value) => !NON_COMPARABLE_FIELDS.has(field) && (typeof value === 'number' || value === null);
+
+/**
+ * Hittar rader som finns både i kontots sparade data och i ny data men med olika värden
+ * @param {Array<Object>} existingRows - Sparade rader
+ * @param {Array<Object>} incomingRows - Nya rader från processTikTokData
+ * @param {string} importType - En av IMPORT_TYPES
+ * @returns {Array<Object>} - [{ key, changes: [{ field, existing, incoming }] }] sorterat på nyckel
+ */
+export const findMergeConflicts = (existingRows, incomingRows, importType) => {
+  if (!ROW_IDENTITIES[importType] || !existingRows || existingRows.length === 0) return [];
+
+  const existingByKey = new Map(existingRows.map(row => [getRowKey(importType, row), row]));
+  const conflicts = [];
+
+  incomingRows.forEach(incoming => {
+    const key = getRowKey(importType, incoming);
+    const existing = existingByKey.get(key);
+    if (!existing) return;
+
+    const changes = Object.entries(incoming)
+      .filter(([field, value]) => isComparableField(field, value))
+      .filter(([field, value]) => (existing[field] ?? null) !== value)
+      .map(([field, value]) => ({ field, existing: existing[field] ?? null, incoming: value }));
+
+    if (changes.length > 0) conflicts.push({ key, changes });
+  });
+
+  return conflicts.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+};
+
+// Största värdet per jämförbart fält; beräknade fält räknas om efteråt
+const mergeRowMax = (existing, incoming, importType) => {
+  const merged = { ...existing, ...incoming };
+  Object.keys(merged).forEach(field => {
+    const a = existing[field];
+    const b = incoming[field];
+    if (NON_COMPARABLE_FIELDS.has(field)) return;
+    if (typeof a === 'number' && typeof b === 'number') merged[field] = Math.max(a, b);
+    else if (typeof a === 'number' && (b === null || b === undefined)) merged[field] = a;
+  });
+  const calculate = ROW_CALCULATORS[importType];
+  return calculate ? calculate(merged) : merged;
+};
+
+/**
+ * Slår ihop ny data med sparad data. Rader med samma nyckel (dag, video, timme) löses
+ * enligt resolution: en strategi för hela filen och valfria undantag per nyckel.
+ *
+ * @param {Array<Object>} existingRows - Sparade rader
+ * @param {Array<Object>} incomingRows - Nya rader
+ * @param {string} importType - En av IMPORT_TYPES
+ * @param {Object} [resolution] - { strategy: MERGE_STRATEGIES-värde (standard: ta nya),
+ *   overrides: { nyckel: strategi } }
+ * @returns {Array<Object>} - Sammanslagna rader
+ */
+export const mergeRows = (existingRows, incomingRows, importType, resolution = {}) => {
+  const strategy = resolution.strategy || MERGE_STRATEGIES.TAKE_NEW;
+  const overrides = resolution.overrides || {};
+
+  const merged = new Map(existingRows.map(row => [getRowKey(importType, row), row]));
+
+  incomingRows.forEach(incoming => {
+    const key = getRowKey(importType, incoming);
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, incoming);
+      return;
+    }
+
+    switch (overrides[key] || strategy) {
+      case MERGE_STRATEGIES.KEEP_EXISTING:
+        break;
+      case MERGE_STRATEGIES.TAKE_MAX:
+        merged.set(key, mergeRowMax(existing, incoming, importType));
+        break;
+      default:
+        merged.set(key, incoming);
+    }
+  });
+
+  return Array.from(merged.values());
+};
+
+// Antal tecken som PapaParse läser åt gången; styr hur ofta förloppet rapporteras
+const PARSE_CHUNK_SIZE = 256 * 1024;
+
 /**
- * Processar TikTok CSV-data (daglig översiktsdata)
+ * Sammanställer resultatet när hela filen är läst
+ * @returns {Object} - { data, meta }
+ */
+const buildImportResult = ({ fields, importType, report, rawRows, processedData, totalRows, customMappings, referenceDate }) => {
+  // Kolumner som inte importeras: okända eller uttryckligen ignorerade i användarens mappning
+  const unmappedColumns = fields.filter(field =>
+    normalizeText(field) !== '' && !findInternalName(field, importType, customMappings)
+  );
+  const dateColumn = fields.find(field => findInternalName(field, importType, customMappings) === 'date');
+  const weekdayColumn = fields.find(field => findInternalName(field, importType, customMappings) === 'weekday');
+
+  // Vilket internt fält varje igenkänd kolumn tolkades som
+  const columnMapping = {};
+  fields.forEach(field => {
+    const internal = findInternalName(field, importType, customMappings);
+    if (internal) columnMapping[field] = internal;
+  });
+
+  const meta = {
+    totalRows,
+    importType,
+    processedAt: new Date(),
+    dateRange: { startDate: null, endDate: null },
+    fields,
+    columnMapping,
+    unmappedColumns
+  };
+
+  let data;
+
+  if (importType === IMPORT_TYPES.DEMOGRAPHICS) {
+    const demographics = processDemographicRows(rawRows, fields, customMappings, report);
+    if (demographics.data.length === 0) {
+      throw new Error('Ingen demografidata hittades i CSV-filen.');
+    }
+    data = demographics.data;
+    meta.dimension = demographics.dimension;
+  } else if (importType === IMPORT_TYPES.ACTIVITY) {
+    data = processActivityRows(rawRows, customMappings, report, referenceDate, dateColumn, weekdayColumn);
+    if (data.length === 0) {
+      throw new Error('Ingen aktivitetsdata hittades i CSV-filen.');
+    }
+  } else if (importType === IMPORT_TYPES.VIDEO) {
+    data = scaleFractionColumn(processedData, 'completion_rate', report);
+  } else {
+    // Rader utan giltigt datum kan inte knytas till en dag och tas inte med
+    data = applyDateKeys(processedData, report, referenceDate, dateColumn).filter(row => row.date);
+  }
+
+  const deduped = dedupeRows(data, importType);
+  const skippedRows = totalRows - data.length;
+  data = deduped.rows;
+
+  // Datumintervallet byggs av kalendernycklar. Videor räknas till dagen de publicerades;
+  // publiceringstiden sparas som den står i filen så att klockslaget finns kvar.
+  const dates = (importType === IMPORT_TYPES.VIDEO
+    ? toDateKeys(data.map(row => row.post_time), referenceDate)
+    : data.map(row => row.date))
+    .filter(Boolean)
+    .sort();
+
+  if (dates.length > 0) {
+    meta.dateRange = {
+      startDate: dates[0],
+      endDate: dates[dates.length - 1]
+    };
+  }
+
+  return {
+    data,
+    meta: {
+      ...meta,
+      rowCount: data.length,
+      skippedRows,
+      duplicateKeys: deduped.duplicateKeys,
+      invalidCells: report.invalidCells,
+      invalidCellCount: report.invalidCellCount
+    }
+  };
+};
+
+/**
+ * Processar TikTok CSV-data (daglig översikt, per video, demografi eller aktivitet).
+ * Innehållet läses i delar med PapaParse så att även mycket stora exporter kan
+ * importeras utan radgräns; körs normalt i importWorker via processTikTokDataInBackground.
+ *
  * @param {string} csvContent - CSV-innehåll
- * @returns {Promise<Object>} - Bearbetad data och metadata
+ * @param {Object} [options] - { customMappings: { kolumnnamn: internt fält | null },
+ *   referenceDate: exportens datum, används för datum utan årtal (standard: idag),
+ *   onProgress: anropas med andelen (0–1) av innehållet som har lästs }
+ * @returns {Promise<Object>} - Bearbetad data och metadata (meta.importType anger typ,
+ *   meta.columnMapping anger internt fält per igenkänd kolumn, meta.unmappedColumns listar
+ *   kolumner som inte importerades, meta.skippedRows rader som inte kunde användas,
+ *   meta.duplicateKeys dagar/videor/timmar som förekom flera gånger (sista raden behålls) och
+ *   meta.invalidCells/invalidCellCount celler som inte gick att tolka som tal eller datum).
+ *   Datum returneras som kalendernycklar "YYYY-MM-DD".
  */
-export const processTikTokData = (csvContent) => {
+export const processTikTokData = (csvContent, options = {}) => {
+  const customMappings = normalizeMappingKeys(options.customMappings);
+  const referenceDate = options.referenceDate || new Date();
+  const onProgress = options.onProgress || null;
+  const contentLength = Math.max(csvContent.length, 1);
+
   return new Promise((resolve, reject) => {
+    const state = {
+      fields: null,
+      importType: null,
+      report: createParseReport(),
+      rawRows: [],
+      processedData: [],
+      totalRows: 0,
+      customMappings,
+      referenceDate
+    };
+
     try {
       Papa.parse(csvContent, {
         header: true,
-        dynamicTyping: true,
+        // Talen tolkas av normalizeNumber så att svenska format inte misstolkas
+        dynamicTyping: false,
         skipEmptyLines: true,
-        complete: (results) => {
-          if (!results.data || results.data.length === 0) {
+        chunkSize: PARSE_CHUNK_SIZE,
+        chunk: (results) => {
+          if (!state.fields) {
+            state.fields = results.meta.fields || [];
+            state.importType = detectImportType(state.fields);
+          }
+
+          const calculate = ROW_CALCULATORS[state.importType];
+          results.data.forEach((row, index) => {
+            if (calculate) {
+              const mapped = mapRow(row, state.importType, customMappings, state.report, state.totalRows + index + 2);
+              state.processedData.push(calculate(mapped));
+            } else {
+              // Demografi och aktivitet bearbetas per kolumn när hela filen är läst
+              state.rawRows.push(row);
+            }
+          });
+          state.totalRows += results.data.length;
+
+          if (onProgress) onProgress(Math.min(results.meta.cursor / contentLength, 1));
+        },
+        complete: () => {
+          if (state.totalRows === 0) {
             reject(new Error('Ingen data hittades i CSV-filen.'));
             return;
           }
 
           console.log('CSV-data analyserad:', {
-            rows: results.data.length,
-            columns: Object.keys(results.data[0]).length
+            rows: state.totalRows,
+            columns: state.fields.length
           });
 
-          // Limit rows for performance
-          const maxRows = 5000;
-          let dataToProcess = results.data;
-          let isLimited = false;
-
-          if (dataToProcess.length > maxRows) {
-            console.warn(`Begränsar databearbetning till ${maxRows} rader`);
-            dataToProcess = dataToProcess.slice(0, maxRows);
-            isLimited = true;
+          try {
+            resolve(buildImportResult(state));
+          } catch (innerError) {
+            console.error('Fel vid databearbetning:', innerError);
+            reject(innerError);
           }
-
-          setTimeout(() => {
-            try {
-              const batchSize = 500;
-              let processedData = [];
-
-              for (let i = 0; i < dataToProcess.length; i += batchSize) {
-                const batch = dataToProcess.slice(i, i + batchSize);
-                const mappedBatch = batch.map(row => mapRow(row));
-                const processedBatch = mappedBatch.map(calculateOverviewFields);
-                processedData = [...processedData, ...processedBatch];
-              }
-
-              // Find date range
-              const dates = processedData
-                .map(row => row.date)
-                .filter(date => date);
-
-              let dateRange = { startDate: null, endDate: null };
-              if (dates.length > 0) {
-                const sortedDates = [...dates].sort();
-                dateRange = {
-                  startDate: sortedDates[0],
-                  endDate: sortedDates[sortedDates.length - 1]
-                };
-              }
-
-              resolve({
-                data: processedData,
-                meta: {
-                  rowCount: processedData.length,
-                  totalRows: results.data.length,
-                  isLimited,
-                  processedAt: new Date(),
-                  dateRange,
-                  fields: results.meta.fields
-                }
-              });
-            } catch (innerError) {
-              console.error('Fel vid databearbetning:', innerError);
-              reject(innerError);
-            }
-          }, 10);
         },
         error: (error) => {
           console.error('Fel vid CSV-parsning:', error);
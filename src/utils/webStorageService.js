@@ -6,18 +6,271 @@
  * - IndexedDB för större datauppsättningar
  * - Support för flera TikTok-konton
  */
-import { STORAGE_KEYS } from './constants';
-
-// Keep a reference to the database instance to prevent re-opening the connection
-let dbInstance = null;
+import {
+  STORAGE_KEYS,
+  STORAGE_LIMITS,
+  IMPORT_TYPES,
+  IMPORT_TYPE_LABELS,
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  MERGE_STRATEGIES,
+  SYNC_EVENTS,
+  TRASH_TYPES,
+  DEFAULT_TRASH_RETENTION_DAYS
+} from './constants';
+import { toDateKey } from './dataProcessing';
+import { mergeRows, getRowKey } from './webDataProcessor';
+import { generateId } from './utils';
+import { detectEncoding, decodeText } from './encoding';
+import { findAccountByName } from './accountMatching';
+import { encryptBackup, decryptBackup, isEncryptedBackup } from './backupCrypto';
+
+// Den öppna anslutningen delas av alla anrop i fliken, så att databasen bara öppnas en gång
+let dbPromise = null;
 
 // ----------------------------------------
 // IndexedDB hantering
 // ----------------------------------------
 
-const openDatabase = () => {
+// Normaliserar datumfältet till en kalendernyckel; okända format lämnas orörda
+const withDateKey = (item) => {
+  if (!item || !item.date) return item;
+  const key = toDateKey(item.date);
+  return key && key !== item.date ? { ...item, date: key } : item;
+};
+
+// Skapar en store med ett accountId-index om den inte redan finns
+const createAccountStore = (db, storeName, options = { keyPath: 'id', autoIncrement: true }) => {
+  if (db.objectStoreNames.contains(storeName)) return;
+  const store = db.createObjectStore(storeName, options);
+  store.createIndex('accountId', 'accountId', { unique: false });
+};
+
+// Går igenom alla objekt i en store och anropar done när markören är slut
+const forEachRecord = (transaction, storeName, visit, done) => {
+  const request = transaction.objectStore(storeName).openCursor();
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      done();
+      return;
+    }
+    visit(cursor);
+    cursor.continue();
+  };
+};
+
+/**
+ * Version 6: datum sparades tidigare som UTC-tidsstämplar (toISOString), vilket
+ * förskjuter dagen för användare utanför UTC. Skriver om alla sparade datum till
+ * kalendernycklar "YYYY-MM-DD" och slår ihop rader som då hamnar på samma dag.
+ * Rader utan datum lämnas orörda i stället för att slås ihop med varandra.
+ */
+const migrateDateKeys = (db, transaction, done) => {
+  const migrateStore = (storeName, keyOf, next) => forEachRecord(transaction, storeName, (cursor) => {
+    const dataset = cursor.value;
+    if (Array.isArray(dataset.data)) {
+      const byKey = {};
+      const undated = [];
+      dataset.data.map(withDateKey).forEach(item => {
+        if (item && item.date) {
+          byKey[keyOf(item)] = item;
+        } else {
+          undated.push(item);
+        }
+      });
+      cursor.update({ ...dataset, data: [...Object.values(byKey), ...undated] });
+    }
+  }, next);
+
+  migrateStore(STORAGE_KEYS.STORE_OVERVIEW_DATA, item => item.date, () => {
+    migrateStore(STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, item => `${item.date}|${item.hour}`, done);
+  });
+};
+
+/**
+ * Version 8: den dagliga översikten sparades som ett enda objekt per konto, så varje import
+ * skrev om hela kontots historik. Varje dag blir nu en egen post med nyckeln [accountId, date].
+ * Kopior i localStorage från tidigare versioner flyttas in för konton som saknar data i
+ * IndexedDB och tas bort när uppgraderingen är klar.
+ */
+const migrateDailyRows = (db, transaction, done) => {
+  const rowStore = db.createObjectStore(STORAGE_KEYS.STORE_DAILY_ROWS, { keyPath: ['accountId', 'date'] });
+  rowStore.createIndex('accountId', 'accountId', { unique: false });
+  rowStore.createIndex('date', 'date', { unique: false });
+
+  const putRows = (accountId, rows) => {
+    rows.map(withDateKey)
+      .filter(row => row && typeof row.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(row.date))
+      .forEach(row => rowStore.put({ ...row, accountId }));
+  };
+
+  // Kontot kan ha flera dataset från äldre versioner; det senaste gäller
+  const latest = {};
+  forEachRecord(transaction, STORAGE_KEYS.STORE_OVERVIEW_DATA, (cursor) => {
+    const dataset = cursor.value;
+    const current = latest[dataset.accountId];
+    if (Array.isArray(dataset.data) && (!current || dataset.timestamp > current.timestamp)) {
+      latest[dataset.accountId] = dataset;
+    }
+  }, () => {
+    Object.values(latest).forEach(dataset => putRows(dataset.accountId, dataset.data));
+
+    // Kopiorna fanns bara innan arbetsytorna, så de hör till standardarbetsytans databas
+    const cachedKeys = [];
+    try {
+      for (let i = 0; db.name === STORAGE_KEYS.DB_NAME && i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(STORAGE_KEYS.OVERVIEW_DATA_PREFIX)) cachedKeys.push(key);
+      }
+    } catch (e) {
+      console.warn('Kunde inte läsa localStorage vid migrering:', e);
+    }
+
+    cachedKeys.forEach(key => {
+      const accountId = key.slice(STORAGE_KEYS.OVERVIEW_DATA_PREFIX.length);
+      const cached = getFromLocalStorage(key, null);
+      if (!latest[accountId] && cached && Array.isArray(cached.data)) {
+        putRows(accountId, cached.data);
+      }
+    });
+
+    db.deleteObjectStore(STORAGE_KEYS.STORE_OVERVIEW_DATA);
+
+    // Kopiorna behövs om uppgraderingen avbryts, så de tas bort först när den är klar
+    transaction.addEventListener('complete', () => {
+      cachedKeys.forEach(key => {
+        try {
+          localStorage.removeItem(key);
+        } catch (e) {
+          console.warn('Kunde inte ta bort från localStorage:', e);
+        }
+      });
+    });
+
+    done();
+  });
+};
+
+/**
+ * Version 9: kontolistan kopierades till localStorage och lästes därifrån i första hand.
+ * Konton som bara finns i kopian läggs in i IndexedDB och kopian tas bort när
+ * uppgraderingen är klar.
+ */
+const migrateAccountCache = (db, transaction, done) => {
+  // Cachen fanns bara innan arbetsytorna, så den hör till standardarbetsytans databas
+  if (db.name !== STORAGE_KEYS.DB_NAME) {
+    done();
+    return;
+  }
+
+  const cached = getFromLocalStorage(STORAGE_KEYS.ACCOUNTS, []);
+  const store = transaction.objectStore(STORAGE_KEYS.STORE_ACCOUNTS);
+
+  (Array.isArray(cached) ? cached : [])
+    .filter(account => account && account.id)
+    .forEach(account => {
+      const request = store.get(account.id);
+      request.onsuccess = () => {
+        if (!request.result) store.put(account);
+      };
+    });
+
+  transaction.addEventListener('complete', () => {
+    try {
+      localStorage.removeItem(STORAGE_KEYS.ACCOUNTS);
+    } catch (e) {
+      console.warn('Kunde inte ta bort från localStorage:', e);
+    }
+  });
+
+  done();
+};
+
+/**
+ * Databasens versioner i ordning. Vid uppgradering körs alla steg som är nyare än den
+ * befintliga databasen, ett i taget inom samma versionstransaktion, så en databas kan
+ * uppgraderas från vilken tidigare version som helst. Ett steg anropar done när det är
+ * klart; nya versioner läggs till sist och höjer STORAGE_KEYS.DB_VERSION.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    migrate: (db, transaction, done) => {
+      if (!db.objectStoreNames.contains(STORAGE_KEYS.STORE_ACCOUNTS)) {
+        db.createObjectStore(STORAGE_KEYS.STORE_ACCOUNTS, { keyPath: 'id' });
+      }
+      createAccountStore(db, STORAGE_KEYS.STORE_OVERVIEW_DATA);
+      done();
+    }
+  },
+  {
+    version: 2,
+    migrate: (db, transaction, done) => {
+      createAccountStore(db, STORAGE_KEYS.STORE_VIDEO_DATA);
+      done();
+    }
+  },
+  {
+    version: 3,
+    migrate: (db, transaction, done) => {
+      createAccountStore(db, STORAGE_KEYS.STORE_DEMOGRAPHICS);
+      done();
+    }
+  },
+  {
+    version: 4,
+    migrate: (db, transaction, done) => {
+      createAccountStore(db, STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY);
+      done();
+    }
+  },
+  {
+    version: 5,
+    migrate: (db, transaction, done) => {
+      if (!db.objectStoreNames.contains(STORAGE_KEYS.STORE_MAPPING_PROFILES)) {
+        db.createObjectStore(STORAGE_KEYS.STORE_MAPPING_PROFILES, { keyPath: 'id' });
+      }
+      done();
+    }
+  },
+  { version: 6, migrate: migrateDateKeys },
+  {
+    version: 7,
+    migrate: (db, transaction, done) => {
+      createAccountStore(db, STORAGE_KEYS.STORE_IMPORT_HISTORY, { keyPath: 'id' });
+      done();
+    }
+  },
+  { version: 8, migrate: migrateDailyRows },
+  { version: 9, migrate: migrateAccountCache },
+  {
+    version: 10,
+    migrate: (db, transaction, done) => {
+      createAccountStore(db, STORAGE_KEYS.STORE_TRASH, { keyPath: 'id' });
+      done();
+    }
+  }
+];
+
+const runMigrations = (db, transaction, oldVersion) => {
+  const pending = MIGRATIONS.filter(migration => migration.version > oldVersion);
+
+  const runNext = (index) => {
+    if (index >= pending.length) return;
+    const { version, migrate } = pending[index];
+    console.log(`Uppgraderar databasen till version ${version}`);
+    migrate(db, transaction, () => runNext(index + 1));
+  };
+
+  runNext(0);
+};
+
+// Öppnar (och vid behov skapar eller uppgraderar) en arbetsytas databas
+const openDatabase = (name) => {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(STORAGE_KEYS.DB_NAME, STORAGE_KEYS.DB_VERSION);
+    const request = indexedDB.open(name, STORAGE_KEYS.DB_VERSION);
 
     request.onerror = (event) => {
       console.error('IndexedDB-fel:', event.target.error);
@@ -25,30 +278,89 @@ const openDatabase = () => {
     };
 
     request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-
-      if (!db.objectStoreNames.contains(STORAGE_KEYS.STORE_ACCOUNTS)) {
-        db.createObjectStore(STORAGE_KEYS.STORE_ACCOUNTS, { keyPath: 'id' });
-      }
+      runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+    };
 
-      if (!db.objectStoreNames.contains(STORAGE_KEYS.STORE_OVERVIEW_DATA)) {
-        const overviewStore = db.createObjectStore(STORAGE_KEYS.STORE_OVERVIEW_DATA, { keyPath: 'id', autoIncrement: true });
-        overviewStore.createIndex('accountId', 'accountId', { unique: false });
-      }
+    // En annan flik har databasen öppen med en äldre version och stänger den inte
+    request.onblocked = () => {
+      console.warn('Databasen används av en annan flik som måste stängas eller laddas om');
     };
 
     request.onsuccess = (event) => {
-      dbInstance = event.target.result;
-      resolve(dbInstance);
+      resolve(event.target.result);
     };
   });
 };
 
-const getDatabase = async () => {
-  if (dbInstance) {
-    return dbInstance;
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(getDatabaseName()).then(db => {
+      // En annan flik uppgraderar eller raderar databasen (återställning). Anslutningen
+      // stängs direkt så att den inte blockeras; nästa anrop öppnar databasen på nytt.
+      db.onversionchange = (versionEvent) => {
+        db.close();
+        dbPromise = null;
+        emitSyncEvent({
+          type: SYNC_EVENTS.DATABASE_CLOSED,
+          deleted: versionEvent.newVersion === null,
+          remote: true
+        });
+      };
+      return db;
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Stänger flikens anslutning, t.ex. innan databasen raderas eller arbetsytan byts
+const closeDatabase = async () => {
+  if (!dbPromise) return;
+
+  const pending = dbPromise;
+  dbPromise = null;
+  try {
+    (await pending).close();
+  } catch (error) {
+    // Databasen gick inte att öppna, så det finns ingen anslutning att stänga
   }
-  return await openDatabase();
+};
+
+// Hur länge radering väntar på att andra flikar släpper databasen
+const DELETE_TIMEOUT = 5000;
+
+// Övriga flikar stänger sina anslutningar när de får versionchange. Flikar som inte svarar
+// (t.ex. med en äldre version av appen) blockerar raderingen, och då avbryts den efter en stund.
+const deleteDatabaseByName = (name) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new Error('Databasen används i en annan flik – stäng övriga flikar med appen och försök igen'));
+    }, DELETE_TIMEOUT);
+
+    const request = window.indexedDB.deleteDatabase(name);
+    request.onerror = () => {
+      clearTimeout(timeout);
+      reject(new Error('Kunde inte radera databasen'));
+    };
+    request.onblocked = () => {
+      console.warn('Radering av databasen väntar på att andra flikar stänger den');
+    };
+    request.onsuccess = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+  });
+};
+
+/**
+ * Raderar den aktiva arbetsytans databas (återställning). Övriga arbetsytor påverkas inte.
+ * @returns {Promise<void>}
+ */
+export const deleteDatabase = async () => {
+  await closeDatabase();
+  await deleteDatabaseByName(getDatabaseName());
 };
 
 const saveToIndexedDB = async (storeName, data) => {
@@ -112,18 +424,165 @@ const deleteById = async (storeName, id) => {
   });
 };
 
+// Sparar flera objekt i en och samma transaktion
+const putAllToIndexedDB = async (storeName, items) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    items.forEach(item => store.put(item));
+
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const clearStore = async (storeName) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    const request = transaction.objectStore(storeName).clear();
+
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Ersätter kontots dataset i en store (ett objekt per konto: { accountId, timestamp, data })
+const replaceAccountDataset = async (storeName, accountId, data) => {
+  const existingItems = await getByIndex(storeName, 'accountId', accountId);
+  for (const item of existingItems) {
+    await deleteById(storeName, item.id);
+  }
+
+  await saveToIndexedDB(storeName, {
+    accountId,
+    timestamp: Date.now(),
+    data: data.map(item => ({ ...item, accountId }))
+  });
+};
+
+// Hämtar det senaste datasetet för ett konto i en store
+const getAccountDataset = async (storeName, accountId) => {
+  const items = await getByIndex(storeName, 'accountId', accountId);
+
+  if (items && items.length > 0) {
+    const latest = items.sort((a, b) => b.timestamp - a.timestamp)[0];
+
+    if (latest.data && Array.isArray(latest.data)) {
+      return latest.data.map(item => ({
+        ...item,
+        accountId: accountId
+      }));
+    }
+  }
+
+  return [];
+};
+
+// ----------------------------------------
+// Daglig översikt: en post per konto och dag
+// ----------------------------------------
+
+// Nyckelintervall för ett kontos dagar; utan gränser omfattas alla dagar
+const accountDateRange = (accountId, from, to) => IDBKeyRange.bound([accountId, from || ''], [accountId, to || '\uffff']);
+
+const getDailyRows = async (accountId, from, to) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORAGE_KEYS.STORE_DAILY_ROWS], 'readonly');
+    const store = transaction.objectStore(STORAGE_KEYS.STORE_DAILY_ROWS);
+    const request = store.getAll(accountDateRange(accountId, from, to));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const countDailyRows = async (accountId) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORAGE_KEYS.STORE_DAILY_ROWS], 'readonly');
+    const index = transaction.objectStore(STORAGE_KEYS.STORE_DAILY_ROWS).index('accountId');
+    const request = index.count(accountId);
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Skriver dagliga rader för ett konto i en och samma transaktion. Vid sammanslagning läses
+ * bara de sparade dagar som importen berör, och bara de dagarna skrivs; annars ersätts
+ * kontots alla dagar.
+ */
+const writeDailyRows = async (accountId, rows, { merge = false, resolution } = {}) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORAGE_KEYS.STORE_DAILY_ROWS], 'readwrite');
+    const store = transaction.objectStore(STORAGE_KEYS.STORE_DAILY_ROWS);
+    const put = row => store.put({ ...row, accountId });
+
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+
+    if (!merge) {
+      store.delete(accountDateRange(accountId));
+      rows.forEach(put);
+      return;
+    }
+
+    if (rows.length === 0) return;
+
+    const dates = rows.map(row => row.date).sort();
+    const request = store.getAll(accountDateRange(accountId, dates[0], dates[dates.length - 1]));
+    request.onsuccess = () => {
+      const incomingDates = new Set(dates);
+      const existing = request.result.filter(row => incomingDates.has(row.date));
+      mergeRows(existing, rows, IMPORT_TYPES.OVERVIEW, resolution).forEach(put);
+    };
+  });
+};
+
+const deleteDailyRows = async (accountId) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORAGE_KEYS.STORE_DAILY_ROWS], 'readwrite');
+    const request = transaction.objectStore(STORAGE_KEYS.STORE_DAILY_ROWS).delete(accountDateRange(accountId));
+
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+};
+
 const deleteAccountData = async (accountId) => {
   try {
-    const overviewData = await getByIndex(STORAGE_KEYS.STORE_OVERVIEW_DATA, 'accountId', accountId);
+    await deleteDailyRows(accountId);
+
+    const videoData = await getByIndex(STORAGE_KEYS.STORE_VIDEO_DATA, 'accountId', accountId);
 
-    for (const item of overviewData) {
-      await deleteById(STORAGE_KEYS.STORE_OVERVIEW_DATA, item.id);
+    for (const item of videoData) {
+      await deleteById(STORAGE_KEYS.STORE_VIDEO_DATA, item.id);
     }
 
-    try {
-      localStorage.removeItem(`${STORAGE_KEYS.OVERVIEW_DATA_PREFIX}${accountId}`);
-    } catch (e) {
-      console.warn('Kunde inte ta bort från localStorage:', e);
+    const demographics = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', accountId);
+
+    for (const item of demographics) {
+      await deleteById(STORAGE_KEYS.STORE_DEMOGRAPHICS, item.id);
+    }
+
+    const activity = await getByIndex(STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, 'accountId', accountId);
+
+    for (const item of activity) {
+      await deleteById(STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, item.id);
+    }
+
+    const history = await getByIndex(STORAGE_KEYS.STORE_IMPORT_HISTORY, 'accountId', accountId);
+
+    for (const item of history) {
+      await deleteById(STORAGE_KEYS.STORE_IMPORT_HISTORY, item.id);
     }
 
     return true;
@@ -133,279 +592,2458 @@ const deleteAccountData = async (accountId) => {
   }
 };
 
+// ----------------------------------------
+// Synkronisering mellan flikar
+// ----------------------------------------
+
+// Identifierar fliken, så att den inte reagerar på sina egna meddelanden
+const TAB_ID = generateId();
+
+const syncListeners = new Set();
+let syncChannel = null;
+let pendingAccountIds = null;
+
+// Meddelanden skickas med en kort fördröjning, så att en import blir ett meddelande
+const SYNC_DELAY = 100;
+
+const emitSyncEvent = (event) => {
+  syncListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Fel i lyssnare för dataändringar:', error);
+    }
+  });
+};
+
+const getSyncChannel = () => {
+  if (!syncChannel && typeof BroadcastChannel !== 'undefined') {
+    syncChannel = new BroadcastChannel(workspaceKey(STORAGE_KEYS.SYNC_CHANNEL));
+    syncChannel.onmessage = (message) => {
+      if (message.data && message.data.source !== TAB_ID) {
+        emitSyncEvent({ ...message.data, remote: true });
+      }
+    };
+  }
+  return syncChannel;
+};
+
+// Meddelar övriga flikar att ett kontos data har ändrats
+const notifyDataChanged = (accountId) => {
+  if (!pendingAccountIds) {
+    pendingAccountIds = new Set();
+    setTimeout(() => {
+      const accountIds = Array.from(pendingAccountIds);
+      pendingAccountIds = null;
+
+      const channel = getSyncChannel();
+      if (channel) {
+        channel.postMessage({ type: SYNC_EVENTS.DATA_CHANGED, accountIds, source: TAB_ID, at: Date.now() });
+      }
+    }, SYNC_DELAY);
+  }
+  pendingAccountIds.add(accountId);
+};
+
+/**
+ * Lyssnar på ändringar som görs i andra flikar: { type: DATA_CHANGED, accountIds } när konton
+ * eller data har sparats, och { type: DATABASE_CLOSED, deleted } när databasen har raderats
+ * (återställning) eller uppgraderats av en nyare version av appen.
+ * @param {Function} listener - Anropas med händelsen
+ * @returns {Function} - Avslutar prenumerationen
+ */
+export const subscribeToDataChanges = (listener) => {
+  getSyncChannel();
+  syncListeners.add(listener);
+  return () => {
+    syncListeners.delete(listener);
+  };
+};
+
 // ----------------------------------------
 // localStorage hantering
 // ----------------------------------------
 
 const saveToLocalStorage = (key, data) => {
   try {
-    localStorage.setItem(key, JSON.stringify(data));
-    return true;
+    localStorage.setItem(key, JSON.stringify(data));
+    return true;
+  } catch (error) {
+    console.error(`Fel vid sparande till localStorage (${key}):`, error);
+    return false;
+  }
+};
+
+const getFromLocalStorage = (key, defaultValue = null) => {
+  try {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : defaultValue;
+  } catch (error) {
+    console.error(`Fel vid hämtning från localStorage (${key}):`, error);
+    return defaultValue;
+  }
+};
+
+// ----------------------------------------
+// Arbetsytor
+// ----------------------------------------
+
+// Standardarbetsytan använder databasen och nycklarna utan suffix, så att data från före
+// arbetsytorna hamnar där
+const DEFAULT_WORKSPACE_ID = 'default';
+const DEFAULT_WORKSPACES = [{ id: DEFAULT_WORKSPACE_ID, name: 'Standard' }];
+
+// Inställningar i localStorage som hör till en arbetsyta
+const WORKSPACE_SETTINGS = [STORAGE_KEYS.ACCOUNT_RULES, STORAGE_KEYS.TRASH_RETENTION_DAYS];
+
+// Flikens aktiva arbetsyta; läses från localStorage första gången den behövs
+let activeWorkspaceId = null;
+
+// Antal pågående skrivningar som måste göras klart i arbetsytan där de började
+let pendingOperations = 0;
+
+const workspaceSuffix = (workspaceId) => (workspaceId === DEFAULT_WORKSPACE_ID ? '' : `_${workspaceId}`);
+
+// Databasens namn för en arbetsyta, som standard den aktiva
+const getDatabaseName = (workspaceId = getActiveWorkspaceId()) => STORAGE_KEYS.DB_NAME + workspaceSuffix(workspaceId);
+
+// Nyckel i localStorage (eller kanalnamn) för en arbetsyta, som standard den aktiva
+const workspaceKey = (key, workspaceId = getActiveWorkspaceId()) => key + workspaceSuffix(workspaceId);
+
+const saveWorkspaces = (workspaces) => saveToLocalStorage(STORAGE_KEYS.WORKSPACES, workspaces);
+
+// Namnet måste vara ifyllt och får inte redan användas av en annan arbetsyta
+const validateWorkspaceName = (name, workspaces, workspaceId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return { error: 'Arbetsytan måste ha ett namn' };
+
+  const taken = workspaces.some(workspace =>
+    workspace.id !== workspaceId && workspace.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (taken) return { error: `Det finns redan en arbetsyta som heter ${trimmed}` };
+
+  return { name: trimmed };
+};
+
+// Kopierar alla stores från en arbetsytas databas till en annan. Anslutningarna är tillfälliga
+// och stängs om en annan flik raderar eller uppgraderar databasen under tiden.
+const copyDatabase = async (fromName, toName) => {
+  const openTemporary = async (name) => {
+    const db = await openDatabase(name);
+    db.onversionchange = () => db.close();
+    return db;
+  };
+
+  const source = await openTemporary(fromName);
+  const target = await openTemporary(toName);
+
+  try {
+    const storeNames = Array.from(source.objectStoreNames)
+      .filter(storeName => target.objectStoreNames.contains(storeName));
+    if (storeNames.length === 0) return;
+
+    const records = await new Promise((resolve, reject) => {
+      const transaction = source.transaction(storeNames, 'readonly');
+      const result = {};
+      storeNames.forEach(storeName => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+          result[storeName] = request.result;
+        };
+      });
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+
+    await new Promise((resolve, reject) => {
+      const transaction = target.transaction(storeNames, 'readwrite');
+      storeNames.forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        records[storeName].forEach(record => store.put(record));
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  } finally {
+    source.close();
+    target.close();
+  }
+};
+
+/**
+ * Hämtar alla arbetsytor. Standardarbetsytan finns alltid tills en annan har skapats.
+ * @returns {Array} - [{ id, name, createdAt }]
+ */
+export const getWorkspaces = () => {
+  const workspaces = getFromLocalStorage(STORAGE_KEYS.WORKSPACES, null);
+  return Array.isArray(workspaces) && workspaces.length > 0 ? workspaces : DEFAULT_WORKSPACES;
+};
+
+/**
+ * Flikens aktiva arbetsyta. Har den tagits bort (t.ex. i en annan flik) används den första
+ * arbetsytan i stället.
+ * @returns {string} - Arbetsytans ID
+ */
+export const getActiveWorkspaceId = () => {
+  const workspaces = getWorkspaces();
+
+  if (!activeWorkspaceId) {
+    activeWorkspaceId = getFromLocalStorage(STORAGE_KEYS.ACTIVE_WORKSPACE, DEFAULT_WORKSPACE_ID);
+  }
+  if (!workspaces.some(workspace => workspace.id === activeWorkspaceId)) {
+    activeWorkspaceId = workspaces[0].id;
+    // Kanalen hörde till den borttagna arbetsytan; databasen stängdes redan vid raderingen
+    if (syncChannel) {
+      syncChannel.close();
+      syncChannel = null;
+    }
+  }
+
+  return activeWorkspaceId;
+};
+
+/**
+ * Kör en skrivning i flera steg (import, sammanslagning, återställning) och håller arbetsytan
+ * låst tills den är klar. Databasen öppnas på nytt vid varje anrop, så ett byte mitt i skulle
+ * annars skriva resten av datan i fel arbetsyta. Lyssnare får { type: WORKSPACE_BUSY, busy }.
+ * @param {Function} operation - Asynkron funktion som gör skrivningen
+ * @returns {Promise<*>} - Det som operation returnerar
+ */
+export const runWorkspaceOperation = async (operation) => {
+  pendingOperations += 1;
+  if (pendingOperations === 1) emitSyncEvent({ type: SYNC_EVENTS.WORKSPACE_BUSY, busy: true });
+
+  try {
+    return await operation();
+  } finally {
+    pendingOperations -= 1;
+    if (pendingOperations === 0) emitSyncEvent({ type: SYNC_EVENTS.WORKSPACE_BUSY, busy: false });
+  }
+};
+
+/**
+ * Anger om en skrivning pågår, så att arbetsytan inte kan bytas just nu.
+ * @returns {boolean}
+ */
+export const isWorkspaceBusy = () => pendingOperations > 0;
+
+/**
+ * Byter aktiv arbetsyta i fliken. Anslutningen och kanalen till övriga flikar stängs, så
+ * att nästa anrop använder den nya arbetsytans databas. Valet sparas som standard för nya flikar.
+ * Medan en skrivning pågår (se runWorkspaceOperation) byts arbetsytan inte.
+ * @param {string} workspaceId - Arbetsytans ID
+ * @returns {Promise<boolean>} - true om arbetsytan finns och har blivit aktiv
+ */
+export const switchWorkspace = async (workspaceId) => {
+  if (!getWorkspaces().some(workspace => workspace.id === workspaceId)) return false;
+  if (workspaceId === getActiveWorkspaceId()) return true;
+  if (isWorkspaceBusy()) return false;
+
+  await closeDatabase();
+  if (syncChannel) {
+    syncChannel.close();
+    syncChannel = null;
+  }
+
+  activeWorkspaceId = workspaceId;
+  saveToLocalStorage(STORAGE_KEYS.ACTIVE_WORKSPACE, workspaceId);
+  return true;
+};
+
+/**
+ * Skapar en tom arbetsyta. Databasen skapas först när arbetsytan används.
+ * @param {string} name - Arbetsytans namn
+ * @returns {Object} - { workspace, error }
+ */
+export const createWorkspace = (name) => {
+  const workspaces = getWorkspaces();
+  const { name: validName, error } = validateWorkspaceName(name, workspaces);
+  if (error) return { workspace: null, error };
+
+  const workspace = { id: generateId(), name: validName, createdAt: new Date().toISOString() };
+  if (!saveWorkspaces([...workspaces, workspace])) {
+    return { workspace: null, error: 'Arbetsytan kunde inte sparas' };
+  }
+  return { workspace, error: null };
+};
+
+/**
+ * Byter namn på en arbetsyta.
+ * @param {string} workspaceId - Arbetsytans ID
+ * @param {string} name - Nytt namn
+ * @returns {Object} - { workspace, error }
+ */
+export const renameWorkspace = (workspaceId, name) => {
+  const workspaces = getWorkspaces();
+  const current = workspaces.find(workspace => workspace.id === workspaceId);
+  if (!current) return { workspace: null, error: 'Arbetsytan finns inte' };
+
+  const { name: validName, error } = validateWorkspaceName(name, workspaces, workspaceId);
+  if (error) return { workspace: null, error };
+
+  const workspace = { ...current, name: validName };
+  if (!saveWorkspaces(workspaces.map(w => (w.id === workspaceId ? workspace : w)))) {
+    return { workspace: null, error: 'Arbetsytan kunde inte sparas' };
+  }
+  return { workspace, error: null };
+};
+
+/**
+ * Skapar en ny arbetsyta med en kopia av en befintlig arbetsytas konton, data och inställningar.
+ * @param {string} workspaceId - Arbetsytan som kopieras
+ * @param {string} name - Den nya arbetsytans namn
+ * @returns {Promise<Object>} - { workspace, error }
+ */
+export const duplicateWorkspace = async (workspaceId, name) => {
+  const workspaces = getWorkspaces();
+  if (!workspaces.some(workspace => workspace.id === workspaceId)) {
+    return { workspace: null, error: 'Arbetsytan finns inte' };
+  }
+
+  const { name: validName, error } = validateWorkspaceName(name, workspaces);
+  if (error) return { workspace: null, error };
+
+  const workspace = { id: generateId(), name: validName, createdAt: new Date().toISOString() };
+
+  try {
+    await copyDatabase(getDatabaseName(workspaceId), getDatabaseName(workspace.id));
+
+    WORKSPACE_SETTINGS.forEach(key => {
+      const value = getFromLocalStorage(workspaceKey(key, workspaceId), null);
+      if (value !== null) saveToLocalStorage(workspaceKey(key, workspace.id), value);
+    });
+  } catch (copyError) {
+    console.error('Fel vid kopiering av arbetsyta:', copyError);
+    try {
+      await deleteDatabaseByName(getDatabaseName(workspace.id));
+    } catch (cleanupError) {
+      console.warn('Kunde inte ta bort den ofullständiga kopian:', cleanupError);
+    }
+    return { workspace: null, error: 'Arbetsytan kunde inte kopieras' };
+  }
+
+  if (!saveWorkspaces([...getWorkspaces(), workspace])) {
+    return { workspace: null, error: 'Arbetsytan kunde inte sparas' };
+  }
+  return { workspace, error: null };
+};
+
+/**
+ * Tar bort en arbetsyta med all dess data och dess inställningar. Den aktiva arbetsytan och
+ * den sista arbetsytan kan inte tas bort.
+ * @param {string} workspaceId - Arbetsytans ID
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const deleteWorkspace = async (workspaceId) => {
+  const workspaces = getWorkspaces();
+  if (!workspaces.some(workspace => workspace.id === workspaceId)) {
+    return { success: false, error: 'Arbetsytan finns inte' };
+  }
+  if (workspaceId === getActiveWorkspaceId()) {
+    return { success: false, error: 'Byt till en annan arbetsyta innan du tar bort den här' };
+  }
+  if (workspaces.length === 1) {
+    return { success: false, error: 'Den sista arbetsytan kan inte tas bort' };
+  }
+
+  // Arbetsytan tas bort ur listan innan databasen raderas. Flikar som har den öppen laddar
+  // om när databasen stängs, och ska då hamna i en annan arbetsyta i stället för att skapa
+  // en ny tom databas med samma namn.
+  const removed = workspaces.find(workspace => workspace.id === workspaceId);
+  if (!saveWorkspaces(workspaces.filter(workspace => workspace.id !== workspaceId))) {
+    return { success: false, error: 'Arbetsytan kunde inte tas bort ur listan' };
+  }
+
+  try {
+    await deleteDatabaseByName(getDatabaseName(workspaceId));
+  } catch (error) {
+    console.error('Fel vid borttagning av arbetsyta:', error);
+    saveWorkspaces([...getWorkspaces(), removed]);
+    return { success: false, error: error.message };
+  }
+
+  WORKSPACE_SETTINGS.forEach(key => {
+    try {
+      localStorage.removeItem(workspaceKey(key, workspaceId));
+    } catch (e) {
+      console.warn('Kunde inte ta bort från localStorage:', e);
+    }
+  });
+
+  return { success: true, error: null };
+};
+
+/**
+ * Tar bort den aktiva arbetsytans inställningar (regler för kontonamn och papperskorgens
+ * lagringstid). Används vid återställning tillsammans med deleteDatabase.
+ */
+export const clearWorkspaceSettings = () => {
+  WORKSPACE_SETTINGS.forEach(key => {
+    try {
+      localStorage.removeItem(workspaceKey(key));
+    } catch (e) {
+      console.warn('Kunde inte ta bort från localStorage:', e);
+    }
+  });
+};
+
+// ----------------------------------------
+// API för kontohantering
+// ----------------------------------------
+
+export const getAccounts = async () => {
+  try {
+    const accounts = await getAllFromIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS);
+    return accounts || [];
+  } catch (error) {
+    console.error('Fel vid hämtning av konton:', error);
+    return [];
+  }
+};
+
+export const saveAccount = async (account) => {
+  try {
+    if (!account.id) {
+      account.id = Date.now().toString();
+    }
+
+    // Fält som inte skickas med behåller sina sparade värden
+    const existing = await getById(STORAGE_KEYS.STORE_ACCOUNTS, account.id);
+    const saved = existing ? { ...existing, ...account } : account;
+
+    await saveToIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS, saved);
+    notifyDataChanged(saved.id);
+
+    return saved;
+  } catch (error) {
+    console.error('Fel vid sparande av konto:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tar bort ett konto med all dess data. Kontot flyttas först till papperskorgen, där det
+ * kan återställas tills lagringstiden har gått ut.
+ * @param {string} accountId - Konto-ID
+ * @param {Object} [options] - { trash: false } tar bort kontot utan att spara det i papperskorgen
+ * @returns {Promise<boolean>}
+ */
+export const deleteAccount = (accountId, { trash = true } = {}) => runWorkspaceOperation(async () => {
+  try {
+    if (trash) {
+      const snapshot = await getAccountSnapshot(accountId);
+      if (snapshot) {
+        await moveToTrash({
+          type: TRASH_TYPES.ACCOUNT,
+          accountId,
+          name: snapshot.account.name,
+          payload: snapshot
+        });
+      }
+    }
+
+    await deleteById(STORAGE_KEYS.STORE_ACCOUNTS, accountId);
+    await deleteAccountData(accountId);
+    notifyDataChanged(accountId);
+
+    return true;
+  } catch (error) {
+    console.error('Fel vid borttagning av konto:', error);
+    return false;
+  }
+});
+
+export const getAccount = async (accountId) => {
+  try {
+    const account = await getById(STORAGE_KEYS.STORE_ACCOUNTS, accountId);
+    return account || null;
+  } catch (error) {
+    console.error(`Fel vid hämtning av konto (${accountId}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Uppdaterar kontot efter att dess data har ändrats. Kontots revision räknas upp vid varje
+ * ändring, så att en flik kan upptäcka att datan har ändrats sedan den lästes.
+ * @param {string} accountId - Konto-ID
+ * @param {Object} [fields] - Fält att uppdatera, t.ex. { hasData: true }
+ */
+const markAccountChanged = async (accountId, fields = {}) => {
+  const account = await getAccount(accountId);
+  if (!account) return;
+
+  await saveAccount({
+    ...account,
+    ...fields,
+    lastUpdate: Date.now(),
+    revision: (account.revision || 0) + 1
+  });
+};
+
+// Låter regler för kontonamn som pekar på ett konto peka på ett annat namn
+const retargetAccountRules = (fromName, toName) => {
+  const rules = getAccountRules();
+  if (rules.some(rule => rule.accountName === fromName)) {
+    saveAccountRules(rules.map(rule => (rule.accountName === fromName ? { ...rule, accountName: toName } : rule)));
+  }
+};
+
+// TikTok-användarnamn: bokstäver, siffror, understreck och punkt, högst 24 tecken
+const HANDLE_PATTERN = /^[A-Za-z0-9._]{1,24}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Kontrollerar och normaliserar kontots namn och metadata innan de sparas
+ * @param {Object} changes - { name, handle, color, initials, description }
+ * @param {string} accountId - Kontot som ändras
+ * @param {Array} accounts - Alla konton
+ * @returns {Object} - { fields, error }
+ */
+const normalizeAccountDetails = (changes, accountId, accounts) => {
+  const fields = {};
+
+  if (changes.name !== undefined) {
+    const name = changes.name.trim().replace(/\s+/g, ' ');
+    if (!name) {
+      return { fields, error: 'Kontot måste ha ett namn' };
+    }
+    const existing = findAccountByName(name, accounts.filter(a => a.id !== accountId));
+    if (existing) {
+      return { fields, error: `Det finns redan ett konto som heter ${existing.name}` };
+    }
+    fields.name = name;
+  }
+
+  if (changes.handle !== undefined) {
+    const handle = changes.handle.trim().replace(/^@/, '');
+    if (handle && !HANDLE_PATTERN.test(handle)) {
+      return { fields, error: 'TikTok-namnet får bara innehålla bokstäver, siffror, understreck och punkt (högst 24 tecken)' };
+    }
+    fields.handle = handle || null;
+  }
+
+  if (changes.color !== undefined) {
+    if (changes.color && !COLOR_PATTERN.test(changes.color)) {
+      return { fields, error: 'Ogiltig färg' };
+    }
+    fields.color = changes.color || null;
+  }
+
+  if (changes.initials !== undefined) {
+    fields.initials = changes.initials.trim().slice(0, 2).toUpperCase() || null;
+  }
+
+  if (changes.description !== undefined) {
+    fields.description = changes.description.trim() || null;
+  }
+
+  return { fields, error: null };
+};
+
+/**
+ * Byter namn på ett konto eller ändrar dess metadata. Regler för kontonamn som pekar på
+ * det gamla namnet följer med, så att kommande importer hamnar på samma konto.
+ * @param {string} accountId - Konto-ID
+ * @param {Object} changes - { name, handle, color, initials, description }; tomma värden
+ *   tar bort fältet (färg och initialer räknas då fram ur namnet)
+ * @returns {Promise<Object>} - { account, error }
+ */
+export const updateAccountDetails = (accountId, changes) => runWorkspaceOperation(async () => {
+  try {
+    const accounts = await getAccounts();
+    const account = accounts.find(a => a.id === accountId);
+    if (!account) {
+      return { account: null, error: 'Kontot finns inte längre' };
+    }
+
+    const { fields, error } = normalizeAccountDetails(changes, accountId, accounts);
+    if (error) {
+      return { account: null, error };
+    }
+
+    const saved = await saveAccount({ ...account, ...fields });
+
+    if (fields.name && fields.name !== account.name) {
+      retargetAccountRules(account.name, fields.name);
+    }
+
+    return { account: saved, error: null };
+  } catch (error) {
+    console.error(`Fel vid uppdatering av konto (${accountId}):`, error);
+    return { account: null, error: 'Kontot kunde inte sparas' };
+  }
+});
+
+/**
+ * Hämtar allt som sparats för ett konto, så att det kan återställas efter borttagning
+ * @param {string} accountId - Konto-ID
+ * @returns {Promise<Object|null>} - { account, dailyRows, videoData, demographics,
+ *   followerActivity, importHistory } med posterna som de är sparade
+ */
+const getAccountSnapshot = async (accountId) => {
+  try {
+    const account = await getById(STORAGE_KEYS.STORE_ACCOUNTS, accountId);
+    if (!account) return null;
+
+    return {
+      account,
+      dailyRows: await getDailyRows(accountId),
+      videoData: await getByIndex(STORAGE_KEYS.STORE_VIDEO_DATA, 'accountId', accountId),
+      demographics: await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', accountId),
+      followerActivity: await getByIndex(STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, 'accountId', accountId),
+      importHistory: await getByIndex(STORAGE_KEYS.STORE_IMPORT_HISTORY, 'accountId', accountId)
+    };
+  } catch (error) {
+    console.error(`Fel vid hämtning av kontots data (${accountId}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Återställer ett borttaget konto från getAccountSnapshot
+ * @param {Object} snapshot - Kontots sparade poster
+ * @returns {Promise<Object>} - { account, error }
+ */
+const restoreAccountSnapshot = async (snapshot) => {
+  try {
+    const accounts = await getAccounts();
+    if (accounts.some(a => a.id === snapshot.account.id)) {
+      return { account: null, error: 'Kontot finns redan. Ta bort det först om den här versionen ska återställas' };
+    }
+
+    const existing = findAccountByName(snapshot.account.name, accounts);
+    if (existing) {
+      return { account: null, error: `Ett nytt konto som heter ${existing.name} har skapats sedan kontot togs bort` };
+    }
+
+    await putAllToIndexedDB(STORAGE_KEYS.STORE_DAILY_ROWS, snapshot.dailyRows);
+    await putAllToIndexedDB(STORAGE_KEYS.STORE_VIDEO_DATA, snapshot.videoData);
+    await putAllToIndexedDB(STORAGE_KEYS.STORE_DEMOGRAPHICS, snapshot.demographics);
+    await putAllToIndexedDB(STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, snapshot.followerActivity);
+    await putAllToIndexedDB(STORAGE_KEYS.STORE_IMPORT_HISTORY, snapshot.importHistory);
+    const account = await saveAccount(snapshot.account);
+
+    return { account, error: null };
+  } catch (error) {
+    console.error('Fel vid återställning av konto:', error);
+    return { account: null, error: 'Kontot kunde inte återställas' };
+  }
+};
+
+// ----------------------------------------
+// Data hantering per konto
+// ----------------------------------------
+
+/**
+ * Sparar CSV-data för ett specifikt konto. Varje dag sparas som en egen post, så vid
+ * sammanslagning skrivs bara de dagar som finns i den nya datan.
+ * @param {string} accountId - Konto-ID
+ * @param {Array} data - Data att spara
+ * @param {Object} [options] - Options: { merge: bool, resolution } - om merge är true, slå ihop med befintlig data (deduplicera på datum);
+ *   resolution anger hur rader med andra värden än de sparade hanteras, se mergeRows
+ * @returns {Promise<boolean>}
+ */
+export const saveAccountData = async (accountId, data, options = {}) => {
+  try {
+    if (!accountId || !data) {
+      throw new Error('accountId och data krävs');
+    }
+
+    if (!Array.isArray(data)) {
+      throw new Error('Data måste vara en array');
+    }
+
+    console.log(`Sparar data för konto ${accountId} (${data.length} rader)`);
+
+    // Datum sparas som kalendernycklar "YYYY-MM-DD" så att dagen inte beror på tidszon;
+    // rader utan datum kan inte sparas eftersom dagen är en del av nyckeln
+    const rows = data.map(withDateKey).filter(item => item && item.date);
+
+    // Deduplicera på kalenderdag - konflikter löses enligt options.resolution (standard: ny data vinner)
+    await writeDailyRows(accountId, rows, { merge: options.merge, resolution: options.resolution });
+
+    const rowCount = await countDailyRows(accountId);
+
+    await markAccountChanged(accountId, { hasData: true, rowCount });
+
+    console.log(`Data sparad (${rows.length} rader skrivna, ${rowCount} dagar totalt)`);
+    return true;
+  } catch (error) {
+    console.error(`Fel vid sparande av data för konto ${accountId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Hämtar CSV-data för ett specifikt konto, sorterad på datum
+ * @param {string} accountId - Konto-ID
+ * @param {Object} [range] - { from, to } som kalendernycklar "YYYY-MM-DD" (inklusive);
+ *   utan gränser hämtas alla dagar
+ * @returns {Promise<Array>}
+ */
+export const getAccountData = async (accountId, { from, to } = {}) => {
+  try {
+    if (!accountId) {
+      throw new Error('accountId krävs');
+    }
+
+    const rows = await getDailyRows(accountId, from, to);
+    console.log(`Hittade ${rows.length} dagar för konto ${accountId}`);
+    return rows;
+  } catch (error) {
+    console.error(`Fel vid hämtning av data för konto ${accountId}:`, error);
+    return [];
+  }
+};
+
+// ----------------------------------------
+// Videodata per konto
+// ----------------------------------------
+
+/**
+ * Sparar per video-data för ett specifikt konto
+ * @param {string} accountId - Konto-ID
+ * @param {Array} data - Videorader att spara
+ * @param {Object} [options] - Options: { merge: bool, resolution } - om merge är true, slå ihop med befintlig data (deduplicera på videoId);
+ *   resolution anger hur rader med andra värden än de sparade hanteras, se mergeRows
+ * @returns {Promise<boolean>}
+ */
+export const saveVideoData = async (accountId, data, options = {}) => {
+  try {
+    if (!accountId || !data) {
+      throw new Error('accountId och data krävs');
+    }
+
+    if (!Array.isArray(data)) {
+      throw new Error('Data måste vara en array');
+    }
+
+    console.log(`Sparar videodata för konto ${accountId} (${data.length} videor)`);
+
+    let dataToSave = data;
+
+    if (options.merge) {
+      const existing = await getVideoData(accountId);
+      if (existing.length > 0) {
+        // Deduplicera på videoId - ny data vinner om inget annat valts (siffrorna växer över tid)
+        dataToSave = mergeRows(
+          existing.filter(item => item.videoId),
+          data.filter(item => item.videoId),
+          IMPORT_TYPES.VIDEO,
+          options.resolution
+        );
+        console.log(`Sammanslagning: ${existing.length} befintliga + ${data.length} nya = ${dataToSave.length} unika videor`);
+      }
+    }
+
+    await replaceAccountDataset(STORAGE_KEYS.STORE_VIDEO_DATA, accountId, dataToSave);
+
+    await markAccountChanged(accountId, { hasVideoData: true, videoCount: dataToSave.length });
+
+    console.log(`Videodata sparad (${dataToSave.length} videor)`);
+    return true;
+  } catch (error) {
+    console.error(`Fel vid sparande av videodata för konto ${accountId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Hämtar per video-data för ett specifikt konto
+ * @param {string} accountId - Konto-ID
+ * @returns {Promise<Array>}
+ */
+export const getVideoData = async (accountId) => {
+  try {
+    if (!accountId) {
+      throw new Error('accountId krävs');
+    }
+
+    return await getAccountDataset(STORAGE_KEYS.STORE_VIDEO_DATA, accountId);
+  } catch (error) {
+    console.error(`Fel vid hämtning av videodata för konto ${accountId}:`, error);
+    return [];
+  }
+};
+
+// ----------------------------------------
+// Följardemografi per konto
+// ----------------------------------------
+
+/**
+ * Sparar en demografisk ögonblicksbild (kön, ålder eller territorium) för ett konto.
+ * Ögonblicksbilden dateras med importdagen; en ny import samma dag ersätter den tidigare.
+ * @param {string} accountId - Konto-ID
+ * @param {string} dimension - 'gender' | 'age' | 'territory'
+ * @param {Array} data - Rader { category, share }
+ * @returns {Promise<boolean>}
+ */
+export const saveDemographicsSnapshot = async (accountId, dimension, data) => {
+  try {
+    if (!accountId || !dimension || !Array.isArray(data)) {
+      throw new Error('accountId, dimension och data krävs');
+    }
+
+    const snapshotDate = toDateKey(new Date());
+
+    const existing = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', accountId);
+    for (const item of existing) {
+      if (item.dimension === dimension && item.snapshotDate === snapshotDate) {
+        await deleteById(STORAGE_KEYS.STORE_DEMOGRAPHICS, item.id);
+      }
+    }
+
+    await saveToIndexedDB(STORAGE_KEYS.STORE_DEMOGRAPHICS, {
+      accountId,
+      dimension,
+      snapshotDate,
+      timestamp: Date.now(),
+      data
+    });
+
+    await markAccountChanged(accountId, { hasDemographics: true });
+
+    console.log(`Demografi sparad för konto ${accountId} (${dimension}, ${data.length} kategorier)`);
+    return true;
+  } catch (error) {
+    console.error(`Fel vid sparande av demografi för konto ${accountId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Hämtar alla demografiska ögonblicksbilder för ett konto, äldst först
+ * @param {string} accountId - Konto-ID
+ * @returns {Promise<Array>} - { accountId, dimension, snapshotDate, timestamp, data }
+ */
+export const getDemographicsSnapshots = async (accountId) => {
+  try {
+    if (!accountId) {
+      throw new Error('accountId krävs');
+    }
+
+    const snapshots = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', accountId);
+    return (snapshots || []).sort((a, b) => a.timestamp - b.timestamp);
+  } catch (error) {
+    console.error(`Fel vid hämtning av demografi för konto ${accountId}:`, error);
+    return [];
+  }
+};
+
+// ----------------------------------------
+// Följaraktivitet per konto
+// ----------------------------------------
+
+/**
+ * Sparar följaraktivitet (aktiva följare per datum och timme) för ett konto
+ * @param {string} accountId - Konto-ID
+ * @param {Array} data - Rader { date, hour, active_followers }
+ * @param {Object} [options] - Options: { merge: bool, resolution } - om merge är true, slå ihop med befintlig data (deduplicera på datum + timme);
+ *   resolution anger hur rader med andra värden än de sparade hanteras, se mergeRows
+ * @returns {Promise<boolean>}
+ */
+export const saveActivityData = async (accountId, data, options = {}) => {
+  try {
+    if (!accountId || !Array.isArray(data)) {
+      throw new Error('accountId och data krävs');
+    }
+
+    let dataToSave = data;
+
+    if (options.merge) {
+      const existing = await getActivityData(accountId);
+      if (existing.length > 0) {
+        dataToSave = mergeRows(
+          existing.map(withDateKey),
+          data.map(withDateKey),
+          IMPORT_TYPES.ACTIVITY,
+          options.resolution
+        );
+      }
+    }
+
+    await replaceAccountDataset(STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, accountId, dataToSave);
+
+    await markAccountChanged(accountId, { hasActivityData: true });
+
+    console.log(`Följaraktivitet sparad för konto ${accountId} (${dataToSave.length} timmar)`);
+    return true;
+  } catch (error) {
+    console.error(`Fel vid sparande av följaraktivitet för konto ${accountId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Hämtar följaraktivitet för ett konto
+ * @param {string} accountId - Konto-ID
+ * @returns {Promise<Array>}
+ */
+export const getActivityData = async (accountId) => {
+  try {
+    if (!accountId) {
+      throw new Error('accountId krävs');
+    }
+
+    return await getAccountDataset(STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, accountId);
+  } catch (error) {
+    console.error(`Fel vid hämtning av följaraktivitet för konto ${accountId}:`, error);
+    return [];
+  }
+};
+
+// ----------------------------------------
+// Importhistorik per konto
+// ----------------------------------------
+
+// Flagga på kontot som anger att det har data av importtypen
+const DATASET_FLAGS = {
+  [IMPORT_TYPES.OVERVIEW]: 'hasData',
+  [IMPORT_TYPES.VIDEO]: 'hasVideoData',
+  [IMPORT_TYPES.ACTIVITY]: 'hasActivityData'
+};
+
+const loadDataset = (importType, accountId) => {
+  switch (importType) {
+    case IMPORT_TYPES.VIDEO:
+      return getVideoData(accountId);
+    case IMPORT_TYPES.ACTIVITY:
+      return getActivityData(accountId);
+    default:
+      return getAccountData(accountId);
+  }
+};
+
+const saveDataset = (importType, accountId, data, options = {}) => {
+  switch (importType) {
+    case IMPORT_TYPES.VIDEO:
+      return saveVideoData(accountId, data, options);
+    case IMPORT_TYPES.ACTIVITY:
+      return saveActivityData(accountId, data, options);
+    default:
+      return saveAccountData(accountId, data, options);
+  }
+};
+
+// Jämförbar form av en rad, utan lagringsfälten
+const rowSignature = (row) => {
+  const { accountId, id, ...values } = row;
+  return JSON.stringify(Object.keys(values).sort().map(key => [key, values[key]]));
+};
+
+/**
+ * Jämför kontots rader före och efter en import. Utöver antalen sparas det som krävs
+ * för att ångra importen: nycklar för tillagda rader och tidigare versioner av ersatta
+ * eller borttagna rader.
+ */
+const diffDatasets = (importType, before, after, incoming) => {
+  const keyOf = row => getRowKey(importType, row);
+  const beforeByKey = new Map(before.map(row => [keyOf(row), row]));
+  const afterByKey = new Map(after.map(row => [keyOf(row), row]));
+  const incomingKeys = new Set(incoming.map(keyOf));
+
+  const addedKeys = [];
+  const replacedRows = [];
+  const removedRows = [];
+  let unchanged = 0;
+
+  afterByKey.forEach((row, key) => {
+    const previous = beforeByKey.get(key);
+    if (!previous) {
+      addedKeys.push(key);
+    } else if (rowSignature(previous) !== rowSignature(row)) {
+      replacedRows.push(previous);
+    } else if (incomingKeys.has(key)) {
+      unchanged++;
+    }
+  });
+
+  beforeByKey.forEach((row, key) => {
+    if (!afterByKey.has(key)) removedRows.push(row);
+  });
+
+  return {
+    added: addedKeys.length,
+    replaced: replacedRows.length,
+    unchanged,
+    undo: { addedKeys, replacedRows, removedRows }
+  };
+};
+
+/**
+ * Beräknar en SHA-256-kontrollsumma för en fil, så att samma fil kan kännas igen i historiken
+ * @param {File|Blob} file - Filen
+ * @returns {Promise<string|null>} - Hexsträng, eller null om Web Crypto saknas
+ */
+export const hashFile = async (file) => {
+  try {
+    if (!window.crypto || !window.crypto.subtle) return null;
+
+    const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  } catch (error) {
+    console.error('Fel vid beräkning av kontrollsumma:', error);
+    return null;
+  }
+};
+
+/**
+ * Tar kontot i anspråk för en import som granskades mot expectedRevision: jämför och räknar
+ * upp revisionen i en och samma transaktion. Transaktioner mot samma store körs en i taget
+ * även mellan flikar, så av två flikar som granskade mot samma revision lyckas bara den första.
+ * @returns {Promise<boolean>} - false om kontot saknas eller har ändrats sedan granskningen
+ */
+const claimAccountRevision = async (accountId, expectedRevision) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORAGE_KEYS.STORE_ACCOUNTS], 'readwrite');
+    const store = transaction.objectStore(STORAGE_KEYS.STORE_ACCOUNTS);
+    let claimed = false;
+
+    const request = store.get(accountId);
+    request.onsuccess = () => {
+      const account = request.result;
+      if (!account || (account.revision || 0) !== expectedRevision) return;
+      store.put({ ...account, revision: expectedRevision + 1 });
+      claimed = true;
+    };
+
+    transaction.oncomplete = () => resolve(claimed);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Lämnar tillbaka ett anspråk från claimAccountRevision när importen inte kunde sparas, så att
+ * kontot inte ser ändrat ut för granskningar mot den tidigare revisionen. Har något annat räknat
+ * upp revisionen sedan anspråket lämnas den som den är.
+ */
+const releaseAccountRevision = async (accountId, claimedRevision) => {
+  try {
+    const db = await getDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORAGE_KEYS.STORE_ACCOUNTS], 'readwrite');
+      const store = transaction.objectStore(STORAGE_KEYS.STORE_ACCOUNTS);
+
+      const request = store.get(accountId);
+      request.onsuccess = () => {
+        const account = request.result;
+        if (account && account.revision === claimedRevision) {
+          store.put({ ...account, revision: claimedRevision - 1 });
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error(`Fel vid återställning av revisionen för konto ${accountId}:`, error);
+  }
+};
+
+/**
+ * Sparar en bearbetad import för ett konto och loggar den i kontots importhistorik
+ * @param {string} accountId - Konto-ID
+ * @param {Object} result - { data, meta } från processTikTokData
+ * @param {Object} [options] - { merge, resolution, source, expectedRevision } där merge och resolution
+ *   skickas vidare till sparfunktionen och source beskriver filen: { fileName, fileSize, fileHash,
+ *   sheetName, mappingProfileId, mappingProfileName }. Med expectedRevision sparas ingenting om
+ *   kontot saknas eller har ändrats (t.ex. i en annan flik) sedan datan granskades mot den
+ *   revisionen; kontrollen och anspråket på kontot görs i samma transaktion. Kan datan sedan
+ *   inte sparas lämnas anspråket tillbaka.
+ * @returns {Promise<Object>} - { entry, conflict } där entry är loggposten, eller null om inget
+ *   sparades, och conflict är true om kontot saknas eller har ändrats sedan granskningen
+ */
+export const saveImport = (accountId, result, options = {}) => runWorkspaceOperation(async () => {
+  const { merge = false, resolution, source = {}, expectedRevision } = options;
+  const { data, meta } = result;
+  const importType = meta.importType;
+
+  let changes;
+  let claimed = false;
+
+  try {
+    if (expectedRevision !== undefined) {
+      if (!await claimAccountRevision(accountId, expectedRevision)) {
+        console.warn(`Kontot ${accountId} saknas eller har ändrats sedan filen granskades`);
+        return { entry: null, conflict: true };
+      }
+      claimed = true;
+    }
+
+    if (importType === IMPORT_TYPES.DEMOGRAPHICS) {
+      // En ny ögonblicksbild samma dag ersätter den tidigare för samma dimension
+      const snapshotDate = toDateKey(new Date());
+      const snapshots = await getDemographicsSnapshots(accountId);
+      const replacedSnapshot = snapshots.find(s => s.dimension === meta.dimension && s.snapshotDate === snapshotDate) || null;
+
+      if (!await saveDemographicsSnapshot(accountId, meta.dimension, data)) {
+        throw new Error('Ögonblicksbilden kunde inte sparas');
+      }
+
+      changes = {
+        added: replacedSnapshot ? 0 : data.length,
+        replaced: replacedSnapshot ? data.length : 0,
+        unchanged: 0,
+        undo: { snapshotDate, replacedSnapshot }
+      };
+    } else {
+      const before = await loadDataset(importType, accountId);
+      if (!await saveDataset(importType, accountId, data, { merge, resolution })) {
+        throw new Error('Datan kunde inte sparas');
+      }
+
+      const after = await loadDataset(importType, accountId);
+      changes = diffDatasets(importType, before, after, data);
+    }
+  } catch (error) {
+    console.error(`Fel vid import för konto ${accountId}:`, error);
+    if (claimed) await releaseAccountRevision(accountId, expectedRevision + 1);
+    return { entry: null, conflict: false };
+  }
+
+  const entry = {
+    id: generateId(),
+    accountId,
+    importType,
+    dimension: meta.dimension || null,
+    fileName: source.fileName || '',
+    fileSize: source.fileSize ?? null,
+    fileHash: source.fileHash || null,
+    sheetName: source.sheetName || null,
+    mappingProfileId: source.mappingProfileId || null,
+    mappingProfileName: source.mappingProfileName || null,
+    importedAt: Date.now(),
+    dateRange: meta.dateRange || null,
+    rowCount: data.length,
+    ...changes,
+    revertedAt: null
+  };
+
+  // Datan är redan sparad; en misslyckad loggning ska inte rapporteras som en misslyckad import
+  try {
+    await saveToIndexedDB(STORAGE_KEYS.STORE_IMPORT_HISTORY, entry);
+  } catch (error) {
+    console.error(`Fel vid sparande av importhistorik för konto ${accountId}:`, error);
+  }
+
+  return { entry, conflict: false };
+});
+
+/**
+ * Hämtar kontots importhistorik, senaste importen först
+ * @param {string} accountId - Konto-ID
+ * @returns {Promise<Array>} - Loggposter från saveImport
+ */
+export const getImportHistory = async (accountId) => {
+  try {
+    if (!accountId) {
+      throw new Error('accountId krävs');
+    }
+
+    const entries = await getByIndex(STORAGE_KEYS.STORE_IMPORT_HISTORY, 'accountId', accountId);
+    return (entries || []).sort((a, b) => b.importedAt - a.importedAt);
+  } catch (error) {
+    console.error(`Fel vid hämtning av importhistorik för konto ${accountId}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Ångrar en import så att kontots rader återställs till läget före importen: rader som
+ * importen lade till tas bort och rader som den ersatte får tillbaka sina tidigare värden.
+ * Har en senare import ändrat samma rader skrivs även de ändringarna över. Det som
+ * ångringen tog bort läggs i papperskorgen, så att ångringen i sin tur kan ångras.
+ * @param {string} historyId - Loggpostens ID
+ * @returns {Promise<boolean>}
+ */
+export const revertImport = (historyId) => runWorkspaceOperation(async () => {
+  try {
+    const entry = await getById(STORAGE_KEYS.STORE_IMPORT_HISTORY, historyId);
+
+    if (!entry) {
+      throw new Error('Importen finns inte i historiken');
+    }
+
+    if (entry.revertedAt) {
+      throw new Error('Importen är redan ångrad');
+    }
+
+    if (entry.lockedReason) {
+      throw new Error(`Importen kan inte ångras: ${entry.lockedReason}`);
+    }
+
+    const { accountId, importType, undo } = entry;
+    let trashPayload;
+
+    if (importType === IMPORT_TYPES.DEMOGRAPHICS) {
+      const snapshots = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', accountId);
+      const imported = snapshots.filter(s => s.dimension === entry.dimension && s.snapshotDate === undo.snapshotDate);
+
+      for (const snapshot of imported) {
+        await deleteById(STORAGE_KEYS.STORE_DEMOGRAPHICS, snapshot.id);
+      }
+
+      if (undo.replacedSnapshot) {
+        await saveToIndexedDB(STORAGE_KEYS.STORE_DEMOGRAPHICS, undo.replacedSnapshot);
+      }
+      trashPayload = { snapshots: imported, restoredSnapshot: undo.replacedSnapshot || null };
+
+      const remaining = snapshots.length - imported.length + (undo.replacedSnapshot ? 1 : 0);
+      await markAccountChanged(accountId, { hasDemographics: remaining > 0 });
+    } else {
+      const keyOf = row => getRowKey(importType, row);
+      const before = await loadDataset(importType, accountId);
+      const rows = new Map(before.map(row => [keyOf(row), row]));
+
+      undo.addedKeys.forEach(key => rows.delete(key));
+      [...undo.replacedRows, ...undo.removedRows].forEach(row => rows.set(keyOf(row), row));
+
+      const restored = Array.from(rows.values());
+      if (!await saveDataset(importType, accountId, restored)) {
+        throw new Error('Kunde inte spara den återställda datan');
+      }
+      trashPayload = describeRevert(importType, before, restored);
+
+      // Sparfunktionerna markerar alltid kontot som att det har data
+      if (restored.length === 0) {
+        await markAccountChanged(accountId, { [DATASET_FLAGS[importType]]: false });
+      }
+    }
+
+    await saveToIndexedDB(STORAGE_KEYS.STORE_IMPORT_HISTORY, { ...entry, revertedAt: Date.now() });
+
+    // Ångringen är redan gjord; ett misslyckat sparande i papperskorgen ska inte rapporteras som fel
+    try {
+      const account = await getAccount(accountId);
+      await moveToTrash({
+        type: TRASH_TYPES.IMPORT,
+        accountId,
+        historyId: entry.id,
+        name: entry.fileName || IMPORT_TYPE_LABELS[importType],
+        accountName: account ? account.name : null,
+        payload: { importType, dimension: entry.dimension, ...trashPayload }
+      });
+    } catch (error) {
+      console.error(`Fel vid sparande av ångrad import i papperskorgen (${historyId}):`, error);
+    }
+
+    console.log(`Import ångrad för konto ${accountId} (${entry.fileName})`);
+    return true;
+  } catch (error) {
+    console.error(`Fel vid ångring av import (${historyId}):`, error);
+    return false;
+  }
+});
+
+// ----------------------------------------
+// Slå ihop och dela konton
+// ----------------------------------------
+
+// Datasets med rader som flyttas mellan konton
+const ACCOUNT_ROW_TYPES = [IMPORT_TYPES.OVERVIEW, IMPORT_TYPES.VIDEO, IMPORT_TYPES.ACTIVITY];
+
+// Radens dag per importtyp; videor räknas till dagen de publicerades
+const ROW_DATES = {
+  [IMPORT_TYPES.OVERVIEW]: row => row.date,
+  [IMPORT_TYPES.VIDEO]: row => toDateKey(row.post_time),
+  [IMPORT_TYPES.ACTIVITY]: row => row.date
+};
+
+const isInDateRange = (date, from, to) => !!date && date >= from && date <= to;
+
+/**
+ * Räknar ut vad som händer när rader flyttas till ett konto: hur många som läggs till,
+ * ersätter befintliga rader eller redan finns med samma värden
+ * @param {Object} rowsByType - Rader per importtyp som ska flyttas
+ * @param {Object|null} target - Mottagande konto, eller null för ett nytt konto
+ * @param {Object} [resolution] - { strategy, overrides } som vid en import
+ * @returns {Promise<Object>} - { moved, added, replaced, unchanged, firstDate, lastDate } per importtyp
+ */
+const planRowMove = async (rowsByType, target, resolution) => {
+  const plan = {};
+
+  for (const importType of ACCOUNT_ROW_TYPES) {
+    const incoming = rowsByType[importType];
+    const before = target ? await loadDataset(importType, target.id) : [];
+    const after = mergeRows(before, incoming, importType, resolution);
+    const { added, replaced, unchanged } = diffDatasets(importType, before, after, incoming);
+    const dates = incoming.map(ROW_DATES[importType]).filter(Boolean).sort();
+
+    plan[importType] = {
+      moved: incoming.length,
+      added,
+      replaced,
+      unchanged,
+      firstDate: dates[0] || null,
+      lastDate: dates[dates.length - 1] || null
+    };
+  }
+
+  return plan;
+};
+
+// Sparar rader hos mottagande konto, sammanslagna med dess befintliga rader
+const saveMovedRows = async (rowsByType, targetId, resolution) => {
+  for (const importType of ACCOUNT_ROW_TYPES) {
+    const rows = rowsByType[importType];
+    if (rows.length > 0 && !await saveDataset(importType, targetId, rows, { merge: true, resolution })) {
+      throw new Error(`Kunde inte spara raderna (${importType}) hos det mottagande kontot`);
+    }
+  }
+};
+
+// Låser importer i historiken som inte längre går att ångra på ett säkert sätt; en
+// import som redan är ångrad eller låst behåller sin status
+const lockImportHistory = async (entries, lockedReason) => {
+  await putAllToIndexedDB(
+    STORAGE_KEYS.STORE_IMPORT_HISTORY,
+    entries.map(entry => (entry.revertedAt || entry.lockedReason ? entry : { ...entry, lockedReason }))
+  );
+};
+
+// Ögonblicksbilder har en per dimension och dag, så det är deras nyckel vid en ångring
+const snapshotKey = (dimension, snapshotDate) => `${dimension}|${snapshotDate}`;
+
+// Om en ångring av importen skulle ta bort eller skriva över någon av nycklarna i keysByType
+const importTouchesKeys = (entry, keysByType) => {
+  const keys = keysByType[entry.importType];
+  if (!keys || keys.size === 0 || !entry.undo) return false;
+
+  if (entry.importType === IMPORT_TYPES.DEMOGRAPHICS) {
+    return keys.has(snapshotKey(entry.dimension, entry.undo.snapshotDate));
+  }
+
+  const { addedKeys = [], replacedRows = [], removedRows = [] } = entry.undo;
+  return addedKeys.some(key => keys.has(key)) ||
+    [...replacedRows, ...removedRows].some(row => keys.has(getRowKey(entry.importType, row)));
+};
+
+const getMergeAccounts = async (sourceId, targetId) => {
+  if (!sourceId || !targetId || sourceId === targetId) {
+    return { error: 'Välj två olika konton' };
+  }
+
+  const source = await getAccount(sourceId);
+  const target = await getAccount(targetId);
+  if (!source || !target) {
+    return { error: 'Kontot finns inte längre' };
+  }
+
+  return { source, target, error: null };
+};
+
+/**
+ * Förhandsgranskar en sammanslagning av två konton utan att spara något
+ * @param {string} sourceId - Kontot som slås ihop med det andra och sedan tas bort
+ * @param {string} targetId - Kontot som blir kvar
+ * @param {Object} [options] - { resolution } som vid en import
+ * @returns {Promise<Object>} - { source, target, rows, demographics, history, error } där rows
+ *   är planRowMove per importtyp, demographics { moved, replaced } och history antal importer
+ */
+export const previewAccountMerge = async (sourceId, targetId, { resolution } = {}) => {
+  try {
+    const { source, target, error } = await getMergeAccounts(sourceId, targetId);
+    if (error) return { error };
+
+    const rowsByType = {};
+    for (const importType of ACCOUNT_ROW_TYPES) {
+      rowsByType[importType] = await loadDataset(importType, sourceId);
+    }
+
+    const snapshots = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', sourceId);
+    const targetSnapshots = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', targetId);
+    const replaced = snapshots.filter(snapshot => targetSnapshots.some(existing =>
+      existing.dimension === snapshot.dimension && existing.snapshotDate === snapshot.snapshotDate
+    )).length;
+
+    return {
+      source,
+      target,
+      rows: await planRowMove(rowsByType, target, resolution),
+      demographics: { moved: snapshots.length, replaced },
+      history: (await getByIndex(STORAGE_KEYS.STORE_IMPORT_HISTORY, 'accountId', sourceId)).length,
+      error: null
+    };
+  } catch (error) {
+    console.error('Fel vid förhandsgranskning av sammanslagning:', error);
+    return { error: 'Kunde inte jämföra kontona' };
+  }
+};
+
+/**
+ * Slår ihop två konton. Källkontots rader slås ihop med målkontots enligt vald
+ * konfliktregel, som när en fil importeras till ett befintligt konto. Källkontots
+ * importhistorik flyttas med men låses, eftersom en ångring nu skulle påverka det
+ * sammanslagna kontot. Av målkontots importer låses de som omfattar samma datum, videor
+ * eller ögonblicksbilder som källkontot, eftersom en ångring annars skulle ta bort eller
+ * skriva över de flyttade raderna. Källkontot tas sedan bort.
+ * @param {string} sourceId - Kontot som slås ihop med det andra och sedan tas bort
+ * @param {string} targetId - Kontot som blir kvar
+ * @param {Object} [options] - { resolution } som vid en import
+ * @returns {Promise<Object>} - { account, error } med det sammanslagna kontot
+ */
+export const mergeAccounts = (sourceId, targetId, { resolution } = {}) => runWorkspaceOperation(async () => {
+  try {
+    const { source, target, error } = await getMergeAccounts(sourceId, targetId);
+    if (error) return { account: null, error };
+
+    const rowsByType = {};
+    for (const importType of ACCOUNT_ROW_TYPES) {
+      rowsByType[importType] = await loadDataset(importType, sourceId);
+    }
+    await saveMovedRows(rowsByType, targetId, resolution);
+
+    // En ögonblicksbild för samma dimension och dag finns bara en gång per konto
+    const snapshots = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', sourceId);
+    if (snapshots.length > 0) {
+      const keepExisting = resolution && resolution.strategy === MERGE_STRATEGIES.KEEP_EXISTING;
+      const targetSnapshots = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', targetId);
+
+      for (const snapshot of snapshots) {
+        const duplicates = targetSnapshots.filter(existing =>
+          existing.dimension === snapshot.dimension && existing.snapshotDate === snapshot.snapshotDate
+        );
+        if (duplicates.length > 0 && keepExisting) continue;
+
+        for (const item of duplicates) {
+          await deleteById(STORAGE_KEYS.STORE_DEMOGRAPHICS, item.id);
+        }
+        await saveToIndexedDB(STORAGE_KEYS.STORE_DEMOGRAPHICS, { ...snapshot, accountId: targetId });
+      }
+    }
+
+    const history = await getByIndex(STORAGE_KEYS.STORE_IMPORT_HISTORY, 'accountId', sourceId);
+    await lockImportHistory(
+      history.map(entry => ({ ...entry, accountId: targetId })),
+      `importerades till ${source.name}, som har slagits ihop med ${target.name}`
+    );
+
+    const movedKeys = {
+      [IMPORT_TYPES.DEMOGRAPHICS]: new Set(snapshots.map(snapshot => snapshotKey(snapshot.dimension, snapshot.snapshotDate)))
+    };
+    ACCOUNT_ROW_TYPES.forEach(importType => {
+      movedKeys[importType] = new Set(rowsByType[importType].map(row => getRowKey(importType, row)));
+    });
+    const targetHistory = await getByIndex(STORAGE_KEYS.STORE_IMPORT_HISTORY, 'accountId', targetId);
+    await lockImportHistory(
+      targetHistory.filter(entry => !history.some(moved => moved.id === entry.id) && importTouchesKeys(entry, movedKeys)),
+      `raderna har sedan slagits ihop med ${source.name}`
+    );
+
+    await markAccountChanged(targetId, {
+      hasDemographics: target.hasDemographics || snapshots.length > 0,
+      handle: target.handle || source.handle || null,
+      description: target.description || source.description || null
+    });
+
+    retargetAccountRules(source.name, target.name);
+
+    // Källkontots data finns nu hos målkontot, så det behöver inte sparas i papperskorgen
+    if (!await deleteAccount(sourceId, { trash: false })) {
+      throw new Error(`Kunde inte ta bort ${source.name} efter sammanslagningen`);
+    }
+
+    console.log(`Konto ${source.name} sammanslaget med ${target.name}`);
+    return { account: await getAccount(targetId), error: null };
+  } catch (error) {
+    console.error('Fel vid sammanslagning av konton:', error);
+    return { account: null, error: 'Kontona kunde inte slås ihop' };
+  }
+});
+
+/**
+ * Kontrollerar en uppdelning och hämtar raderna i datumintervallet
+ * @returns {Promise<Object>} - { source, target, selected, remaining, error } där target är
+ *   null när raderna ska flyttas till ett nytt konto
+ */
+const getSplitRows = async (sourceId, { from, to, targetId, targetName }) => {
+  const source = await getAccount(sourceId);
+  if (!source) {
+    return { error: 'Kontot finns inte längre' };
+  }
+
+  if (!from || !to || from > to) {
+    return { error: 'Ange ett giltigt datumintervall (från och med – till och med)' };
+  }
+
+  let target = null;
+  if (targetId) {
+    if (targetId === sourceId) {
+      return { error: 'Välj ett annat konto att flytta raderna till' };
+    }
+    target = await getAccount(targetId);
+    if (!target) {
+      return { error: 'Kontot finns inte längre' };
+    }
+  } else {
+    const { error } = normalizeAccountDetails({ name: targetName || '' }, null, await getAccounts());
+    if (error) return { error };
+  }
+
+  const selected = {};
+  const remaining = {};
+  for (const importType of ACCOUNT_ROW_TYPES) {
+    const rows = await loadDataset(importType, sourceId);
+    const inRange = row => isInDateRange(ROW_DATES[importType](row), from, to);
+    selected[importType] = rows.filter(inRange);
+    remaining[importType] = rows.filter(row => !inRange(row));
+  }
+
+  return { source, target, selected, remaining, error: null };
+};
+
+/**
+ * Förhandsgranskar en uppdelning av ett konto utan att spara något
+ * @param {string} sourceId - Kontot som delas
+ * @param {Object} split - { from, to, targetId, targetName } där datumen är "YYYY-MM-DD" och
+ *   targetName anger ett nytt konto när targetId saknas
+ * @param {Object} [options] - { resolution } som vid en import
+ * @returns {Promise<Object>} - { source, target, rows, remaining, error } där rows är planRowMove
+ *   per importtyp och remaining antal rader per importtyp som blir kvar
+ */
+export const previewAccountSplit = async (sourceId, split, { resolution } = {}) => {
+  try {
+    const { source, target, selected, remaining, error } = await getSplitRows(sourceId, split);
+    if (error) return { error };
+
+    return {
+      source,
+      target,
+      rows: await planRowMove(selected, target, resolution),
+      remaining: Object.fromEntries(ACCOUNT_ROW_TYPES.map(importType => [importType, remaining[importType].length])),
+      error: null
+    };
+  } catch (error) {
+    console.error('Fel vid förhandsgranskning av uppdelning:', error);
+    return { error: 'Kunde inte förhandsgranska uppdelningen' };
+  }
+};
+
+/**
+ * Delar ett konto genom att flytta ett datumintervall till ett nytt eller befintligt konto,
+ * t.ex. när en kanal har bytt namn mitt i året. Dagar, videor (efter publiceringsdag) och
+ * följaraktivitet i intervallet flyttas; följardemografin blir kvar. Importer vars
+ * datumintervall berörs låses i historiken.
+ * @param {string} sourceId - Kontot som delas
+ * @param {Object} split - { from, to, targetId, targetName }, se previewAccountSplit
+ * @param {Object} [options] - { resolution } som vid en import
+ * @returns {Promise<Object>} - { account, error } med kontot som raderna flyttades till
+ */
+export const splitAccount = (sourceId, split, { resolution } = {}) => runWorkspaceOperation(async () => {
+  try {
+    const { source, target, selected, remaining, error } = await getSplitRows(sourceId, split);
+    if (error) return { account: null, error };
+
+    if (ACCOUNT_ROW_TYPES.every(importType => selected[importType].length === 0)) {
+      return { account: null, error: 'Det finns inga rader i datumintervallet' };
+    }
+
+    const account = target || await saveAccount({
+      name: split.targetName.trim().replace(/\s+/g, ' '),
+      createdAt: Date.now(),
+      hasData: false
+    });
+
+    // Raderna sparas hos det mottagande kontot innan de tas bort, så att inget går förlorat vid fel
+    await saveMovedRows(selected, account.id, resolution);
+
+    for (const importType of ACCOUNT_ROW_TYPES) {
+      if (selected[importType].length === 0) continue;
+
+      const rows = remaining[importType];
+      if (!await saveDataset(importType, sourceId, rows)) {
+        throw new Error(`Kunde inte ta bort de flyttade raderna (${importType}) från ${source.name}`);
+      }
+      if (rows.length === 0) {
+        await markAccountChanged(sourceId, { [DATASET_FLAGS[importType]]: false });
+      }
+    }
+
+    const history = await getByIndex(STORAGE_KEYS.STORE_IMPORT_HISTORY, 'accountId', sourceId);
+    await lockImportHistory(
+      history.filter(entry => entry.dateRange && entry.dateRange.startDate &&
+        entry.dateRange.startDate <= split.to && entry.dateRange.endDate >= split.from),
+      `rader från ${split.from} – ${split.to} har flyttats till ${account.name}`
+    );
+
+    console.log(`${split.from} – ${split.to} flyttat från ${source.name} till ${account.name}`);
+    return { account: await getAccount(account.id), error: null };
+  } catch (error) {
+    console.error('Fel vid uppdelning av konto:', error);
+    return { account: null, error: 'Kontot kunde inte delas' };
+  }
+});
+
+// ----------------------------------------
+// Papperskorg för borttagna konton och ångrade importer
+// ----------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hämtar hur många dagar borttagna konton och ångrade importer sparas i papperskorgen
+ * @returns {number}
+ */
+export const getTrashRetentionDays = () => getFromLocalStorage(workspaceKey(STORAGE_KEYS.TRASH_RETENTION_DAYS), DEFAULT_TRASH_RETENTION_DAYS);
+
+/**
+ * Sparar papperskorgens lagringstid. Den gäller även det som redan ligger i papperskorgen.
+ * @param {number} days - Antal dagar
+ * @returns {boolean}
+ */
+export const saveTrashRetentionDays = (days) => saveToLocalStorage(workspaceKey(STORAGE_KEYS.TRASH_RETENTION_DAYS), days);
+
+const moveToTrash = async (item) => {
+  const entry = { id: generateId(), deletedAt: Date.now(), ...item };
+  await saveToIndexedDB(STORAGE_KEYS.STORE_TRASH, entry);
+  return entry;
+};
+
+// Vad en ångring ändrade: raderna som ska tillbaka och nycklarna som ångringen lade till
+const describeRevert = (importType, before, after) => {
+  const keyOf = row => getRowKey(importType, row);
+  const afterByKey = new Map(after.map(row => [keyOf(row), row]));
+  const beforeKeys = new Set(before.map(keyOf));
+
+  return {
+    rows: before.filter(row => {
+      const current = afterByKey.get(keyOf(row));
+      return !current || rowSignature(current) !== rowSignature(row);
+    }),
+    addedKeys: after.map(keyOf).filter(key => !beforeKeys.has(key))
+  };
+};
+
+// Sammanfattning av en post i papperskorgen utan själva datan
+const describeTrashEntry = ({ payload, ...entry }, retentionDays) => ({
+  ...entry,
+  expiresAt: entry.deletedAt + retentionDays * DAY_MS,
+  size: estimateSize([payload]),
+  details: entry.type === TRASH_TYPES.ACCOUNT
+    ? {
+      days: payload.dailyRows.length,
+      videos: payload.videoData.reduce((total, item) => total + (Array.isArray(item.data) ? item.data.length : 0), 0)
+    }
+    : {
+      importType: payload.importType,
+      dimension: payload.dimension,
+      rows: payload.importType === IMPORT_TYPES.DEMOGRAPHICS ? payload.snapshots.length : payload.rows.length
+    }
+});
+
+/**
+ * Tar bort det som har legat i papperskorgen längre än lagringstiden
+ * @returns {Promise<number>} - Antal borttagna poster
+ */
+export const purgeExpiredTrash = async () => {
+  try {
+    const cutoff = Date.now() - getTrashRetentionDays() * DAY_MS;
+    const expired = (await getAllFromIndexedDB(STORAGE_KEYS.STORE_TRASH)).filter(entry => entry.deletedAt < cutoff);
+
+    for (const entry of expired) {
+      await deleteById(STORAGE_KEYS.STORE_TRASH, entry.id);
+    }
+
+    if (expired.length > 0) {
+      console.log(`${expired.length} poster har tagits bort ur papperskorgen efter lagringstiden`);
+    }
+    return expired.length;
+  } catch (error) {
+    console.error('Fel vid rensning av papperskorgen:', error);
+    return 0;
+  }
+};
+
+/**
+ * Hämtar papperskorgens innehåll, senast borttaget först. Poster vars lagringstid har gått
+ * ut tas bort först.
+ * @returns {Promise<Array>} - { id, type, accountId, name, accountName, deletedAt, expiresAt,
+ *   size, details } där details är { days, videos } för konton och { importType, dimension,
+ *   rows } för ångrade importer
+ */
+export const getTrash = async () => {
+  try {
+    await purgeExpiredTrash();
+    const retentionDays = getTrashRetentionDays();
+    const entries = await getAllFromIndexedDB(STORAGE_KEYS.STORE_TRASH);
+    return entries
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+      .map(entry => describeTrashEntry(entry, retentionDays));
+  } catch (error) {
+    console.error('Fel vid hämtning av papperskorgen:', error);
+    return [];
+  }
+};
+
+// Gör om en ångrad import: ångringens ändringar vänds tillbaka och importen är aktiv igen
+const restoreRevertedImport = async (entry) => {
+  const { accountId, historyId, payload } = entry;
+
+  if (!await getAccount(accountId)) {
+    return { account: null, error: 'Kontot som importen gjordes till finns inte längre – återställ kontot först' };
+  }
+
+  const historyEntry = await getById(STORAGE_KEYS.STORE_IMPORT_HISTORY, historyId);
+  if (!historyEntry || !historyEntry.revertedAt) {
+    return { account: null, error: 'Importen finns inte längre som ångrad i historiken' };
+  }
+
+  if (payload.importType === IMPORT_TYPES.DEMOGRAPHICS) {
+    if (payload.restoredSnapshot) {
+      await deleteById(STORAGE_KEYS.STORE_DEMOGRAPHICS, payload.restoredSnapshot.id);
+    }
+    await putAllToIndexedDB(STORAGE_KEYS.STORE_DEMOGRAPHICS, payload.snapshots);
+    await markAccountChanged(accountId, { hasDemographics: true });
+  } else {
+    const keyOf = row => getRowKey(payload.importType, row);
+    const rows = new Map((await loadDataset(payload.importType, accountId)).map(row => [keyOf(row), row]));
+
+    payload.addedKeys.forEach(key => rows.delete(key));
+    payload.rows.forEach(row => rows.set(keyOf(row), row));
+
+    if (!await saveDataset(payload.importType, accountId, Array.from(rows.values()))) {
+      throw new Error('Kunde inte spara den återställda datan');
+    }
+  }
+
+  await saveToIndexedDB(STORAGE_KEYS.STORE_IMPORT_HISTORY, { ...historyEntry, revertedAt: null });
+  return { account: await getAccount(accountId), error: null };
+};
+
+/**
+ * Återställer en post ur papperskorgen: ett borttaget konto med all dess data, eller en
+ * ångrad import som då gäller igen. Posten tas bort ur papperskorgen när den har återställts.
+ * @param {string} trashId - Postens ID
+ * @returns {Promise<Object>} - { account, error } med det berörda kontot
+ */
+export const restoreFromTrash = (trashId) => runWorkspaceOperation(async () => {
+  try {
+    const entry = await getById(STORAGE_KEYS.STORE_TRASH, trashId);
+    if (!entry) {
+      return { account: null, error: 'Posten finns inte längre i papperskorgen' };
+    }
+
+    const result = entry.type === TRASH_TYPES.ACCOUNT
+      ? await restoreAccountSnapshot(entry.payload)
+      : await restoreRevertedImport(entry);
+
+    if (!result.error) {
+      await deleteById(STORAGE_KEYS.STORE_TRASH, trashId);
+    }
+    return result;
+  } catch (error) {
+    console.error(`Fel vid återställning ur papperskorgen (${trashId}):`, error);
+    return { account: null, error: 'Kunde inte återställa från papperskorgen' };
+  }
+});
+
+/**
+ * Återställer det senast borttagna kontot med ett visst ID ur papperskorgen
+ * @param {string} accountId - Konto-ID
+ * @returns {Promise<Object>} - { account, error }
+ */
+export const restoreDeletedAccount = (accountId) => runWorkspaceOperation(async () => {
+  try {
+    const entries = await getByIndex(STORAGE_KEYS.STORE_TRASH, 'accountId', accountId);
+    const latest = entries
+      .filter(entry => entry.type === TRASH_TYPES.ACCOUNT)
+      .sort((a, b) => b.deletedAt - a.deletedAt)[0];
+
+    if (!latest) {
+      return { account: null, error: 'Kontot finns inte i papperskorgen' };
+    }
+    return await restoreFromTrash(latest.id);
+  } catch (error) {
+    console.error(`Fel vid återställning av konto (${accountId}):`, error);
+    return { account: null, error: 'Kontot kunde inte återställas' };
+  }
+});
+
+/**
+ * Tar bort en post ur papperskorgen för gott
+ * @param {string} trashId - Postens ID
+ * @returns {Promise<boolean>}
+ */
+export const deleteFromTrash = async (trashId) => {
+  try {
+    await deleteById(STORAGE_KEYS.STORE_TRASH, trashId);
+    return true;
+  } catch (error) {
+    console.error(`Fel vid borttagning ur papperskorgen (${trashId}):`, error);
+    return false;
+  }
+};
+
+/**
+ * Tömmer papperskorgen för gott
+ * @returns {Promise<boolean>}
+ */
+export const emptyTrash = async () => {
+  try {
+    await clearStore(STORAGE_KEYS.STORE_TRASH);
+    return true;
+  } catch (error) {
+    console.error('Fel vid tömning av papperskorgen:', error);
+    return false;
+  }
+};
+
+// ----------------------------------------
+// Mappningsprofiler för kolumnnamn
+// ----------------------------------------
+
+/**
+ * Hämtar alla sparade mappningsprofiler
+ * @returns {Promise<Array>} - { id, name, importType, mappings, createdAt, updatedAt }
+ */
+export const getMappingProfiles = async () => {
+  try {
+    const profiles = await getAllFromIndexedDB(STORAGE_KEYS.STORE_MAPPING_PROFILES);
+    return (profiles || []).sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Fel vid hämtning av mappningsprofiler:', error);
+    return [];
+  }
+};
+
+/**
+ * Sparar en mappningsprofil. En profil med samma namn och importtyp skrivs över.
+ * @param {Object} profile - { name, importType, mappings: { kolumnnamn: internt fält | null } }
+ * @returns {Promise<Object>} - Den sparade profilen
+ */
+export const saveMappingProfile = async (profile) => {
+  try {
+    if (!profile.name || !profile.name.trim()) {
+      throw new Error('Profilen måste ha ett namn');
+    }
+
+    const profiles = await getMappingProfiles();
+    const existing = profiles.find(p =>
+      p.id === profile.id ||
+      (p.importType === profile.importType && p.name.toLowerCase() === profile.name.trim().toLowerCase())
+    );
+
+    const saved = {
+      ...existing,
+      ...profile,
+      id: existing ? existing.id : Date.now().toString(),
+      name: profile.name.trim(),
+      createdAt: existing ? existing.createdAt : Date.now(),
+      updatedAt: Date.now()
+    };
+
+    await saveToIndexedDB(STORAGE_KEYS.STORE_MAPPING_PROFILES, saved);
+    return saved;
+  } catch (error) {
+    console.error('Fel vid sparande av mappningsprofil:', error);
+    throw error;
+  }
+};
+
+/**
+ * Byter namn på en mappningsprofil. Namnet måste vara unikt bland profilerna för samma importtyp.
+ * @param {string} profileId - Profilens ID
+ * @param {string} name - Nytt namn
+ * @returns {Promise<Object>} - { profile, error }
+ */
+export const renameMappingProfile = async (profileId, name) => {
+  try {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return { profile: null, error: 'Profilen måste ha ett namn' };
+
+    const profiles = await getMappingProfiles();
+    const current = profiles.find(p => p.id === profileId);
+    if (!current) return { profile: null, error: 'Profilen finns inte' };
+
+    const taken = profiles.some(p =>
+      p.id !== profileId && p.importType === current.importType && p.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (taken) return { profile: null, error: `Det finns redan en profil som heter ${trimmed}` };
+
+    const profile = { ...current, name: trimmed, updatedAt: Date.now() };
+    await saveToIndexedDB(STORAGE_KEYS.STORE_MAPPING_PROFILES, profile);
+    return { profile, error: null };
+  } catch (error) {
+    console.error('Fel vid namnbyte av mappningsprofil:', error);
+    return { profile: null, error: 'Profilen kunde inte sparas' };
+  }
+};
+
+export const deleteMappingProfile = async (profileId) => {
+  try {
+    await deleteById(STORAGE_KEYS.STORE_MAPPING_PROFILES, profileId);
+    return true;
+  } catch (error) {
+    console.error('Fel vid borttagning av mappningsprofil:', error);
+    return false;
+  }
+};
+
+// ----------------------------------------
+// Regler för kontonamn
+// ----------------------------------------
+
+/**
+ * Hämtar reglerna som fyller i kontonamn utifrån filnamn
+ * @returns {Array} - { id, type, pattern, accountName }, se accountMatching
+ */
+export const getAccountRules = () => getFromLocalStorage(workspaceKey(STORAGE_KEYS.ACCOUNT_RULES), []);
+
+/**
+ * Sparar reglerna för kontonamn
+ * @param {Array} rules - Hela regellistan
+ * @returns {boolean}
+ */
+export const saveAccountRules = (rules) => saveToLocalStorage(workspaceKey(STORAGE_KEYS.ACCOUNT_RULES), rules);
+
+// ----------------------------------------
+// Säkerhetskopiering
+// ----------------------------------------
+
+// Listor som måste finnas i en säkerhetskopia
+const BACKUP_COLLECTIONS = [
+  'accounts',
+  'dailyRows',
+  'videoData',
+  'demographics',
+  'followerActivity',
+  'mappingProfiles',
+  'importHistory'
+];
+
+// Listor med rader som hör till ett konto, med importtypen som avgör radens nyckel
+const BACKUP_ROW_COLLECTIONS = {
+  dailyRows: IMPORT_TYPES.OVERVIEW,
+  videoData: IMPORT_TYPES.VIDEO,
+  followerActivity: IMPORT_TYPES.ACTIVITY
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const groupByAccount = (items) => {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item.accountId)) groups.set(item.accountId, []);
+    groups.get(item.accountId).push(item);
+  });
+  return groups;
+};
+
+/**
+ * Samlar alla konton, all data och alla inställningar i en säkerhetskopia
+ * @returns {Promise<Object|null>} - { format, version, createdAt, dbVersion, accounts, dailyRows,
+ *   videoData, demographics, followerActivity, mappingProfiles, importHistory, settings },
+ *   eller null om datan inte kunde läsas
+ */
+export const createBackup = async () => {
+  try {
+    const accounts = await getAllFromIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS);
+    const videoData = await Promise.all(accounts.map(account => getVideoData(account.id)));
+    const followerActivity = await Promise.all(accounts.map(account => getActivityData(account.id)));
+    const demographics = await getAllFromIndexedDB(STORAGE_KEYS.STORE_DEMOGRAPHICS);
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      dbVersion: STORAGE_KEYS.DB_VERSION,
+      accounts,
+      dailyRows: await getAllFromIndexedDB(STORAGE_KEYS.STORE_DAILY_ROWS),
+      videoData: videoData.flat(),
+      // Löpnumren tilldelas på nytt vid återställning
+      demographics: demographics.map(({ id, ...snapshot }) => snapshot),
+      followerActivity: followerActivity.flat(),
+      mappingProfiles: await getAllFromIndexedDB(STORAGE_KEYS.STORE_MAPPING_PROFILES),
+      importHistory: await getAllFromIndexedDB(STORAGE_KEYS.STORE_IMPORT_HISTORY),
+      settings: {
+        accountRules: getAccountRules(),
+        trashRetentionDays: getTrashRetentionDays()
+      }
+    };
   } catch (error) {
-    console.error(`Fel vid sparande till localStorage (${key}):`, error);
-    return false;
+    console.error('Fel vid skapande av säkerhetskopia:', error);
+    return null;
   }
 };
 
-const getFromLocalStorage = (key, defaultValue = null) => {
-  try {
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : defaultValue;
-  } catch (error) {
-    console.error(`Fel vid hämtning från localStorage (${key}):`, error);
-    return defaultValue;
+/**
+ * Laddar ner en säkerhetskopia av all data som en JSON-fil
+ * @param {Object} [options] - { passphrase } - med lösenfras krypteras kopian, se backupCrypto
+ * @returns {Promise<Object>} - { success, fileName, error }
+ */
+export const exportBackup = async ({ passphrase } = {}) => {
+  const backup = await createBackup();
+  if (!backup) {
+    return { success: false, error: 'Kunde inte läsa datan som ska säkerhetskopieras' };
+  }
+
+  let content = backup;
+  if (passphrase) {
+    try {
+      content = await encryptBackup(backup, passphrase);
+    } catch (error) {
+      console.error('Fel vid kryptering av säkerhetskopia:', error);
+      return { success: false, error: error.message };
+    }
   }
+
+  const fileName = `tiktok-statistik-backup-${toDateKey(new Date())}${passphrase ? '-krypterad' : ''}.json`;
+  downloadFile(JSON.stringify(content), fileName, 'application/json');
+  return { success: true, fileName };
 };
 
-// ----------------------------------------
-// API för kontohantering
-// ----------------------------------------
+/**
+ * Kontrollerar att en säkerhetskopia är komplett och att all data hör till ett konto i kopian
+ * @param {Object} backup - Tolkad säkerhetskopia
+ * @returns {string|null} - Felmeddelande, eller null om kopian kan återställas
+ */
+export const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return 'Filen är inte en säkerhetskopia från TikTok-statistik';
+  }
 
-export const getAccounts = async () => {
-  try {
-    let accounts = getFromLocalStorage(STORAGE_KEYS.ACCOUNTS, []);
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return 'Säkerhetskopian saknar giltigt versionsnummer';
+  }
 
-    if (!accounts || accounts.length === 0) {
-      accounts = await getAllFromIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS);
+  if (backup.version > BACKUP_VERSION) {
+    return 'Säkerhetskopian är skapad i en nyare version av appen – uppdatera appen och försök igen';
+  }
 
-      if (accounts && accounts.length > 0) {
-        saveToLocalStorage(STORAGE_KEYS.ACCOUNTS, accounts);
-      }
-    }
+  const missing = BACKUP_COLLECTIONS.find(name => !Array.isArray(backup[name]));
+  if (missing) {
+    return `Säkerhetskopian är ofullständig (${missing} saknas)`;
+  }
 
-    return accounts || [];
-  } catch (error) {
-    console.error('Fel vid hämtning av konton:', error);
-    return [];
+  if (backup.accounts.some(account => !account || !account.id || !account.name)) {
+    return 'Säkerhetskopian innehåller konton utan ID eller namn';
   }
-};
 
-export const saveAccount = async (account) => {
-  try {
-    let accounts = await getAccounts();
+  const accountIds = new Set(backup.accounts.map(account => account.id));
+  const orphaned = ['dailyRows', 'videoData', 'demographics', 'followerActivity', 'importHistory']
+    .find(name => backup[name].some(item => !item || !accountIds.has(item.accountId)));
+  if (orphaned) {
+    return `Säkerhetskopian innehåller data för konton som saknas i filen (${orphaned})`;
+  }
 
-    if (account.id) {
-      const index = accounts.findIndex(a => a.id === account.id);
-      if (index !== -1) {
-        accounts[index] = { ...accounts[index], ...account };
-      } else {
-        accounts.push(account);
-      }
-    } else {
-      account.id = Date.now().toString();
-      accounts.push(account);
-    }
+  if (backup.dailyRows.some(row => !DATE_KEY_PATTERN.test(row.date))) {
+    return 'Säkerhetskopian innehåller dagar med ogiltigt datum';
+  }
 
-    await saveToIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS, account);
-    saveToLocalStorage(STORAGE_KEYS.ACCOUNTS, accounts);
+  if (backup.videoData.some(row => !row.videoId)) {
+    return 'Säkerhetskopian innehåller videor utan video-ID';
+  }
 
-    return account;
-  } catch (error) {
-    console.error('Fel vid sparande av konto:', error);
-    throw error;
+  if (backup.demographics.some(snapshot => !snapshot.dimension || !snapshot.snapshotDate || !Array.isArray(snapshot.data))) {
+    return 'Säkerhetskopian innehåller ogiltig följardemografi';
   }
+
+  return null;
 };
 
-export const deleteAccount = async (accountId) => {
+/**
+ * Läser och kontrollerar en säkerhetskopia. En krypterad kopia kräver lösenfrasen; utan den
+ * returneras encrypted: true så att lösenfrasen kan efterfrågas.
+ * @param {File} file - Vald fil
+ * @param {Object} [options] - { passphrase } för krypterade kopior
+ * @returns {Promise<Object>} - { backup, encrypted, error } där backup är null om filen inte kan återställas
+ */
+export const readBackupFile = async (file, { passphrase } = {}) => {
+  let content;
   try {
-    let accounts = await getAccounts();
-    accounts = accounts.filter(a => a.id !== accountId);
+    content = JSON.parse(await file.text());
+  } catch (error) {
+    console.error('Fel vid läsning av säkerhetskopia:', error);
+    return { backup: null, encrypted: false, error: 'Filen kunde inte läsas som en säkerhetskopia (ogiltig JSON)' };
+  }
 
-    await deleteById(STORAGE_KEYS.STORE_ACCOUNTS, accountId);
-    await deleteAccountData(accountId);
-    saveToLocalStorage(STORAGE_KEYS.ACCOUNTS, accounts);
+  const encrypted = isEncryptedBackup(content);
+  if (encrypted) {
+    if (!passphrase) {
+      return { backup: null, encrypted, error: null };
+    }
 
-    return true;
-  } catch (error) {
-    console.error('Fel vid borttagning av konto:', error);
-    return false;
+    const decrypted = await decryptBackup(content, passphrase);
+    if (decrypted.error) {
+      return { backup: null, encrypted, error: decrypted.error };
+    }
+    content = decrypted.backup;
   }
+
+  const error = validateBackup(content);
+  return error ? { backup: null, encrypted, error } : { backup: content, encrypted, error: null };
 };
 
-export const getAccount = async (accountId) => {
+// Befintligt konto som ett konto i kopian återställs till: samma ID, annars samma namn
+const findRestoreTarget = (account, existingAccounts) =>
+  existingAccounts.find(existing => existing.id === account.id) || findAccountByName(account.name, existingAccounts);
+
+/**
+ * Visar vad en återställning skulle ändra, utan att spara något
+ * @param {Object} backup - Kontrollerad säkerhetskopia
+ * @param {Object} [options] - { mode, resolution } där mode är ett värde ur RESTORE_MODES och
+ *   resolution anger hur dagar som redan finns hanteras vid sammanslagning, se mergeRows
+ * @returns {Promise<Object|null>} - { accounts, removedAccounts, mappingProfiles } där varje konto har
+ *   { id, name, target, dailyRows, videoData, followerActivity, demographics } och varje lista
+ *   { added, replaced, unchanged, removed }. target är det befintliga konto som tar emot datan.
+ */
+export const previewRestore = async (backup, { mode = RESTORE_MODES.MERGE, resolution } = {}) => {
   try {
-    const account = await getById(STORAGE_KEYS.STORE_ACCOUNTS, accountId);
+    const existingAccounts = await getAllFromIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS);
+    const replaceAll = mode === RESTORE_MODES.REPLACE;
+
+    const accounts = [];
+    for (const account of backup.accounts) {
+      const target = replaceAll
+        ? existingAccounts.find(existing => existing.id === account.id) || null
+        : findRestoreTarget(account, existingAccounts);
+
+      const summary = { id: account.id, name: account.name, target };
+
+      for (const [collection, importType] of Object.entries(BACKUP_ROW_COLLECTIONS)) {
+        const incoming = backup[collection].filter(row => row.accountId === account.id);
+        const before = target ? await loadDataset(importType, target.id) : [];
+        const after = replaceAll ? incoming : mergeRows(before, incoming, importType, resolution);
+        const { added, replaced, unchanged, undo } = diffDatasets(importType, before, after, incoming);
+        summary[collection] = { added, replaced, unchanged, removed: undo.removedRows.length };
+      }
 
-    if (account) {
-      return account;
+      summary.demographics = backup.demographics.filter(snapshot => snapshot.accountId === account.id).length;
+      accounts.push(summary);
     }
 
-    const accounts = getFromLocalStorage(STORAGE_KEYS.ACCOUNTS, []);
-    return accounts.find(a => a.id === accountId) || null;
+    const backupIds = new Set(backup.accounts.map(account => account.id));
+    const existingProfiles = new Set((await getAllFromIndexedDB(STORAGE_KEYS.STORE_MAPPING_PROFILES)).map(profile => profile.id));
+    const replacedProfiles = backup.mappingProfiles.filter(profile => existingProfiles.has(profile.id)).length;
+
+    return {
+      mode,
+      accounts,
+      removedAccounts: replaceAll ? existingAccounts.filter(account => !backupIds.has(account.id)) : [],
+      mappingProfiles: {
+        added: backup.mappingProfiles.length - replacedProfiles,
+        replaced: replacedProfiles
+      }
+    };
   } catch (error) {
-    console.error(`Fel vid hämtning av konto (${accountId}):`, error);
+    console.error('Fel vid förhandsgranskning av återställning:', error);
     return null;
   }
 };
 
-// ----------------------------------------
-// Data hantering per konto
-// ----------------------------------------
+// Stores som ersätts helt när en säkerhetskopia återställs med "Ersätt all data"
+const REPLACED_STORES = [
+  STORAGE_KEYS.STORE_ACCOUNTS,
+  STORAGE_KEYS.STORE_DAILY_ROWS,
+  STORAGE_KEYS.STORE_VIDEO_DATA,
+  STORAGE_KEYS.STORE_DEMOGRAPHICS,
+  STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY,
+  STORAGE_KEYS.STORE_MAPPING_PROFILES,
+  STORAGE_KEYS.STORE_IMPORT_HISTORY
+];
 
 /**
- * Sparar CSV-data för ett specifikt konto
- * @param {string} accountId - Konto-ID
- * @param {Array} data - Data att spara
- * @param {Object} [options] - Options: { merge: bool } - om true, slå ihop med befintlig data (deduplicera på datum)
- * @returns {Promise<boolean>}
+ * Ersätter all lagrad data med säkerhetskopians innehåll. Alla befintliga konton läggs i
+ * papperskorgen, och rensningen och skrivningen görs i en och samma transaktion: misslyckas
+ * något (t.ex. för att lagringsutrymmet tar slut) blir allt kvar som det var. Varje konto får
+ * en högre revision än både det lokala kontot och kopian, så att en granskning som är öppen i
+ * en annan flik inte skriver över den återställda datan.
  */
-export const saveAccountData = async (accountId, data, options = {}) => {
-  try {
-    if (!accountId || !data) {
-      throw new Error('accountId och data krävs');
-    }
+const replaceWithBackup = async (backup) => {
+  const snapshots = [];
+  for (const account of await getAllFromIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS)) {
+    const snapshot = await getAccountSnapshot(account.id);
+    if (!snapshot) throw new Error(`Kunde inte läsa ${account.name}`);
+    snapshots.push(snapshot);
+  }
 
-    if (!Array.isArray(data)) {
-      throw new Error('Data måste vara en array');
-    }
+  const localRevisions = new Map(snapshots.map(snapshot => [snapshot.account.id, snapshot.account.revision || 0]));
 
-    console.log(`Sparar data för konto ${accountId} (${data.length} rader)`);
+  const db = await getDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([...REPLACED_STORES, STORAGE_KEYS.STORE_TRASH], 'readwrite');
+    const storeOf = storeName => transaction.objectStore(storeName);
+    const deletedAt = Date.now();
 
-    let dataToSave = data;
+    // Ett fel i en enskild skrivning (t.ex. data som inte kan sparas) avbryter hela transaktionen
+    try {
+      snapshots.forEach(snapshot => storeOf(STORAGE_KEYS.STORE_TRASH).put({
+        id: generateId(),
+        deletedAt,
+        type: TRASH_TYPES.ACCOUNT,
+        accountId: snapshot.account.id,
+        name: snapshot.account.name,
+        payload: snapshot
+      }));
 
-    if (options.merge) {
-      // Hämta befintlig data och slå ihop
-      const existing = await getAccountData(accountId);
-      if (existing.length > 0) {
-        // Deduplicera på datum - ny data vinner
-        const existingByDate = {};
-        existing.forEach(item => {
-          if (item.date) existingByDate[item.date] = item;
-        });
-        data.forEach(item => {
-          if (item.date) existingByDate[item.date] = item;
-        });
-        dataToSave = Object.values(existingByDate);
-        console.log(`Sammanslagning: ${existing.length} befintliga + ${data.length} nya = ${dataToSave.length} unika rader`);
-      }
+      REPLACED_STORES.forEach(storeName => storeOf(storeName).clear());
+
+      backup.accounts.forEach(account => storeOf(STORAGE_KEYS.STORE_ACCOUNTS).put({
+        ...account,
+        revision: Math.max(localRevisions.get(account.id) || 0, account.revision || 0) + 1
+      }));
+      backup.dailyRows.forEach(row => storeOf(STORAGE_KEYS.STORE_DAILY_ROWS).put(row));
+      backup.demographics.forEach(({ id, ...snapshot }) => storeOf(STORAGE_KEYS.STORE_DEMOGRAPHICS).put(snapshot));
+      backup.mappingProfiles.forEach(profile => storeOf(STORAGE_KEYS.STORE_MAPPING_PROFILES).put(profile));
+      backup.importHistory.forEach(entry => storeOf(STORAGE_KEYS.STORE_IMPORT_HISTORY).put(entry));
+
+      [
+        [STORAGE_KEYS.STORE_VIDEO_DATA, backup.videoData],
+        [STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY, backup.followerActivity]
+      ].forEach(([storeName, rows]) => {
+        for (const [accountId, accountRows] of groupByAccount(rows)) {
+          storeOf(storeName).put({
+            accountId,
+            timestamp: deletedAt,
+            data: accountRows.map(item => ({ ...item, accountId }))
+          });
+        }
+      });
+    } catch (error) {
+      transaction.abort();
+      reject(error);
+      return;
     }
 
-    const processedData = dataToSave.map(item => {
-      const processed = { ...item, accountId };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  saveAccountRules(backup.settings?.accountRules || []);
+  // Kopior från tidigare versioner saknar lagringstiden; då gäller den nuvarande
+  const retentionDays = backup.settings?.trashRetentionDays;
+  if (Number.isInteger(retentionDays) && retentionDays > 0) {
+    saveTrashRetentionDays(retentionDays);
+  }
+};
 
-      if (processed.date) {
-        try {
-          const date = new Date(processed.date);
-          if (!isNaN(date.getTime())) {
-            processed.date = date.toISOString();
-          }
-        } catch (e) {
-          console.warn('Failed to format date:', processed.date);
-        }
-      }
+// Slår ihop säkerhetskopian med befintlig data, konto för konto
+const mergeWithBackup = async (backup, resolution) => {
+  const existingAccounts = await getAllFromIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS);
+  const targetIds = new Map();
+  // Befintliga konton som tar emot data ur kopian
+  const mergedTargets = new Map();
+
+  for (const account of backup.accounts) {
+    const target = findRestoreTarget(account, existingAccounts);
+    if (target) {
+      mergedTargets.set(target.id, target);
+    } else {
+      await saveAccount({ ...account });
+    }
+    targetIds.set(account.id, target ? target.id : account.id);
+  }
 
-      return processed;
-    });
+  const options = { merge: true, resolution };
 
-    const dataWithMeta = {
-      accountId,
-      timestamp: Date.now(),
-      data: processedData
-    };
+  for (const [accountId, rows] of groupByAccount(backup.dailyRows)) {
+    if (!await saveAccountData(targetIds.get(accountId), rows, options)) {
+      throw new Error('Kunde inte spara den dagliga översikten');
+    }
+  }
 
-    // For small datasets, also save in localStorage
-    const dataSize = JSON.stringify(data).length;
-    if (dataSize < 1000000) {
-      saveToLocalStorage(`${STORAGE_KEYS.OVERVIEW_DATA_PREFIX}${accountId}`, dataWithMeta);
+  for (const [accountId, rows] of groupByAccount(backup.videoData)) {
+    if (!await saveVideoData(targetIds.get(accountId), rows, options)) {
+      throw new Error('Kunde inte spara videodatan');
     }
+  }
 
-    // Always save in IndexedDB
-    const existingItems = await getByIndex(STORAGE_KEYS.STORE_OVERVIEW_DATA, 'accountId', accountId);
-    for (const item of existingItems) {
-      await deleteById(STORAGE_KEYS.STORE_OVERVIEW_DATA, item.id);
+  for (const [accountId, rows] of groupByAccount(backup.followerActivity)) {
+    if (!await saveActivityData(targetIds.get(accountId), rows, options)) {
+      throw new Error('Kunde inte spara följaraktiviteten');
     }
+  }
 
-    await saveToIndexedDB(STORAGE_KEYS.STORE_OVERVIEW_DATA, dataWithMeta);
+  // En ögonblicksbild från kopian ersätter en befintlig för samma dimension och dag
+  for (const [accountId, snapshots] of groupByAccount(backup.demographics)) {
+    const targetId = targetIds.get(accountId);
+    const existing = await getByIndex(STORAGE_KEYS.STORE_DEMOGRAPHICS, 'accountId', targetId);
 
-    // Update account status
-    const account = await getAccount(accountId);
-    if (account) {
-      await saveAccount({
-        ...account,
-        hasData: true,
-        lastUpdate: Date.now(),
-        rowCount: processedData.length
-      });
+    for (const { id, ...snapshot } of snapshots) {
+      const duplicates = existing.filter(item => item.dimension === snapshot.dimension && item.snapshotDate === snapshot.snapshotDate);
+      for (const item of duplicates) {
+        await deleteById(STORAGE_KEYS.STORE_DEMOGRAPHICS, item.id);
+      }
+      await saveToIndexedDB(STORAGE_KEYS.STORE_DEMOGRAPHICS, { ...snapshot, accountId: targetId });
     }
 
-    console.log(`Data sparad (${processedData.length} rader)`);
-    return true;
-  } catch (error) {
-    console.error(`Fel vid sparande av data för konto ${accountId}:`, error);
-    return false;
+    await markAccountChanged(targetId, { hasDemographics: true });
+  }
+
+  await putAllToIndexedDB(STORAGE_KEYS.STORE_MAPPING_PROFILES, backup.mappingProfiles);
+
+  // Importer som redan finns i historiken behåller sin status (t.ex. att de är ångrade). En import
+  // som hamnar på ett befintligt konto kan inte ångras, eftersom raderna nu även hör till den
+  // lokala datan, precis som vid mergeAccounts.
+  const existingHistory = new Set((await getAllFromIndexedDB(STORAGE_KEYS.STORE_IMPORT_HISTORY)).map(entry => entry.id));
+  const history = backup.importHistory
+    .filter(entry => !existingHistory.has(entry.id))
+    .map(entry => ({ ...entry, accountId: targetIds.get(entry.accountId) }));
+
+  await putAllToIndexedDB(STORAGE_KEYS.STORE_IMPORT_HISTORY, history.filter(entry => !mergedTargets.has(entry.accountId)));
+  for (const [targetId, target] of mergedTargets) {
+    await lockImportHistory(
+      history.filter(entry => entry.accountId === targetId),
+      `återställdes från en säkerhetskopia och slogs ihop med ${target.name}`
+    );
   }
+
+  const rules = getAccountRules();
+  const ruleIds = new Set(rules.map(rule => rule.id));
+  saveAccountRules([...rules, ...(backup.settings?.accountRules || []).filter(rule => !ruleIds.has(rule.id))]);
 };
 
 /**
- * Hämtar CSV-data för ett specifikt konto
- * @param {string} accountId - Konto-ID
- * @returns {Promise<Array>}
+ * Återställer en säkerhetskopia. "Ersätt all data" tar bort allt som inte finns i kopian;
+ * "Slå ihop" lägger till kopians konton och deduplicerar rader precis som saveAccountData,
+ * där konton med samma ID eller namn räknas som samma konto.
+ * @param {Object} backup - Säkerhetskopia som klarat validateBackup
+ * @param {Object} [options] - { mode, resolution }, se previewRestore
+ * @returns {Promise<boolean>}
  */
-export const getAccountData = async (accountId) => {
+export const restoreBackup = (backup, { mode = RESTORE_MODES.MERGE, resolution } = {}) => runWorkspaceOperation(async () => {
   try {
-    if (!accountId) {
-      throw new Error('accountId krävs');
+    const error = validateBackup(backup);
+    if (error) {
+      throw new Error(error);
     }
 
-    console.log(`Hämtar data för konto ${accountId}`);
-
-    // Try IndexedDB first
-    const indexedDBData = await getByIndex(STORAGE_KEYS.STORE_OVERVIEW_DATA, 'accountId', accountId);
-
-    if (indexedDBData && indexedDBData.length > 0) {
-      const sortedData = indexedDBData.sort((a, b) => b.timestamp - a.timestamp);
-
-      if (sortedData[0].data && Array.isArray(sortedData[0].data)) {
-        console.log(`Hittade ${sortedData[0].data.length} rader i IndexedDB`);
+    const previousAccounts = await getAccounts();
 
-        return sortedData[0].data.map(item => ({
-          ...item,
-          accountId: accountId
-        }));
-      }
+    if (mode === RESTORE_MODES.REPLACE) {
+      await replaceWithBackup(backup);
+    } else {
+      await mergeWithBackup(backup, resolution);
     }
 
-    // Fallback to localStorage
-    const localData = getFromLocalStorage(`${STORAGE_KEYS.OVERVIEW_DATA_PREFIX}${accountId}`, null);
-
-    if (localData && localData.data && Array.isArray(localData.data)) {
-      console.log(`Hittade ${localData.data.length} rader i localStorage`);
-
-      return localData.data.map(item => ({
-        ...item,
-        accountId: accountId
-      }));
-    }
+    [...previousAccounts, ...await getAccounts()].forEach(account => notifyDataChanged(account.id));
 
-    console.log(`Ingen data hittades för konto ${accountId}`);
-    return [];
+    console.log(`Säkerhetskopia återställd (${backup.accounts.length} konton, ${mode})`);
+    return true;
   } catch (error) {
-    console.error(`Fel vid hämtning av data för konto ${accountId}:`, error);
-    return [];
+    console.error('Fel vid återställning av säkerhetskopia:', error);
+    return false;
   }
-};
+});
 
 // ----------------------------------------
 // Filhantering
 // ----------------------------------------
 
-export const handleFileUpload = (file) => {
+const readArrayBuffer = (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-
-    reader.onload = (event) => {
-      resolve(event.target.result);
-    };
-
+    reader.onload = (event) => resolve(event.target.result);
     reader.onerror = (error) => {
       console.error('Filläsningsfel:', error);
       reject(error);
     };
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+/**
+ * Läser en textfil (CSV) och avkodar den med identifierad eller vald teckenkodning
+ * @param {File} file - Filen
+ * @param {string} [encoding] - Teckenkodning ur ENCODINGS; utelämnas den identifieras den
+ * @returns {Promise<Object>} - { content, encoding, detectedEncoding }
+ */
+export const readTextFile = async (file, encoding = null) => {
+  const buffer = await readArrayBuffer(file);
+  const detectedEncoding = detectEncoding(buffer);
+  const usedEncoding = encoding || detectedEncoding;
+
+  return {
+    content: decodeText(buffer, usedEncoding),
+    encoding: usedEncoding,
+    detectedEncoding
+  };
+};
+
+// Räcker till de rader som förhandsgranskningen tolkar, även i UTF-16
+const TEXT_PREVIEW_BYTES = 128 * 1024;
+
+/**
+ * Läser bara början av en textfil för förhandsgranskning. Hela filen läses och avkodas
+ * först när den granskas, i importWorker.
+ * @param {File} file - Filen
+ * @param {string} [encoding] - Teckenkodning ur ENCODINGS; utelämnas den identifieras den
+ * @returns {Promise<Object>} - { content, encoding, detectedEncoding }
+ */
+export const readTextPreview = async (file, encoding = null) => {
+  const isPartial = file.size > TEXT_PREVIEW_BYTES;
+  const buffer = await readArrayBuffer(file.slice(0, TEXT_PREVIEW_BYTES));
+  const detectedEncoding = detectEncoding(buffer, isPartial);
+  const usedEncoding = encoding || detectedEncoding;
+
+  return {
+    content: decodeText(buffer, usedEncoding, isPartial),
+    encoding: usedEncoding,
+    detectedEncoding
+  };
+};
+
+export const handleFileUpload = async (file) => {
+  const { content } = await readTextFile(file);
+  return content;
+};
+
+/**
+ * Läser en Excel-arbetsbok (.xlsx/.xls) och konverterar varje blad till CSV-text
+ * så att det kan bearbetas på samma sätt som en uppladdad CSV-fil
+ * @param {File} file - Arbetsboken
+ * @returns {Promise<Array>} - Blad i arbetsbokens ordning: { name, content, rowCount }
+ */
+export const readSpreadsheetFile = async (file) => {
+  const buffer = await readArrayBuffer(file);
 
-    reader.readAsText(file);
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(buffer, { type: 'array', cellDates: true, dateNF: 'yyyy-mm-dd' });
+
+  return workbook.SheetNames.map(name => {
+    const sheet = workbook.Sheets[name];
+    const content = XLSX.utils.sheet_to_csv(sheet, { blankrows: false, rawNumbers: true });
+    const rowCount = Math.max(content.split('\n').filter(line => line.replace(/,/g, '').trim() !== '').length - 1, 0);
+    return { name, content, rowCount };
   });
 };
 
+/**
+ * Packar upp ett ZIP-arkiv i webbläsaren och returnerar de filer som går att importera
+ * (CSV och Excel). Mappar, dolda filer och macOS-metadata hoppas över.
+ * @param {File} file - ZIP-arkivet
+ * @returns {Promise<Array>} - { path, file } där file är en File med filens basnamn
+ */
+export const readZipArchive = async (file) => {
+  const { default: JSZip } = await import('jszip');
+  const zip = await JSZip.loadAsync(file);
+
+  const members = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+
+    const path = entry.name;
+    const basename = path.split('/').pop();
+    if (!basename || basename.startsWith('.') || path.startsWith('__MACOSX/')) continue;
+    if (!/\.(csv|xlsx?)$/i.test(basename)) continue;
+
+    const blob = await entry.async('blob');
+    members.push({
+      path,
+      file: new File([blob], basename, { lastModified: entry.date ? entry.date.getTime() : Date.now() })
+    });
+  }
+
+  return members.sort((a, b) => a.path.localeCompare(b.path));
+};
+
 export const downloadFile = (data, filename, type = 'text/csv') => {
   const blob = new Blob([data], { type });
   const url = URL.createObjectURL(blob);
@@ -464,6 +3102,118 @@ export const openExternalLink = (url) => {
 // Lagringsutrymme statistik
 // ----------------------------------------
 
+// Uppskattad storlek i byte för sparade objekt (JavaScript-strängar lagras som UTF-16)
+const estimateSize = (items) => items.reduce((total, item) => total + JSON.stringify(item).length * 2, 0);
+
+// Webbläsarens faktiska användning och kvot, eller null om Storage API saknas
+const getStorageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  } catch (error) {
+    console.warn('Kunde inte hämta lagringskvot:', error);
+    return null;
+  }
+};
+
+// Om webbläsaren har lovat att inte rensa datan, eller null om det inte går att avgöra
+const getPersisted = async () => {
+  if (!navigator.storage || !navigator.storage.persisted) return null;
+
+  try {
+    return await navigator.storage.persisted();
+  } catch (error) {
+    console.warn('Kunde inte läsa status för beständig lagring:', error);
+    return null;
+  }
+};
+
+/**
+ * Ber webbläsaren att inte rensa appens data när lagringsutrymmet tar slut. Webbläsaren
+ * kan bevilja direkt, fråga användaren eller neka utifrån hur webbplatsen används.
+ * @returns {Promise<boolean>} - true om lagringen är beständig
+ */
+export const requestPersistentStorage = async () => {
+  try {
+    if (!navigator.storage || !navigator.storage.persist) {
+      throw new Error('Webbläsaren saknar stöd för beständig lagring');
+    }
+
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.error('Fel vid begäran om beständig lagring:', error);
+    return false;
+  }
+};
+
+// Stores med kontodata som räknas in i storleken per konto
+const SIZED_STORES = [
+  STORAGE_KEYS.STORE_ACCOUNTS,
+  STORAGE_KEYS.STORE_DAILY_ROWS,
+  STORAGE_KEYS.STORE_VIDEO_DATA,
+  STORAGE_KEYS.STORE_DEMOGRAPHICS,
+  STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY,
+  STORAGE_KEYS.STORE_IMPORT_HISTORY
+];
+
+// Antal poster per store, utan att posterna läses in
+const countRecords = async (storeNames) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readonly');
+    const counts = {};
+    storeNames.forEach(storeName => {
+      const request = transaction.objectStore(storeName).count();
+      request.onsuccess = () => {
+        counts[storeName] = request.result;
+      };
+    });
+
+    transaction.oncomplete = () => resolve(counts);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Antal dagar och första och sista dagen per konto, ur nycklarna [accountId, date]
+const getDailyRowRanges = async (accountIds) => {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORAGE_KEYS.STORE_DAILY_ROWS], 'readonly');
+    const store = transaction.objectStore(STORAGE_KEYS.STORE_DAILY_ROWS);
+    const ranges = new Map();
+
+    accountIds.forEach(accountId => {
+      const range = IDBKeyRange.bound([accountId, ''], [accountId, '\uffff']);
+      const result = { days: 0, firstDate: null, lastDate: null };
+      ranges.set(accountId, result);
+
+      const countRequest = store.count(range);
+      countRequest.onsuccess = () => {
+        result.days = countRequest.result;
+      };
+      [['next', 'firstDate'], ['prev', 'lastDate']].forEach(([direction, field]) => {
+        const cursorRequest = store.openKeyCursor(range, direction);
+        cursorRequest.onsuccess = () => {
+          if (cursorRequest.result) result[field] = cursorRequest.result.key[1];
+        };
+      });
+    });
+
+    transaction.oncomplete = () => resolve(ranges);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Hämtar lagringsstatistik. Användning och kvot kommer från navigator.storage.estimate()
+ * när webbläsaren stöder det. Bara antal poster räknas, så att datan inte läses in; storleken
+ * per konto beräknas separat med getAccountStorageSizes.
+ * @returns {Promise<Object>} - { localStorage, indexedDB, total, persisted, accounts } där total
+ *   är { used, quota, percentage, estimated } och accounts { id, name, days, firstDate, lastDate,
+ *   lastUpdate } per konto
+ */
 export const getStorageStats = async () => {
   try {
     let localStorageUsed = 0;
@@ -475,42 +3225,114 @@ export const getStorageStats = async () => {
       }
     }
 
-    let indexedDBStats = {
-      accountsCount: 0,
-      overviewDataCount: 0,
-      estimatedSize: 0
-    };
-
     const accounts = await getAllFromIndexedDB(STORAGE_KEYS.STORE_ACCOUNTS);
-    indexedDBStats.accountsCount = accounts.length;
-
-    const overviewData = await getAllFromIndexedDB(STORAGE_KEYS.STORE_OVERVIEW_DATA);
-    indexedDBStats.overviewDataCount = overviewData.length;
-
-    const accountsSize = JSON.stringify(accounts).length;
-    const overviewSize = overviewData.reduce((total, item) => total + JSON.stringify(item).length, 0);
+    const counts = await countRecords([...SIZED_STORES, STORAGE_KEYS.STORE_TRASH]);
+    const dailyRanges = await getDailyRowRanges(accounts.map(account => account.id));
+
+    const indexedDBStats = {
+      accountsCount: accounts.length,
+      overviewDataCount: counts[STORAGE_KEYS.STORE_DAILY_ROWS],
+      videoDataCount: counts[STORAGE_KEYS.STORE_VIDEO_DATA],
+      demographicsCount: counts[STORAGE_KEYS.STORE_DEMOGRAPHICS],
+      activityDataCount: counts[STORAGE_KEYS.STORE_FOLLOWER_ACTIVITY],
+      trashCount: counts[STORAGE_KEYS.STORE_TRASH]
+    };
 
-    indexedDBStats.estimatedSize = accountsSize + overviewSize;
+    // Utan Storage API uppskattas användningen ur den sparade datan och en försiktig kvot
+    const estimate = await getStorageEstimate();
+    const used = estimate
+      ? estimate.usage
+      : localStorageUsed + ((await getAccountStorageSizes())?.totalSize || 0);
+    const quota = estimate && estimate.quota > 0 ? estimate.quota : STORAGE_LIMITS.FALLBACK_QUOTA;
 
     return {
       localStorage: {
         used: localStorageUsed,
-        limit: 5 * 1024 * 1024,
-        percentage: (localStorageUsed / (5 * 1024 * 1024)) * 100
+        limit: STORAGE_LIMITS.LOCAL_STORAGE_MAX,
+        percentage: (localStorageUsed / STORAGE_LIMITS.LOCAL_STORAGE_MAX) * 100
       },
       indexedDB: indexedDBStats,
       total: {
-        used: localStorageUsed + indexedDBStats.estimatedSize,
-        percentage: ((localStorageUsed + indexedDBStats.estimatedSize) / (50 * 1024 * 1024)) * 100
-      }
+        used,
+        quota,
+        percentage: (used / quota) * 100,
+        estimated: !estimate
+      },
+      persisted: await getPersisted(),
+      accounts: accounts.map(account => ({
+        id: account.id,
+        name: account.name,
+        ...dailyRanges.get(account.id),
+        lastUpdate: account.lastUpdate || account.createdAt || null
+      }))
     };
   } catch (error) {
     console.error('Fel vid hämtning av lagringsstatistik:', error);
     return {
       error: error.message,
-      localStorage: { used: 0, limit: 5 * 1024 * 1024, percentage: 0 },
-      indexedDB: { accountsCount: 0, overviewDataCount: 0, estimatedSize: 0 },
-      total: { used: 0, percentage: 0 }
+      localStorage: { used: 0, limit: STORAGE_LIMITS.LOCAL_STORAGE_MAX, percentage: 0 },
+      indexedDB: { accountsCount: 0, overviewDataCount: 0, videoDataCount: 0, demographicsCount: 0, activityDataCount: 0, trashCount: 0 },
+      total: { used: 0, quota: STORAGE_LIMITS.FALLBACK_QUOTA, percentage: 0, estimated: true },
+      persisted: null,
+      accounts: []
+    };
+  }
+};
+
+/**
+ * Uppskattar hur mycket varje konto och papperskorgen tar upp. Posterna läses en i taget med
+ * en markör, så att hela databasen aldrig finns i minnet samtidigt; anropas bara när
+ * användaren ber om storleken.
+ * @returns {Promise<Object|null>} - { accounts, trashSize, totalSize } där accounts är
+ *   { id, name, size, videos } per konto, störst först, eller null om datan inte kunde läsas
+ */
+export const getAccountStorageSizes = async () => {
+  try {
+    const db = await getDatabase();
+    const perAccount = new Map();
+    let trashSize = 0;
+    let totalSize = 0;
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([...SIZED_STORES, STORAGE_KEYS.STORE_TRASH], 'readonly');
+
+      const addRecord = (storeName, record) => {
+        const size = estimateSize([record]);
+        totalSize += size;
+
+        if (storeName === STORAGE_KEYS.STORE_TRASH) {
+          trashSize += size;
+          return;
+        }
+
+        const accountId = storeName === STORAGE_KEYS.STORE_ACCOUNTS ? record.id : record.accountId;
+        if (!perAccount.has(accountId)) perAccount.set(accountId, { id: accountId, name: null, size: 0, videos: 0 });
+        const entry = perAccount.get(accountId);
+        entry.size += size;
+        if (storeName === STORAGE_KEYS.STORE_ACCOUNTS) entry.name = record.name;
+        if (storeName === STORAGE_KEYS.STORE_VIDEO_DATA && Array.isArray(record.data)) entry.videos += record.data.length;
+      };
+
+      const storeNames = [...SIZED_STORES, STORAGE_KEYS.STORE_TRASH];
+      const visitStore = (index) => {
+        if (index >= storeNames.length) return;
+        const storeName = storeNames[index];
+        forEachRecord(transaction, storeName, cursor => addRecord(storeName, cursor.value), () => visitStore(index + 1));
+      };
+      visitStore(0);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    return {
+      // Data vars konto saknas (t.ex. efter ett avbrutet borttag) räknas bara in i totalen
+      accounts: Array.from(perAccount.values()).filter(entry => entry.name !== null).sort((a, b) => b.size - a.size),
+      trashSize,
+      totalSize
     };
+  } catch (error) {
+    console.error('Fel vid beräkning av lagring per konto:', error);
+    return null;
   }
 };